@@ -4,19 +4,51 @@ const cors = require('cors');
 const offerRoutes = require('./src/routes/offerRoutes');
 const leadRoutes = require('./src/routes/leadRoutes');
 const scoringRoutes = require('./src/routes/scoringRoutes');
+const jobRoutes = require('./src/routes/jobRoutes');
+const scoringConfigRoutes = require('./src/routes/scoringConfigRoutes');
+const importMappingRoutes = require('./src/routes/importMappingRoutes');
+const enrichmentRoutes = require('./src/routes/enrichmentRoutes');
+const webhookRoutes = require('./src/routes/webhookRoutes');
+const integrationRoutes = require('./src/routes/integrationRoutes');
+const workspaceRoutes = require('./src/routes/workspaceRoutes');
+const cacheRoutes = require('./src/routes/cacheRoutes');
+const usageRoutes = require('./src/routes/usageRoutes');
+const runRoutes = require('./src/routes/runRoutes');
+const analyticsRoutes = require('./src/routes/analyticsRoutes');
+const outcomeRoutes = require('./src/routes/outcomeRoutes');
+const authConfig = require('./src/config/authConfig');
+const { authenticate } = require('./src/middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
+// Preflight requests carry no API key, so CORS is open here and each
+// key's allowed origins are enforced by authenticate
 app.use(cors());
-app.use(express.json());
+// Leads can be posted as JSON, so allow larger bodies than the default
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
+// Admin and current-workspace routes do their own authentication
+app.use('/api', workspaceRoutes);
+// Everything else runs in the workspace of the request's API key
+app.use('/api', authenticate);
 app.use('/api', offerRoutes);
 app.use('/api', leadRoutes);
 app.use('/api', scoringRoutes);
+app.use('/api', analyticsRoutes);
+app.use('/api', jobRoutes);
+app.use('/api', runRoutes);
+app.use('/api', outcomeRoutes);
+app.use('/api', scoringConfigRoutes);
+app.use('/api', importMappingRoutes);
+app.use('/api', enrichmentRoutes);
+app.use('/api', webhookRoutes);
+app.use('/api', integrationRoutes);
+app.use('/api', cacheRoutes);
+app.use('/api', usageRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -39,7 +71,24 @@ app.use((req, res) => {
   res.status(404).json({ error: { message: 'Route not found' } });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📍 Health check: http://localhost:${PORT}/health`);
-});
\ No newline at end of file
+// Tests require the app and listen on a port of their own
+if (require.main === module) {
+  // Exit normally on stop signals so pending storage writes are flushed
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => process.exit(0)));
+
+  app.listen(PORT, () => {
+    console.log(`🚀 Server running on port ${PORT}`);
+    console.log(`📍 Health check: http://localhost:${PORT}/health`);
+    if (!authConfig.enabled) {
+      console.warn('⚠️  AUTH_DISABLED=true: requests without an API key use the default workspace');
+    } else if (!authConfig.adminKey) {
+      console.warn('⚠️  Authentication is on but ADMIN_API_KEY is not set: no API keys can be issued, so only existing keys work. ' +
+        'Set ADMIN_API_KEY to issue keys, or AUTH_DISABLED=true for local development.');
+    }
+    if (process.env.AUTH_ENABLED !== undefined) {
+      console.warn('⚠️  AUTH_ENABLED is no longer read: authentication is on unless AUTH_DISABLED=true');
+    }
+  });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,52 @@
+const { readInt, readFloat } = require('./env');
+
+/**
+ * AI classification settings read from environment variables
+ */
+
+const aiConfig = {
+  // LLM provider: openai | azure | local | mock | heuristic
+  provider: (process.env.AI_PROVIDER || 'openai').toLowerCase(),
+  model: process.env.AI_MODEL || 'gpt-4o-mini',
+  temperature: readFloat('AI_TEMPERATURE', 0.3),
+  maxTokens: readInt('AI_MAX_TOKENS', 400),
+  // How structured output is requested: json_schema | json_object | none
+  structuredOutput: (process.env.AI_STRUCTURED_OUTPUT || 'json_schema').toLowerCase(),
+  // Provider connection settings
+  apiKey: process.env.AI_API_KEY || process.env.OPENAI_API_KEY,
+  baseURL: process.env.AI_BASE_URL,
+  azure: {
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    deployment: process.env.AZURE_OPENAI_DEPLOYMENT,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+  },
+  // JSON file with canned responses for the mock provider
+  mockResponsesFile: process.env.AI_MOCK_RESPONSES_FILE,
+  // Number of leads classified in parallel
+  concurrency: readInt('AI_CONCURRENCY', 5),
+  // Rate limits applied to model calls (0 disables the limit)
+  requestsPerMinute: readInt('AI_REQUESTS_PER_MINUTE', 500),
+  tokensPerMinute: readInt('AI_TOKENS_PER_MINUTE', 200000),
+  // Retries for transient errors (429/5xx/network)
+  maxRetries: readInt('AI_MAX_RETRIES', 3),
+  retryBaseDelayMs: readInt('AI_RETRY_BASE_DELAY_MS', 1000),
+  retryMaxDelayMs: readInt('AI_RETRY_MAX_DELAY_MS', 30000),
+  // Cache of model classifications, keyed on the prompt and model settings
+  cache: {
+    enabled: (process.env.AI_CACHE_ENABLED || 'true').toLowerCase() !== 'false',
+    ttlSeconds: readInt('AI_CACHE_TTL_SECONDS', 7 * 24 * 60 * 60),
+    maxEntries: readInt('AI_CACHE_MAX_ENTRIES', 10000),
+    // JSON file keeping the cache across restarts; memory only when unset
+    file: process.env.AI_CACHE_FILE || null
+  },
+  // Token prices and spending limits
+  pricing: {
+    // JSON file of per-model prices adding to or replacing the built-in table
+    pricesFile: process.env.AI_PRICES_FILE || null,
+    // Default cap on a scoring run's estimated cost in USD (0 disables it)
+    runBudgetUsd: readFloat('AI_RUN_BUDGET_USD', 0)
+  }
+};
+
+module.exports = aiConfig;
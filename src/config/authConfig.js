@@ -0,0 +1,15 @@
+/**
+ * API authentication settings read from environment variables
+ * API keys and workspaces are managed through /api/admin
+ */
+
+const authConfig = {
+  // Require a workspace API key on every /api request. Only an explicit
+  // AUTH_DISABLED=true turns it off; requests without a key then use the
+  // default workspace
+  enabled: (process.env.AUTH_DISABLED || 'false').toLowerCase() !== 'true',
+  // Key for the /api/admin routes; they are disabled when unset
+  adminKey: process.env.ADMIN_API_KEY || null
+};
+
+module.exports = authConfig;
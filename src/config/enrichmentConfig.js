@@ -0,0 +1,18 @@
+const { readInt } = require('./env');
+
+/**
+ * Lead enrichment settings read from environment variables
+ * Which enrichers run is part of the scoring config
+ */
+
+const enrichmentConfig = {
+  // JSON file with canned responses for HTTP enrichers, keyed by enricher name
+  stubsFile: process.env.ENRICHMENT_STUBS_FILE,
+  // Default timeout of an HTTP enricher call
+  timeoutMs: readInt('ENRICHMENT_TIMEOUT_MS', 5000),
+  // Retries for transient HTTP enricher errors (429/5xx/network/timeout)
+  maxRetries: readInt('ENRICHMENT_MAX_RETRIES', 2),
+  retryBaseDelayMs: readInt('ENRICHMENT_RETRY_BASE_DELAY_MS', 500)
+};
+
+module.exports = enrichmentConfig;
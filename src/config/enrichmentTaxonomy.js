@@ -0,0 +1,97 @@
+/**
+ * Lookup tables for the built-in enrichers
+ * Keywords are matched case-insensitively as whole words, first match wins
+ */
+
+// Seniority levels, most senior first
+const SENIORITY_LEVELS = [
+  { level: 'c_level', keywords: ['ceo', 'cto', 'cfo', 'coo', 'cmo', 'cio', 'cro', 'chief', 'founder', 'co-founder', 'owner', 'president'] },
+  { level: 'vp', keywords: ['vp', 'svp', 'evp', 'vice president'] },
+  { level: 'director', keywords: ['director', 'head of', 'head', 'partner', 'principal'] },
+  { level: 'manager', keywords: ['manager', 'lead', 'team lead', 'supervisor'] },
+  { level: 'senior', keywords: ['senior', 'sr', 'staff'] },
+  { level: 'entry', keywords: ['intern', 'junior', 'jr', 'trainee', 'graduate', 'assistant', 'student'] }
+];
+
+// Used when a title matches no seniority keyword
+const DEFAULT_SENIORITY = 'individual_contributor';
+
+const DEPARTMENTS = [
+  { department: 'sales', keywords: ['sales', 'account executive', 'business development', 'bdr', 'sdr', 'revenue', 'partnerships'] },
+  { department: 'marketing', keywords: ['marketing', 'growth', 'brand', 'content', 'demand generation', 'seo', 'communications', 'cmo'] },
+  { department: 'engineering', keywords: ['engineering', 'engineer', 'developer', 'software', 'devops', 'architect', 'cto', 'technical'] },
+  { department: 'product', keywords: ['product', 'pm'] },
+  { department: 'design', keywords: ['design', 'designer', 'ux', 'ui'] },
+  { department: 'data', keywords: ['data', 'analytics', 'analyst', 'machine learning', 'bi'] },
+  { department: 'finance', keywords: ['finance', 'financial', 'accounting', 'controller', 'cfo', 'treasury'] },
+  { department: 'hr', keywords: ['hr', 'human resources', 'people', 'talent', 'recruiting', 'recruiter'] },
+  { department: 'operations', keywords: ['operations', 'ops', 'coo', 'supply chain', 'logistics'] },
+  { department: 'customer_success', keywords: ['customer success', 'customer experience', 'support', 'account manager'] },
+  { department: 'legal', keywords: ['legal', 'counsel', 'compliance', 'attorney'] },
+  { department: 'it', keywords: ['it', 'information technology', 'security', 'cio', 'infrastructure'] },
+  { department: 'executive', keywords: ['ceo', 'founder', 'co-founder', 'owner', 'president', 'managing director', 'general manager'] }
+];
+
+const INDUSTRIES = [
+  { industry: 'Software & SaaS', keywords: ['saas', 'software', 'cloud', 'b2b software', 'developer tools', 'devtools', 'platform'] },
+  { industry: 'Financial Services', keywords: ['fintech', 'finance', 'financial', 'banking', 'bank', 'insurance', 'insurtech', 'payments', 'investment', 'capital'] },
+  { industry: 'Healthcare', keywords: ['healthcare', 'health', 'healthtech', 'medical', 'biotech', 'pharma', 'pharmaceutical', 'hospital'] },
+  { industry: 'Retail & E-commerce', keywords: ['retail', 'e-commerce', 'ecommerce', 'consumer goods', 'cpg', 'marketplace'] },
+  { industry: 'Marketing & Advertising', keywords: ['marketing', 'advertising', 'adtech', 'martech', 'agency', 'media'] },
+  { industry: 'Education', keywords: ['education', 'edtech', 'e-learning', 'university', 'school'] },
+  { industry: 'Manufacturing', keywords: ['manufacturing', 'industrial', 'automotive', 'hardware', 'electronics'] },
+  { industry: 'Consulting & Services', keywords: ['consulting', 'professional services', 'outsourcing', 'staffing', 'legal'] },
+  { industry: 'Telecommunications', keywords: ['telecom', 'telecommunications', 'networking', 'wireless'] },
+  { industry: 'Energy', keywords: ['energy', 'oil', 'gas', 'utilities', 'renewable', 'cleantech', 'solar'] },
+  { industry: 'Real Estate', keywords: ['real estate', 'proptech', 'property', 'construction'] },
+  { industry: 'Logistics & Transportation', keywords: ['logistics', 'transportation', 'shipping', 'freight', 'supply chain'] },
+  { industry: 'Technology', keywords: ['tech', 'technology', 'ai', 'artificial intelligence', 'cybersecurity', 'security', 'data', 'iot'] },
+  { industry: 'Public Sector & Nonprofit', keywords: ['government', 'public sector', 'nonprofit', 'non-profit', 'ngo'] }
+];
+
+// Countries with their region, the names and codes that identify them
+// in a free-text location and their major cities
+const COUNTRIES = [
+  { country: 'United States', region: 'North America', names: ['united states', 'usa', 'us', 'u.s.', 'america'], cities: ['new york', 'nyc', 'san francisco', 'sf', 'bay area', 'los angeles', 'seattle', 'austin', 'boston', 'chicago', 'denver', 'miami', 'atlanta'] },
+  { country: 'Canada', region: 'North America', names: ['canada'], cities: ['toronto', 'vancouver', 'montreal', 'ottawa'] },
+  { country: 'Mexico', region: 'Latin America', names: ['mexico'], cities: ['mexico city', 'guadalajara'] },
+  { country: 'Brazil', region: 'Latin America', names: ['brazil', 'brasil'], cities: ['sao paulo', 'são paulo', 'rio de janeiro'] },
+  { country: 'Argentina', region: 'Latin America', names: ['argentina'], cities: ['buenos aires'] },
+  { country: 'United Kingdom', region: 'Europe', names: ['united kingdom', 'uk', 'u.k.', 'england', 'scotland', 'wales', 'great britain'], cities: ['london', 'manchester', 'edinburgh'] },
+  { country: 'Ireland', region: 'Europe', names: ['ireland'], cities: ['dublin'] },
+  { country: 'Germany', region: 'Europe', names: ['germany', 'deutschland'], cities: ['berlin', 'munich', 'hamburg', 'frankfurt'] },
+  { country: 'France', region: 'Europe', names: ['france'], cities: ['paris', 'lyon'] },
+  { country: 'Netherlands', region: 'Europe', names: ['netherlands', 'holland'], cities: ['amsterdam', 'rotterdam'] },
+  { country: 'Spain', region: 'Europe', names: ['spain'], cities: ['madrid', 'barcelona'] },
+  { country: 'Italy', region: 'Europe', names: ['italy'], cities: ['rome', 'milan'] },
+  { country: 'Sweden', region: 'Europe', names: ['sweden'], cities: ['stockholm'] },
+  { country: 'Switzerland', region: 'Europe', names: ['switzerland'], cities: ['zurich', 'geneva'] },
+  { country: 'Poland', region: 'Europe', names: ['poland'], cities: ['warsaw', 'krakow'] },
+  { country: 'Norway', region: 'Europe', names: ['norway'], cities: ['oslo'] },
+  { country: 'Denmark', region: 'Europe', names: ['denmark'], cities: ['copenhagen'] },
+  { country: 'United Arab Emirates', region: 'Middle East & Africa', names: ['united arab emirates', 'uae'], cities: ['dubai', 'abu dhabi'] },
+  { country: 'Israel', region: 'Middle East & Africa', names: ['israel'], cities: ['tel aviv'] },
+  { country: 'South Africa', region: 'Middle East & Africa', names: ['south africa'], cities: ['cape town', 'johannesburg'] },
+  { country: 'Nigeria', region: 'Middle East & Africa', names: ['nigeria'], cities: ['lagos'] },
+  { country: 'India', region: 'Asia Pacific', names: ['india'], cities: ['bangalore', 'bengaluru', 'mumbai', 'delhi', 'new delhi', 'hyderabad', 'pune', 'chennai'] },
+  { country: 'Singapore', region: 'Asia Pacific', names: ['singapore'], cities: [] },
+  { country: 'Japan', region: 'Asia Pacific', names: ['japan'], cities: ['tokyo', 'osaka'] },
+  { country: 'China', region: 'Asia Pacific', names: ['china'], cities: ['beijing', 'shanghai', 'shenzhen'] },
+  { country: 'Australia', region: 'Asia Pacific', names: ['australia'], cities: ['sydney', 'melbourne', 'brisbane'] },
+  { country: 'New Zealand', region: 'Asia Pacific', names: ['new zealand'], cities: ['auckland', 'wellington'] }
+];
+
+// Email providers whose domain says nothing about the lead's company
+const FREE_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com',
+  'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'gmx.com', 'mail.com'
+];
+
+module.exports = {
+  SENIORITY_LEVELS,
+  DEFAULT_SENIORITY,
+  DEPARTMENTS,
+  INDUSTRIES,
+  COUNTRIES,
+  FREE_EMAIL_DOMAINS
+};
@@ -0,0 +1,19 @@
+/**
+ * Readers for numeric environment variables shared by the config modules
+ * An unset or unparseable variable gives the default.
+ */
+
+function readInt(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
+function readFloat(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
+module.exports = {
+  readInt,
+  readFloat
+};
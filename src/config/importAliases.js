@@ -0,0 +1,88 @@
+/**
+ * Built-in header aliases for lead imports
+ * Headers are compared after normalization (lowercase, punctuation and
+ * extra spaces removed), so "Job Title", "job_title" and "JOB-TITLE" match
+ */
+
+// Lead fields a column can be mapped to. first_name and last_name are
+// combined into name when the file has no full name column
+const LEAD_FIELDS = [
+  'name',
+  'first_name',
+  'last_name',
+  'role',
+  'company',
+  'industry',
+  'location',
+  'linkedin_bio',
+  'email',
+  'linkedin_url'
+];
+
+// Generic aliases, used for any file
+const FIELD_ALIASES = {
+  name: ['name', 'full name', 'contact name', 'lead name', 'person name'],
+  first_name: ['first name', 'firstname', 'given name'],
+  last_name: ['last name', 'lastname', 'surname', 'family name'],
+  role: ['role', 'title', 'job title', 'position', 'job position', 'designation'],
+  company: ['company', 'company name', 'organization', 'organisation', 'account name', 'employer'],
+  industry: ['industry', 'sector', 'company industry', 'vertical'],
+  location: ['location', 'geography', 'region', 'country', 'city', 'person location'],
+  linkedin_bio: ['linkedin bio', 'bio', 'summary', 'about', 'headline', 'description'],
+  email: ['email', 'email address', 'e mail', 'work email'],
+  linkedin_url: ['linkedin url', 'linkedin', 'linkedin profile', 'person linkedin url', 'profile url']
+};
+
+// Column layouts of common CRM and prospecting exports
+const SOURCE_PROFILES = {
+  linkedin_sales_navigator: {
+    name: 'LinkedIn Sales Navigator',
+    columns: {
+      'First Name': 'first_name',
+      'Last Name': 'last_name',
+      'Title': 'role',
+      'Company': 'company',
+      'Company Industry': 'industry',
+      'Geography': 'location',
+      'Summary': 'linkedin_bio',
+      'Profile URL': 'linkedin_url',
+      'Email Address': 'email'
+    }
+  },
+  hubspot: {
+    name: 'HubSpot',
+    columns: {
+      'First Name': 'first_name',
+      'Last Name': 'last_name',
+      'Job Title': 'role',
+      'Company Name': 'company',
+      'Industry': 'industry',
+      'Country/Region': 'location',
+      'Email': 'email',
+      'LinkedIn Bio': 'linkedin_bio',
+      'LinkedIn URL': 'linkedin_url'
+    }
+  },
+  apollo: {
+    name: 'Apollo',
+    columns: {
+      'First Name': 'first_name',
+      'Last Name': 'last_name',
+      'Title': 'role',
+      'Company': 'company',
+      'Industry': 'industry',
+      'City': 'location',
+      'State': 'location',
+      'Country': 'location',
+      'Email': 'email',
+      'Person Linkedin Url': 'linkedin_url',
+      'Keywords': 'linkedin_bio'
+    }
+  }
+};
+
+module.exports = {
+  LEAD_FIELDS,
+  FIELD_ALIASES,
+  SOURCE_PROFILES
+};
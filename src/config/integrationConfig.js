@@ -0,0 +1,18 @@
+const { readInt } = require('./env');
+
+/**
+ * CRM integration settings read from environment variables
+ * Connections and field mappings are stored per integration
+ */
+
+const integrationConfig = {
+  // Timeout of a single CRM request
+  timeoutMs: readInt('CRM_TIMEOUT_MS', 10000),
+  // Retries for transient CRM errors (408/429/5xx/network/timeout)
+  maxRetries: readInt('CRM_MAX_RETRIES', 3),
+  retryBaseDelayMs: readInt('CRM_RETRY_BASE_DELAY_MS', 1000),
+  // Records upserted in parallel by adapters without a batch API
+  concurrency: readInt('CRM_CONCURRENCY', 4)
+};
+
+module.exports = integrationConfig;
@@ -0,0 +1,14 @@
+const { readInt } = require('./env');
+
+/**
+ * Background job settings read from environment variables
+ */
+
+const jobConfig = {
+  // Minutes a finished job stays available at /api/jobs/:id
+  retentionMinutes: readInt('JOB_RETENTION_MINUTES', 60),
+  // Finished jobs kept in memory at most; the oldest are dropped first
+  historyLimit: readInt('JOB_HISTORY_LIMIT', 100)
+};
+
+module.exports = jobConfig;
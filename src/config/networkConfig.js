@@ -0,0 +1,15 @@
+/**
+ * Outbound request settings read from environment variables
+ */
+
+const networkConfig = {
+  // Hosts, IP addresses or CIDR ranges that enrichers, CRM pushes and
+  // webhooks may reach although they are loopback, link-local or private,
+  // e.g. "crm.internal,10.20.0.0/16"
+  allowedHosts: (process.env.OUTBOUND_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean)
+};
+
+module.exports = networkConfig;
@@ -0,0 +1,13 @@
+const { readInt } = require('./env');
+
+/**
+ * Scoring run history settings read from environment variables
+ */
+
+const runConfig = {
+  // Runs kept per workspace with their results; older runs are dropped
+  // (0 keeps every run)
+  historyLimit: readInt('RUN_HISTORY_LIMIT', 50)
+};
+
+module.exports = runConfig;
@@ -0,0 +1,67 @@
+/**
+ * Default rule-based scoring configuration
+ * Seeds version 1 of the scoring config; later versions are saved
+ * through PUT /api/scoring/config
+ */
+
+const DEFAULT_SCORING_CONFIG = {
+  rules: {
+    role: {
+      points: {
+        decision_maker: 20,
+        influencer: 10,
+        other: 0
+      },
+      decision_maker_keywords: [
+        'ceo', 'cto', 'cfo', 'coo', 'president', 'founder', 
+        'owner', 'director', 'vp', 'vice president', 'head of', 
+        'chief', 'principal', 'partner', 'managing'
+      ],
+      influencer_keywords: [
+        'manager', 'lead', 'senior', 'sr.', 'coordinator',
+        'specialist', 'supervisor', 'team lead'
+      ]
+    },
+    industry: {
+      points: {
+        exact_match: 20,
+        adjacent: 10,
+        no_match: 0
+      },
+      adjacent_keywords: ['saas', 'software', 'tech', 'b2b', 'enterprise']
+    },
+    completeness: {
+      points: 10,
+      fields: ['name', 'role', 'company', 'industry', 'location', 'linkedin_bio']
+    }
+  },
+  // Extra rules built from the rule types in services/rules,
+  // e.g. { id: 'no_interns', type: 'keyword', field: 'role', keywords: ['intern'], points: -30 }
+  custom_rules: [],
+  // Points added for each AI intent
+  ai_scores: {
+    high: 50,
+    medium: 30,
+    low: 10
+  },
+  // Minimum total score for each final intent label
+  thresholds: {
+    high: 70,
+    medium: 40
+  },
+  // Enrichers from services/enrichers run in order before scoring,
+  // e.g. { type: 'http', name: 'firmographics', url: 'https://...' }
+  enrichment: {
+    enabled: true,
+    enrichers: [
+      { type: 'title' },
+      { type: 'industry' },
+      { type: 'location' },
+      { type: 'domain' }
+    ]
+  }
+};
+
+module.exports = {
+  DEFAULT_SCORING_CONFIG
+};
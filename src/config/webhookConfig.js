@@ -0,0 +1,24 @@
+const { readInt } = require('./env');
+
+/**
+ * Webhook delivery settings read from environment variables
+ */
+
+const webhookConfig = {
+  // Timeout of a single delivery attempt
+  timeoutMs: readInt('WEBHOOK_TIMEOUT_MS', 5000),
+  // Retries for failed deliveries (408/429/5xx/network/timeout)
+  maxRetries: readInt('WEBHOOK_MAX_RETRIES', 5),
+  retryBaseDelayMs: readInt('WEBHOOK_RETRY_BASE_DELAY_MS', 1000),
+  retryMaxDelayMs: readInt('WEBHOOK_RETRY_MAX_DELAY_MS', 60000),
+  // Deliveries sent in parallel across all webhooks
+  concurrency: readInt('WEBHOOK_CONCURRENCY', 4),
+  // Deliveries waiting to be sent; further ones fail until the queue drains
+  queueSize: readInt('WEBHOOK_QUEUE_SIZE', 1000),
+  // Deliveries kept in the in-memory delivery log
+  deliveryLogSize: readInt('WEBHOOK_DELIVERY_LOG_SIZE', 1000),
+  // Results sent in one lead.scored or lead.high_intent event
+  batchSize: readInt('WEBHOOK_BATCH_SIZE', 100)
+};
+
+module.exports = webhookConfig;
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const authConfig = require('../config/authConfig');
+const workspaces = require('../storage/workspaces');
+const { hashApiKey } = require('../storage/workspaces');
+const { DEFAULT_WORKSPACE_ID, runInWorkspace } = require('../storage/workspaceContext');
+
+/**
+ * API key authentication
+ * Keys are sent as "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ */
+
+function readApiKey(req) {
+  const header = req.get('authorization');
+  if (header && /^bearer\s+/i.test(header)) {
+    return header.replace(/^bearer\s+/i, '').trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+function sendError(res, status, message) {
+  // Browsers should not be able to read a rejected request's response
+  res.removeHeader('Access-Control-Allow-Origin');
+  return res.status(status).json({ error: { message } });
+}
+
+/**
+ * Resolve the request's API key and run the rest of the request in its
+ * workspace. A key with allowed_origins only accepts browser requests
+ * from those origins.
+ */
+function authenticate(req, res, next) {
+  const key = readApiKey(req);
+
+  if (!key) {
+    if (authConfig.enabled) {
+      return sendError(res, 401, 'API key required. Send it as "Authorization: Bearer <key>" or "X-API-Key"');
+    }
+    req.workspace = workspaces.getWorkspaceById(DEFAULT_WORKSPACE_ID);
+    return runInWorkspace(DEFAULT_WORKSPACE_ID, next);
+  }
+
+  const apiKey = workspaces.findActiveApiKey(key);
+  if (!apiKey) {
+    return sendError(res, 401, 'Invalid or revoked API key');
+  }
+
+  const origin = req.get('origin');
+  if (origin && apiKey.allowed_origins.length > 0 && !apiKey.allowed_origins.includes(origin)) {
+    return sendError(res, 403, `Origin ${origin} is not allowed for this API key`);
+  }
+
+  workspaces.recordApiKeyUse(apiKey);
+  req.apiKey = apiKey;
+  req.workspace = workspaces.getWorkspaceById(apiKey.workspace_id);
+  return runInWorkspace(apiKey.workspace_id, next);
+}
+
+/**
+ * Only let requests with ADMIN_API_KEY through
+ */
+function requireAdmin(req, res, next) {
+  if (!authConfig.adminKey) {
+    return sendError(res, 403, 'Admin API is disabled. Set ADMIN_API_KEY to enable it');
+  }
+
+  const key = readApiKey(req);
+  // Compare hashes so the comparison takes the same time for any key
+  const matches = key && crypto.timingSafeEqual(
+    Buffer.from(hashApiKey(key), 'hex'),
+    Buffer.from(hashApiKey(authConfig.adminKey), 'hex')
+  );
+  if (!matches) {
+    return sendError(res, 401, 'Admin API key required');
+  }
+  next();
+}
+
+module.exports = {
+  authenticate,
+  requireAdmin
+};
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const storage = require('../storage/storage');
+const { filterResults } = require('../services/leadQuery');
+const { DEFAULT_SEGMENTS, buildAnalytics } = require('../services/analyticsService');
+const { validateAnalyticsQuery } = require('../validators/validators');
+
+/**
+ * GET /api/results/analytics
+ * Score distribution, intent by segment, rule vs AI contribution and
+ * AI/rule disagreement of the matching results
+ * Query (all optional):
+ * - filters of GET /api/results: offer_id, intent, min_score, max_score,
+ *   name, role, company, industry, location, q
+ * - group_by: comma-separated segment fields (default
+ *   industry,location,seniority,company)
+ * - bin_size: histogram bin width in points (default 10)
+ * - segment_limit: groups listed per segment field (default 20)
+ */
+router.get('/results/analytics', (req, res, next) => {
+  try {
+    const validation = validateAnalyticsQuery(req.query);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid query',
+          details: validation.errors
+        }
+      });
+    }
+
+    const results = filterResults(storage.getScoredLeads(req.query.offer_id), req.query);
+    const { group_by, bin_size, segment_limit } = req.query;
+
+    res.json({
+      data: buildAnalytics(results, {
+        groupBy: group_by ? [...new Set(group_by.split(',').map(field => field.trim()))] : DEFAULT_SEGMENTS,
+        ...(bin_size && { binSize: Number(bin_size) }),
+        ...(segment_limit && { segmentLimit: Number(segment_limit) })
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
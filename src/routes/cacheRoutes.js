@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const aiCache = require('../services/aiCache');
+
+/**
+ * GET /api/cache
+ * AI response cache settings, size and hit/miss counts since startup
+ */
+router.get('/cache', (req, res, next) => {
+  try {
+    res.json({
+      data: aiCache.getStats()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/cache
+ * Drop cached AI responses so the next scoring run asks the model again
+ */
+router.delete('/cache', (req, res, next) => {
+  try {
+    const removed = aiCache.clear();
+
+    res.json({
+      message: 'AI response cache cleared',
+      data: { removed }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
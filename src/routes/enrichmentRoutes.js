@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const storage = require('../storage/storage');
+const aiConfig = require('../config/aiConfig');
+const { describeEnricherTypes, enrichLead } = require('../services/enrichers');
+const { getEnrichmentSettings } = require('../services/scoringService');
+const { selectLeads } = require('../services/leadQuery');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { validateScoreRequest } = require('../validators/validators');
+
+/**
+ * GET /api/enrichers
+ * List the enricher types and the enrichers the current scoring config runs
+ */
+router.get('/enrichers', (req, res, next) => {
+  try {
+    res.json({
+      data: {
+        types: describeEnricherTypes(),
+        enrichment: getEnrichmentSettings(storage.getScoringConfig())
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/leads/enrich
+ * Run the configured enrichers on stored leads without scoring them
+ * Body: { lead_ids, filter } (both optional; all leads by default)
+ */
+router.post('/leads/enrich', async (req, res, next) => {
+  try {
+    const { lead_ids, filter } = req.body || {};
+
+    const validation = validateScoreRequest(req.body || {});
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid enrichment request',
+          details: validation.errors
+        }
+      });
+    }
+
+    const settings = getEnrichmentSettings(storage.getScoringConfig());
+    if (settings.enabled === false || settings.enrichers.length === 0) {
+      return res.status(400).json({
+        error: { message: 'Enrichment is disabled in the scoring config. Enable it using PUT /api/scoring/config' }
+      });
+    }
+
+    const { leads, missingIds } = selectLeads(storage.getLeads(), { lead_ids, filter });
+    if (missingIds.length > 0) {
+      return res.status(404).json({
+        error: { message: `Leads not found: ${missingIds.join(', ')}` }
+      });
+    }
+    if (leads.length === 0) {
+      return res.status(400).json({
+        error: { message: 'No leads to enrich. Upload leads first using POST /api/leads/upload' }
+      });
+    }
+
+    const entries = await mapWithConcurrency(leads, aiConfig.concurrency, async (lead) => ({
+      lead_id: lead.id,
+      enrichment: await enrichLead(lead, settings)
+    }));
+    storage.saveLeadEnrichments(entries);
+
+    res.json({
+      message: 'Leads enriched successfully',
+      data: {
+        total: entries.length,
+        with_errors: entries.filter(entry => entry.enrichment.errors.length > 0).length,
+        leads: entries
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
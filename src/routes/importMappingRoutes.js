@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const storage = require('../storage/storage');
+const { getBuiltInProfiles } = require('../services/columnMappingService');
+const { validateImportMapping } = require('../validators/validators');
+
+/**
+ * POST /api/import-mappings
+ * Save a column mapping profile for lead uploads
+ * Body: { name, columns: { "<file header>": "<lead field>" | null } }
+ */
+router.post('/import-mappings', (req, res, next) => {
+  try {
+    const { name, columns } = req.body;
+
+    const validation = validateImportMapping(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid import mapping',
+          details: validation.errors
+        }
+      });
+    }
+
+    const mapping = storage.createImportMapping({ name, columns });
+
+    res.status(201).json({
+      message: 'Import mapping created successfully',
+      data: mapping
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/import-mappings
+ * List saved mapping profiles and the built-in ones
+ */
+router.get('/import-mappings', (req, res, next) => {
+  try {
+    const mappings = storage.getImportMappings();
+
+    res.json({
+      data: {
+        total: mappings.length,
+        mappings,
+        built_in: getBuiltInProfiles()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/import-mappings/:id
+ * Retrieve a saved mapping profile
+ */
+router.get('/import-mappings/:id', (req, res, next) => {
+  try {
+    const mapping = storage.getImportMappingById(req.params.id);
+
+    if (!mapping) {
+      return res.status(404).json({
+        error: { message: `Import mapping ${req.params.id} not found` }
+      });
+    }
+
+    res.json({
+      data: mapping
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/import-mappings/:id
+ * Delete a saved mapping profile
+ */
+router.delete('/import-mappings/:id', (req, res, next) => {
+  try {
+    const deleted = storage.deleteImportMapping(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: { message: `Import mapping ${req.params.id} not found` }
+      });
+    }
+
+    res.json({
+      message: 'Import mapping deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,312 @@
+const express = require('express');
+const router = express.Router();
+const storage = require('../storage/storage');
+const jobService = require('../services/jobService');
+const { describeCrmAdapters } = require('../services/crm');
+const { SYNC_STATUS, DEFAULT_FIELD_MAPPING, DEFAULT_EXTERNAL_ID, selectResults } = require('../services/crmSyncService');
+const { toResultView } = require('../services/scoringService');
+const { paginate } = require('../services/leadQuery');
+const { validateIntegration, validateScoreRequest, validateListQuery } = require('../validators/validators');
+
+// Sync records are listed by lead
+const SYNCS_DEFAULT_SORT = 'lead_id';
+
+/**
+ * Look up an integration by ID
+ * Sends the 404 response and returns null when it does not exist
+ */
+function findIntegration(id, res) {
+  const integration = storage.getIntegrationById(id);
+  if (integration) return integration;
+
+  res.status(404).json({
+    error: { message: `Integration ${id} not found` }
+  });
+  return null;
+}
+
+/**
+ * Integration fields from a request body, with defaults for omitted ones
+ */
+function integrationFields(body) {
+  const {
+    name,
+    adapter,
+    settings,
+    field_mapping = DEFAULT_FIELD_MAPPING,
+    external_id = DEFAULT_EXTERNAL_ID,
+    filter = null,
+    push_after_scoring = false,
+    active = true
+  } = body;
+  return { name: name.trim(), adapter, settings, field_mapping, external_id, filter, push_after_scoring, active };
+}
+
+function invalidIntegration(res, errors) {
+  return res.status(400).json({
+    error: {
+      message: 'Invalid integration',
+      details: errors
+    }
+  });
+}
+
+/**
+ * GET /api/integrations/adapters
+ * List the available CRM adapters
+ */
+router.get('/integrations/adapters', (req, res, next) => {
+  try {
+    res.json({
+      data: describeCrmAdapters()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/integrations
+ * Create a CRM integration
+ * Body: { name, adapter, settings, field_mapping, external_id, filter,
+ *         push_after_scoring, active }
+ */
+router.post('/integrations', (req, res, next) => {
+  try {
+    const validation = validateIntegration(req.body || {});
+    if (!validation.valid) return invalidIntegration(res, validation.errors);
+
+    const integration = storage.createIntegration(integrationFields(req.body));
+
+    res.status(201).json({
+      message: 'Integration created successfully',
+      data: integration
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/integrations
+ * List CRM integrations
+ */
+router.get('/integrations', (req, res, next) => {
+  try {
+    const integrations = storage.getIntegrations();
+
+    res.json({
+      data: {
+        total: integrations.length,
+        integrations
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/integrations/:id
+ * Retrieve an integration with counts of its leads' sync statuses
+ */
+router.get('/integrations/:id', (req, res, next) => {
+  try {
+    const integration = findIntegration(req.params.id, res);
+    if (!integration) return;
+
+    const syncCounts = Object.fromEntries(Object.values(SYNC_STATUS).map(status => [status, 0]));
+    storage.getCrmSyncs(integration.id).forEach(sync => {
+      syncCounts[sync.status]++;
+    });
+
+    res.json({
+      data: {
+        ...integration,
+        sync_counts: syncCounts
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/integrations/:id
+ * Replace an integration's settings; sync statuses are kept
+ */
+router.put('/integrations/:id', (req, res, next) => {
+  try {
+    if (!findIntegration(req.params.id, res)) return;
+
+    const validation = validateIntegration(req.body || {});
+    if (!validation.valid) return invalidIntegration(res, validation.errors);
+
+    const integration = storage.updateIntegration(req.params.id, integrationFields(req.body));
+
+    res.json({
+      message: 'Integration updated successfully',
+      data: integration
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/integrations/:id
+ * Delete an integration and its sync statuses; records already pushed
+ * stay in the CRM
+ */
+router.delete('/integrations/:id', (req, res, next) => {
+  try {
+    const activePush = jobService.findActivePush(Number(req.params.id));
+    if (activePush) {
+      return res.status(409).json({
+        error: { message: `CRM push job ${activePush.id} is running for integration ${req.params.id}` },
+        data: activePush
+      });
+    }
+
+    const deleted = storage.deleteIntegration(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        error: { message: `Integration ${req.params.id} not found` }
+      });
+    }
+
+    res.json({
+      message: 'Integration deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/integrations/:id/push
+ * Start a background job pushing scored leads to the CRM
+ * Body: {
+ *   offer_id (optional, defaults to the most recent offer),
+ *   lead_ids (optional, defaults to every result of the offer),
+ *   force (optional; also push leads whose current result is already synced)
+ * }
+ * Results outside the integration's filter are not pushed
+ */
+router.post('/integrations/:id/push', (req, res, next) => {
+  try {
+    const { offer_id, lead_ids, force = false } = req.body || {};
+
+    const integration = findIntegration(req.params.id, res);
+    if (!integration) return;
+
+    const validation = validateScoreRequest({ lead_ids });
+    if (typeof force !== 'boolean') {
+      validation.errors.push('force must be a boolean');
+    }
+    if (validation.errors.length > 0) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid push request',
+          details: validation.errors
+        }
+      });
+    }
+
+    if (!integration.active) {
+      return res.status(400).json({
+        error: { message: `Integration ${integration.id} is inactive` }
+      });
+    }
+
+    const offer = offer_id !== undefined ? storage.getOfferById(offer_id) : storage.getOffer();
+    if (!offer) {
+      return res.status(offer_id !== undefined ? 404 : 400).json({
+        error: { message: offer_id !== undefined ? `Offer ${offer_id} not found` : 'No offer found. Please create an offer first using POST /api/offers' }
+      });
+    }
+
+    let results = storage.getScoredLeads(offer.id);
+    if (lead_ids !== undefined) {
+      const ids = lead_ids.map(Number);
+      const missing = ids.filter(id => !results.some(result => result.lead_id === id));
+      if (missing.length > 0) {
+        return res.status(404).json({
+          error: { message: `No results for leads: ${missing.join(', ')}` }
+        });
+      }
+      results = results.filter(result => ids.includes(result.lead_id));
+    }
+
+    const selected = selectResults(integration, results);
+    if (selected.length === 0) {
+      return res.status(400).json({
+        error: { message: `No scored leads to push for offer ${offer.id}` }
+      });
+    }
+
+    const activePush = jobService.findActivePush(integration.id);
+    if (activePush) {
+      return res.status(409).json({
+        error: { message: `CRM push job ${activePush.id} is already running for integration ${integration.id}` },
+        data: activePush
+      });
+    }
+
+    const job = jobService.startCrmPushJob(integration, selected.map(toResultView), { force });
+
+    res.status(202).json({
+      message: 'CRM push job started',
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/integrations/:id/syncs
+ * Sync status of each pushed lead
+ * Query (all optional): status (synced, failed, skipped), lead_id,
+ * sort, limit, offset, cursor
+ */
+router.get('/integrations/:id/syncs', (req, res, next) => {
+  try {
+    const { status, lead_id } = req.query;
+
+    if (!findIntegration(req.params.id, res)) return;
+
+    const errors = validateListQuery(req.query, { defaultSort: SYNCS_DEFAULT_SORT }).errors;
+    const statuses = Object.values(SYNC_STATUS);
+    if (status && !statuses.includes(status)) {
+      errors.push(`status must be one of ${statuses.join(', ')}`);
+    }
+    if (lead_id && !Number.isInteger(Number(lead_id))) {
+      errors.push('lead_id must be an integer');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid query',
+          details: errors
+        }
+      });
+    }
+
+    // A lead has one sync record per integration, so its ID identifies
+    // the record in pagination cursors
+    const syncs = storage.getCrmSyncs(req.params.id)
+      .filter(sync => (!status || sync.status === status) && (!lead_id || sync.lead_id === Number(lead_id)))
+      .map(sync => ({ id: sync.lead_id, ...sync }));
+    const { items, pagination } = paginate(syncs, { ...req.query, defaultSort: SYNCS_DEFAULT_SORT });
+
+    res.json({
+      data: items.map(({ id, ...sync }) => sync),
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
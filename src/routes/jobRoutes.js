@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const jobService = require('../services/jobService');
+const { toResultView } = require('../services/scoringService');
+
+/**
+ * GET /api/jobs/:id
+ * Get job status, progress, ETA and errors
+ */
+router.get('/jobs/:id', (req, res, next) => {
+  try {
+    const job = jobService.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: { message: `Job ${req.params.id} not found` }
+      });
+    }
+
+    res.json({
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/jobs/:id/results
+ * Get the leads scored so far by a scoring job (partial while it runs)
+ */
+router.get('/jobs/:id/results', (req, res, next) => {
+  try {
+    const job = jobService.getJob(req.params.id);
+
+    if (!job || job.type !== 'scoring') {
+      return res.status(404).json({
+        error: { message: `Scoring job ${req.params.id} not found` }
+      });
+    }
+
+    res.json({
+      data: {
+        status: job.status,
+        processed: job.processed,
+        total: job.total,
+        results: jobService.getJobResults(req.params.id).map(toResultView)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/jobs/:id/errors.csv
+ * Download the row errors of an import job as CSV
+ */
+router.get('/jobs/:id/errors.csv', (req, res, next) => {
+  try {
+    const job = jobService.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: { message: `Job ${req.params.id} not found` }
+      });
+    }
+
+    const csv = jobService.getImportErrorCsv(req.params.id);
+    if (!csv) {
+      return res.status(404).json({
+        error: { message: `Job ${req.params.id} has no row errors` }
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="import_${job.id}_errors.csv"`);
+    res.send(csv);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a queued or running job
+ */
+router.delete('/jobs/:id', (req, res, next) => {
+  try {
+    const cancelled = jobService.cancelJob(req.params.id);
+
+    if (cancelled === null) {
+      return res.status(404).json({
+        error: { message: `Job ${req.params.id} not found` }
+      });
+    }
+
+    if (cancelled === false) {
+      return res.status(409).json({
+        error: { message: `Job ${req.params.id} has already finished` }
+      });
+    }
+
+    res.json({
+      message: 'Job cancellation requested',
+      data: jobService.getJob(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
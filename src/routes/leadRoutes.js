@@ -1,89 +1,239 @@
 const express = require('express');
 const router = express.Router();
+const fs = require('fs');
+const os = require('os');
 const multer = require('multer');
-const csvParser = require('csv-parser');
-const { Readable } = require('stream');
 const storage = require('../storage/storage');
-const { validateLead } = require('../validators/validators');
+const jobService = require('../services/jobService');
+const { IMPORT_MODES, MERGE_STRATEGIES, importLeads } = require('../services/leadImportService');
+const { previewFile, ingestRecords } = require('../services/leadIngestionService');
+const { resolveMappingOption } = require('../services/columnMappingService');
+const { isSupportedUpload, detectFormat } = require('../services/importFormats');
+const { filterLeads, paginate } = require('../services/leadQuery');
+const { validateListQuery } = require('../validators/validators');
+const { runInWorkspace, getWorkspaceId } = require('../storage/workspaceContext');
 
-// Configure multer for CSV upload
+const MAX_UPLOAD_MB = parseInt(process.env.UPLOAD_MAX_FILE_SIZE_MB, 10) || 200;
+
+// Configure multer for lead files; files are streamed from disk
 const upload = multer({ 
-  storage: multer.memoryStorage(),
+  dest: os.tmpdir(),
   fileFilter: (req, file, cb) => {
-    if (file.mimetype !== 'text/csv' && !file.originalname.endsWith('.csv')) {
-      return cb(new Error('Only CSV files are allowed'));
+    if (!isSupportedUpload(file)) {
+      return cb(Object.assign(
+        new Error('Only CSV, TSV, JSON, NDJSON and XLSX files are allowed'),
+        { status: 400 }
+      ));
     }
     cb(null, true);
   },
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+    fileSize: MAX_UPLOAD_MB * 1024 * 1024
   }
 });
 
+/**
+ * Parse the uploaded file
+ * multer calls back from busboy's stream events, outside the request's
+ * workspace context, so the route is re-entered in the workspace the
+ * request was authenticated for
+ */
+function uploadFile(req, res, next) {
+  const workspaceId = getWorkspaceId();
+  upload.single('file')(req, res, error => runInWorkspace(workspaceId, () => next(error)));
+}
+
+/**
+ * Upload options shared by the upload and preview endpoints
+ */
+function readOption(req, name) {
+  return req.query[name] || req.body[name];
+}
+
+function readFormatOptions(req) {
+  return {
+    originalName: req.file.originalname,
+    mimetype: req.file.mimetype,
+    format: readOption(req, 'format'),
+    encoding: readOption(req, 'encoding'),
+    delimiter: readOption(req, 'delimiter')
+  };
+}
+
 /**
  * POST /api/leads/upload
- * Upload and parse CSV file with lead data
+ * Upload a file of leads (CSV/TSV, JSON array, NDJSON or XLSX); rows are
+ * streamed, validated and stored. The format, text encoding and CSV
+ * delimiter are detected unless given.
+ * Options (query or form fields):
+ * - mode: replace (default) | append
+ * - strategy: keep_existing (default) | overwrite | fill_empty, for duplicates
+ * - mapping: saved import mapping ID, built-in profile key or JSON object
+ *   of column -> field; detected from the headers when omitted
+ * - format: csv | json | ndjson | xlsx
+ * - encoding: text encoding, e.g. utf-8, utf-16le, windows-1252
+ * - delimiter: CSV delimiter, e.g. ; or tab
+ * - async: true to return a job right away and poll GET /api/jobs/:id
  */
-router.post('/leads/upload', upload.single('file'), async (req, res, next) => {
+router.post('/leads/upload', uploadFile, async (req, res, next) => {
   try {
     if (!req.file) {
       return res.status(400).json({ 
-        error: { message: 'No file uploaded. Please upload a CSV file.' } 
+        error: { message: 'No file uploaded. Please upload a lead file.' } 
+      });
+    }
+
+    const mode = readOption(req, 'mode') || 'replace';
+    const strategy = readOption(req, 'strategy') || 'keep_existing';
+    const runAsync = readOption(req, 'async') === 'true';
+    const { profile, error: mappingError } = resolveMappingOption(readOption(req, 'mapping'));
+    if (!IMPORT_MODES.includes(mode) || !MERGE_STRATEGIES.includes(strategy) || mappingError) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({
+        error: {
+          message: 'Invalid upload options',
+          details: [
+            ...(!IMPORT_MODES.includes(mode) ? [`mode must be one of ${IMPORT_MODES.join(', ')}`] : []),
+            ...(!MERGE_STRATEGIES.includes(strategy) ? [`strategy must be one of ${MERGE_STRATEGIES.join(', ')}`] : []),
+            ...(mappingError ? [mappingError] : [])
+          ]
+        }
       });
     }
 
-    const leads = [];
-    const errors = [];
+    const job = jobService.startImportJob({
+      filePath: req.file.path,
+      fileSize: req.file.size,
+      originalName: req.file.originalname,
+      mode,
+      strategy,
+      mapping: profile,
+      formatOptions: readFormatOptions(req)
+    });
 
-    // Parse CSV
-    const stream = Readable.from(req.file.buffer.toString());
-    
-    await new Promise((resolve, reject) => {
-      stream
-        .pipe(csvParser({
-          mapHeaders: ({ header }) => header.trim().toLowerCase()
-        }))
-        .on('data', (row) => {
-          // Trim all values
-          const trimmedRow = {};
-          Object.keys(row).forEach(key => {
-            trimmedRow[key] = row[key] ? row[key].trim() : '';
-          });
-
-          // Validate row
-          const validation = validateLead(trimmedRow);
-          if (validation.valid) {
-            leads.push(trimmedRow);
-          } else {
-            errors.push({
-              row: trimmedRow,
-              errors: validation.errors
-            });
-          }
-        })
-        .on('end', resolve)
-        .on('error', reject);
+    if (runAsync) {
+      return res.status(202).json({
+        message: 'Lead import started',
+        data: job
+      });
+    }
+
+    const finishedJob = await jobService.waitForJob(job.id);
+
+    if (finishedJob.status !== 'completed') {
+      return res.status(400).json({
+        error: {
+          message: finishedJob.errors.map(error => error.message).join('; ') || 'Lead import failed',
+          ...(finishedJob.summary && { details: finishedJob.summary })
+        }
+      });
+    }
+
+    res.status(201).json({
+      message: 'Leads uploaded successfully',
+      data: {
+        import_id: finishedJob.id,
+        format: finishedJob.format,
+        mode,
+        strategy,
+        ...finishedJob.summary
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/leads/upload/preview
+ * Detect the format and headers of a lead file and show the proposed
+ * column mapping with the first rows as they would be imported.
+ * Nothing is stored. Accepts the same options as the upload.
+ */
+router.post('/leads/upload/preview', uploadFile, async (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({ 
+      error: { message: 'No file uploaded. Please upload a lead file.' } 
     });
+  }
+
+  try {
+    const { profile, error: mappingError } = resolveMappingOption(readOption(req, 'mapping'));
+    if (mappingError) {
+      return res.status(400).json({
+        error: { message: 'Invalid upload options', details: [mappingError] }
+      });
+    }
+
+    const detected = await detectFormat(req.file.path, readFormatOptions(req));
+    const preview = await previewFile(req.file.path, { detected, mapping: profile });
+
+    res.json({
+      data: {
+        format: detected,
+        ...preview
+      }
+    });
+  } catch (error) {
+    next(error);
+  } finally {
+    fs.promises.unlink(req.file.path).catch(() => {});
+  }
+});
+
+/**
+ * POST /api/leads
+ * Import leads sent as JSON: an array of leads, or
+ * { leads: [...], mode, strategy, mapping } with the upload options
+ */
+router.post('/leads', (req, res, next) => {
+  try {
+    const body = Array.isArray(req.body) ? { leads: req.body } : req.body;
+    const { leads: records, mode = 'replace', strategy = 'keep_existing' } = body;
+
+    const details = [
+      ...(!Array.isArray(records) || records.length === 0 ? ['leads must be a non-empty array'] : []),
+      ...(!IMPORT_MODES.includes(mode) ? [`mode must be one of ${IMPORT_MODES.join(', ')}`] : []),
+      ...(!MERGE_STRATEGIES.includes(strategy) ? [`strategy must be one of ${MERGE_STRATEGIES.join(', ')}`] : [])
+    ];
+    const { profile, error: mappingError } = resolveMappingOption(body.mapping);
+    if (mappingError) details.push(mappingError);
+
+    if (details.length > 0) {
+      return res.status(400).json({
+        error: { message: 'Invalid lead import', details }
+      });
+    }
+
+    const { leads, errors, totalRows, mapping } = ingestRecords(records, { mapping: profile });
 
     if (leads.length === 0) {
       return res.status(400).json({
-        error: { 
-          message: 'No valid leads found in CSV',
+        error: {
+          message: 'No valid leads found',
           details: errors
         }
       });
     }
 
-    // Store leads
-    storage.setLeads(leads);
+    const result = importLeads(leads, { mode, strategy });
 
     res.status(201).json({
-      message: 'Leads uploaded successfully',
+      message: 'Leads imported successfully',
       data: {
-        total_uploaded: leads.length,
+        mode,
+        strategy,
+        mapping,
+        total_rows: totalRows,
         total_errors: errors.length,
-        leads: leads,
-        ...(errors.length > 0 && { validation_errors: errors })
+        total_uploaded: leads.length,
+        created: result.created,
+        updated: result.updated,
+        kept_ids: result.kept_ids,
+        total_duplicates: result.duplicates.length,
+        total_leads: result.leads.length,
+        ...(errors.length > 0 && { validation_errors: errors }),
+        ...(result.duplicates.length > 0 && { duplicates: result.duplicates })
       }
     });
   } catch (error) {
@@ -93,10 +243,24 @@ router.post('/leads/upload', upload.single('file'), async (req, res, next) => {
 
 /**
  * GET /api/leads
- * Retrieve uploaded leads
+ * Retrieve uploaded leads, a page at a time
+ * Query (all optional):
+ * - name, role, company, industry, location: substring match; q: free text
+ * - sort: e.g. id (default), -uploadedAt, company
+ * - limit (default 100), offset or cursor (next_cursor of the previous page)
  */
 router.get('/leads', (req, res, next) => {
   try {
+    const validation = validateListQuery(req.query);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid query',
+          details: validation.errors
+        }
+      });
+    }
+
     const leads = storage.getLeads();
     
     if (leads.length === 0) {
@@ -105,11 +269,14 @@ router.get('/leads', (req, res, next) => {
       });
     }
 
+    const { items, pagination } = paginate(filterLeads(leads, req.query), req.query);
+
     res.json({
       data: {
-        total: leads.length,
-        leads: leads
-      }
+        total: pagination.total,
+        leads: items
+      },
+      pagination
     });
   } catch (error) {
     next(error);
@@ -1,13 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const storage = require('../storage/storage');
+const jobService = require('../services/jobService');
 const { validateOffer } = require('../validators/validators');
 
 /**
- * POST /api/offer
- * Accept and store product/offer information
+ * Create an offer from a validated request body
  */
-router.post('/offer', (req, res, next) => {
+function createOffer(req, res, next) {
   try {
     const { name, value_props, ideal_use_cases } = req.body;
 
@@ -23,7 +23,7 @@ router.post('/offer', (req, res, next) => {
     }
 
     // Store offer
-    const offer = storage.setOffer({
+    const offer = storage.createOffer({
       name,
       value_props,
       ideal_use_cases
@@ -36,11 +36,18 @@ router.post('/offer', (req, res, next) => {
   } catch (error) {
     next(error);
   }
-});
+}
+
+/**
+ * POST /api/offer
+ * Accept and store product/offer information
+ * Each call creates a new offer; existing offers are kept
+ */
+router.post('/offer', createOffer);
 
 /**
  * GET /api/offer
- * Retrieve current offer
+ * Retrieve the most recently created offer
  */
 router.get('/offer', (req, res, next) => {
   try {
@@ -60,4 +67,122 @@ router.get('/offer', (req, res, next) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * POST /api/offers
+ * Create a new offer
+ */
+router.post('/offers', createOffer);
+
+/**
+ * GET /api/offers
+ * List all offers
+ */
+router.get('/offers', (req, res, next) => {
+  try {
+    const offers = storage.getOffers();
+
+    res.json({
+      data: {
+        total: offers.length,
+        offers: offers
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/offers/:id
+ * Retrieve a single offer
+ */
+router.get('/offers/:id', (req, res, next) => {
+  try {
+    const offer = storage.getOfferById(req.params.id);
+
+    if (!offer) {
+      return res.status(404).json({
+        error: { message: `Offer ${req.params.id} not found` }
+      });
+    }
+
+    res.json({
+      data: offer
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/offers/:id
+ * Replace an offer's details
+ */
+router.put('/offers/:id', (req, res, next) => {
+  try {
+    const { name, value_props, ideal_use_cases } = req.body;
+
+    if (!storage.getOfferById(req.params.id)) {
+      return res.status(404).json({
+        error: { message: `Offer ${req.params.id} not found` }
+      });
+    }
+
+    const validation = validateOffer(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid offer data',
+          details: validation.errors
+        }
+      });
+    }
+
+    const offer = storage.updateOffer(req.params.id, {
+      name,
+      value_props,
+      ideal_use_cases
+    });
+
+    res.json({
+      message: 'Offer updated successfully',
+      data: offer
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/offers/:id
+ * Delete an offer and the results scored against it
+ * 409 while a scoring job runs for the offer, as the job would store its
+ * results for the deleted offer when it finishes
+ */
+router.delete('/offers/:id', (req, res, next) => {
+  try {
+    const activeJob = jobService.findActiveJob(Number(req.params.id));
+    if (activeJob) {
+      return res.status(409).json({
+        error: { message: `Scoring job ${activeJob.id} is running for offer ${req.params.id}; cancel it before deleting the offer` },
+        data: activeJob
+      });
+    }
+
+    const deleted = storage.deleteOffer(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: { message: `Offer ${req.params.id} not found` }
+      });
+    }
+
+    res.json({
+      message: 'Offer deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+const express = require('express');
+const router = express.Router();
+const storage = require('../storage/storage');
+const { paginate, normalizeIntent } = require('../services/leadQuery');
+const { OUTCOMES, LOST_INTENTS, buildCalibration } = require('../services/calibrationService');
+const { validateOutcome, validateListQuery } = require('../validators/validators');
+
+// Most recently recorded first
+const OUTCOMES_DEFAULT_SORT = '-id';
+
+function invalidQuery(res, errors) {
+  return res.status(400).json({
+    error: {
+      message: 'Invalid query',
+      details: errors
+    }
+  });
+}
+
+/**
+ * POST /api/leads/:id/outcome
+ * Record what happened with a lead
+ * Body: {
+ *   outcome: won, meeting_booked, lost or no_response,
+ *   notes (optional),
+ *   occurred_at (optional ISO 8601 date, defaults to now)
+ * }
+ * A lead can have several outcomes; calibration uses the latest.
+ */
+router.post('/leads/:id/outcome', (req, res, next) => {
+  try {
+    const lead = storage.getLeadById(req.params.id);
+    if (!lead) {
+      return res.status(404).json({
+        error: { message: `Lead ${req.params.id} not found` }
+      });
+    }
+
+    const validation = validateOutcome(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid outcome data',
+          details: validation.errors
+        }
+      });
+    }
+
+    const { outcome, notes, occurred_at } = req.body;
+    const recorded = storage.createOutcome({
+      lead_id: lead.id,
+      outcome,
+      notes: notes || null,
+      // Stored in one format so outcomes order by when they happened
+      occurredAt: occurred_at ? new Date(occurred_at).toISOString() : new Date().toISOString()
+    });
+
+    res.status(201).json({
+      message: 'Outcome recorded successfully',
+      data: recorded
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/leads/:id/outcomes
+ * Outcomes recorded for a lead, oldest first
+ */
+router.get('/leads/:id/outcomes', (req, res, next) => {
+  try {
+    const lead = storage.getLeadById(req.params.id);
+    if (!lead) {
+      return res.status(404).json({
+        error: { message: `Lead ${req.params.id} not found` }
+      });
+    }
+
+    res.json({
+      data: storage.getLeadOutcomes(lead.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/outcomes
+ * List recorded outcomes, most recently recorded first
+ * Query (all optional): outcome, lead_id, sort, limit, offset, cursor
+ */
+router.get('/outcomes', (req, res, next) => {
+  try {
+    const { outcome, lead_id } = req.query;
+
+    const errors = validateListQuery(req.query, { defaultSort: OUTCOMES_DEFAULT_SORT }).errors;
+    if (outcome && !OUTCOMES.includes(outcome)) {
+      errors.push(`outcome must be one of ${OUTCOMES.join(', ')}`);
+    }
+    if (lead_id && !Number.isInteger(Number(lead_id))) {
+      errors.push('lead_id must be an integer');
+    }
+    if (errors.length > 0) return invalidQuery(res, errors);
+
+    const outcomes = storage.getOutcomes()
+      .filter(item => (!outcome || item.outcome === outcome) && (!lead_id || item.lead_id === Number(lead_id)));
+    const { items, pagination } = paginate(outcomes, { ...req.query, defaultSort: OUTCOMES_DEFAULT_SORT });
+
+    res.json({
+      data: items,
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/calibration
+ * Precision and recall of each intent against recorded outcomes, with
+ * suggested rule weights and intent thresholds
+ * Query (all optional):
+ * - offer_id: defaults to the most recent offer
+ * - lost_intent: intent lost leads should have had, medium (default) or low
+ * The offer's current results are compared with the latest outcome of
+ * each lead; suggestions need outcomes for enough scored leads.
+ */
+router.get('/calibration', (req, res, next) => {
+  try {
+    const { offer_id, lost_intent } = req.query;
+
+    const errors = [];
+    if (offer_id !== undefined && !Number.isInteger(Number(offer_id))) {
+      errors.push('offer_id must be an integer');
+    }
+    const lostIntent = lost_intent === undefined ? undefined : normalizeIntent(lost_intent);
+    if (lost_intent !== undefined && !LOST_INTENTS.includes(lostIntent)) {
+      errors.push(`lost_intent must be one of ${LOST_INTENTS.map(intent => intent.toLowerCase()).join(', ')}`);
+    }
+    if (errors.length > 0) return invalidQuery(res, errors);
+
+    const offer = offer_id !== undefined ? storage.getOfferById(offer_id) : storage.getOffer();
+    if (!offer) {
+      return offer_id !== undefined
+        ? res.status(404).json({ error: { message: `Offer ${offer_id} not found` } })
+        : res.status(400).json({ error: { message: 'No offer found. Please create an offer first using POST /api/offers' } });
+    }
+
+    const config = storage.getScoringConfig();
+    res.json({
+      data: {
+        offer_id: offer.id,
+        scoring_config_version: config.version,
+        ...buildCalibration(storage.getScoredLeads(offer.id), storage.getOutcomes(), config, { lostIntent })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const storage = require('../storage/storage');
+const { filterResults, paginate } = require('../services/leadQuery');
+const { DIFF_CHANGES, toRunSummary, compareRuns, selectChanges } = require('../services/runService');
+const { validateListQuery } = require('../validators/validators');
+
+// Newest runs first
+const RUNS_DEFAULT_SORT = '-id';
+const RESULTS_DEFAULT_SORT = '-score';
+const CHANGES_DEFAULT_SORT = 'lead_id';
+
+const RUN_STATUSES = ['completed', 'cancelled', 'failed'];
+
+function invalidQuery(res, errors) {
+  return res.status(400).json({
+    error: {
+      message: 'Invalid query',
+      details: errors
+    }
+  });
+}
+
+/**
+ * Look up a run by ID
+ * Sends the 404 response and returns null when it does not exist
+ */
+function findRun(id, res) {
+  const run = storage.getRunById(id);
+  if (run) return run;
+
+  res.status(404).json({
+    error: { message: `Run ${id} not found` }
+  });
+  return null;
+}
+
+/**
+ * GET /api/runs
+ * List scoring runs, newest first
+ * Query (all optional): offer_id, status (completed, cancelled, failed),
+ * sort, limit, offset, cursor
+ */
+router.get('/runs', (req, res, next) => {
+  try {
+    const { offer_id, status } = req.query;
+
+    const errors = validateListQuery(req.query, { defaultSort: RUNS_DEFAULT_SORT }).errors;
+    if (offer_id && !Number.isInteger(Number(offer_id))) {
+      errors.push('offer_id must be an integer');
+    }
+    if (status && !RUN_STATUSES.includes(status)) {
+      errors.push(`status must be one of ${RUN_STATUSES.join(', ')}`);
+    }
+    if (errors.length > 0) return invalidQuery(res, errors);
+
+    const runs = storage.getRuns()
+      .filter(run => (!offer_id || run.offer_id === Number(offer_id)) && (!status || run.status === status));
+    const { items, pagination } = paginate(runs, { ...req.query, defaultSort: RUNS_DEFAULT_SORT });
+
+    res.json({
+      data: items.map(toRunSummary),
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/runs/diff
+ * Compare the results of two runs lead by lead
+ * Query:
+ * - base, compare: run IDs (required)
+ * - change: intent (default; leads whose intent moved), score, all
+ * - direction: up or down (intent moves only)
+ * - sort (default lead_id, e.g. -score_change), limit, offset, cursor
+ */
+router.get('/runs/diff', (req, res, next) => {
+  try {
+    const { base, compare, change = 'intent', direction } = req.query;
+
+    const errors = validateListQuery(req.query, { defaultSort: CHANGES_DEFAULT_SORT }).errors;
+    ['base', 'compare'].forEach(field => {
+      if (!req.query[field] || !Number.isInteger(Number(req.query[field]))) {
+        errors.push(`${field} is required and must be a run ID`);
+      }
+    });
+    if (!DIFF_CHANGES.includes(change)) {
+      errors.push(`change must be one of ${DIFF_CHANGES.join(', ')}`);
+    }
+    if (direction && !['up', 'down'].includes(direction)) {
+      errors.push('direction must be up or down');
+    }
+    if (errors.length > 0) return invalidQuery(res, errors);
+
+    const baseRun = findRun(base, res);
+    if (!baseRun) return;
+    const compareRun = findRun(compare, res);
+    if (!compareRun) return;
+
+    const { summary, changes } = compareRuns(storage.getRunResults(baseRun.id), storage.getRunResults(compareRun.id));
+    // A lead appears once per diff, so its ID identifies the change in
+    // pagination cursors
+    const selected = selectChanges(changes, { change, direction })
+      .map(item => ({ id: item.lead_id, ...item }));
+    const { items, pagination } = paginate(selected, { ...req.query, defaultSort: CHANGES_DEFAULT_SORT });
+
+    res.json({
+      data: {
+        base: toRunSummary(baseRun),
+        compare: toRunSummary(compareRun),
+        summary,
+        changes: items.map(({ id, ...item }) => item)
+      },
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/runs/:id
+ * Retrieve a run with the offer and scoring config it used
+ */
+router.get('/runs/:id', (req, res, next) => {
+  try {
+    const run = findRun(req.params.id, res);
+    if (!run) return;
+
+    res.json({
+      data: {
+        ...run,
+        total_results: storage.getRunResults(run.id).length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/runs/:id/results
+ * Results of a run as they were when it completed, a page at a time
+ * Query: the filters, sort and pagination of GET /api/results
+ */
+router.get('/runs/:id/results', (req, res, next) => {
+  try {
+    const run = findRun(req.params.id, res);
+    if (!run) return;
+
+    const validation = validateListQuery(req.query, { defaultSort: RESULTS_DEFAULT_SORT });
+    if (!validation.valid) return invalidQuery(res, validation.errors);
+
+    const { items, pagination } = paginate(filterResults(storage.getRunResults(run.id), req.query), {
+      ...req.query,
+      defaultSort: RESULTS_DEFAULT_SORT
+    });
+
+    res.json({
+      data: items,
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
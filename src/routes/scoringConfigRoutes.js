@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const storage = require('../storage/storage');
+const { DEFAULT_SCORING_CONFIG } = require('../config/scoringConfig');
+const { validateScoringConfig } = require('../validators/validators');
+
+/**
+ * GET /api/scoring/config
+ * Retrieve the current scoring config
+ */
+router.get('/scoring/config', (req, res, next) => {
+  try {
+    res.json({
+      data: storage.getScoringConfig()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/scoring/config
+ * Save a new version of the scoring config
+ * Body: full config (rules, custom_rules, ai_scores, thresholds, enrichment)
+ * enrichment defaults to the built-in enrichers when omitted
+ */
+router.put('/scoring/config', (req, res, next) => {
+  try {
+    const { rules, custom_rules = [], ai_scores, thresholds, enrichment = DEFAULT_SCORING_CONFIG.enrichment } = req.body;
+
+    const validation = validateScoringConfig(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid scoring config',
+          details: validation.errors
+        }
+      });
+    }
+
+    const config = storage.saveScoringConfig({
+      rules,
+      custom_rules,
+      ai_scores,
+      thresholds,
+      enrichment
+    });
+
+    res.json({
+      message: 'Scoring config saved successfully',
+      data: config
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/scoring/config/versions
+ * List all saved scoring config versions
+ */
+router.get('/scoring/config/versions', (req, res, next) => {
+  try {
+    const versions = storage.getScoringConfigVersions();
+
+    res.json({
+      data: {
+        total: versions.length,
+        versions: versions.map(config => ({
+          version: config.version,
+          createdAt: config.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/scoring/config/versions/:version
+ * Retrieve a specific scoring config version
+ */
+router.get('/scoring/config/versions/:version', (req, res, next) => {
+  try {
+    const config = storage.getScoringConfigVersion(req.params.version);
+
+    if (!config) {
+      return res.status(404).json({
+        error: { message: `Scoring config version ${req.params.version} not found` }
+      });
+    }
+
+    res.json({
+      data: config
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
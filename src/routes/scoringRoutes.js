@@ -1,49 +1,201 @@
 const express = require('express');
 const router = express.Router();
 const storage = require('../storage/storage');
-const { scoreAllLeads } = require('../services/scoringService');
+const jobService = require('../services/jobService');
+const webhookService = require('../services/webhookService');
+const aiConfig = require('../config/aiConfig');
+const { scoreLead, toResultView, enrichmentEntries, usageEntries, summarizeUsage } = require('../services/scoringService');
+const { selectLeads, filterResults, sortItems, paginate } = require('../services/leadQuery');
+const { EXPORT_FORMATS, resolveColumns, indexLeads, writeExport } = require('../services/exportService');
+const { validateLead, validateOffer, validateScoreRequest, validateListQuery } = require('../validators/validators');
+
+const NO_RESULTS_MESSAGE = 'No scored results found. Please run scoring first using POST /api/score';
+
+// Results are listed highest score first unless another sort is given
+const RESULTS_DEFAULT_SORT = '-score';
+
+/**
+ * Look up the offer for a scoring request (latest offer when no ID)
+ * Sends the error response and returns null when it does not exist
+ */
+function resolveOffer(offerId, res) {
+  const offer = offerId !== undefined ? storage.getOfferById(offerId) : storage.getOffer();
+  if (offer) return offer;
+
+  if (offerId !== undefined) {
+    res.status(404).json({
+      error: { message: `Offer ${offerId} not found` }
+    });
+  } else {
+    res.status(400).json({
+      error: { message: 'No offer found. Please create an offer first using POST /api/offers' }
+    });
+  }
+  return null;
+}
 
 /**
  * POST /api/score
- * Run scoring pipeline on uploaded leads
+ * Start a background scoring job for uploaded leads
+ * Body: {
+ *   offer_id (optional, defaults to the most recent offer),
+ *   lead_ids, filter (optional; score only a subset and merge the results),
+ *   budget_usd (optional, defaults to AI_RUN_BUDGET_USD; null for no cap)
+ * }
  */
-router.post('/score', async (req, res, next) => {
+router.post('/score', (req, res, next) => {
   try {
-    // Check if offer exists
-    const offer = storage.getOffer();
-    if (!offer) {
+    const { offer_id, lead_ids, filter, budget_usd = aiConfig.pricing.runBudgetUsd } = req.body || {};
+
+    const validation = validateScoreRequest(req.body || {});
+    if (!validation.valid) {
       return res.status(400).json({
-        error: { message: 'No offer found. Please create an offer first using POST /api/offer' }
+        error: {
+          message: 'Invalid scoring request',
+          details: validation.errors
+        }
       });
     }
 
+    // Check if offer exists
+    const offer = resolveOffer(offer_id, res);
+    if (!offer) return;
+
     // Check if leads exist
-    const leads = storage.getLeads();
-    if (leads.length === 0) {
+    const allLeads = storage.getLeads();
+    if (allLeads.length === 0) {
       return res.status(400).json({
         error: { message: 'No leads found. Please upload leads first using POST /api/leads/upload' }
       });
     }
 
-    console.log(`Starting scoring for ${leads.length} leads...`);
-    
-    // Score all leads
-    const scoredLeads = await scoreAllLeads(leads, offer);
-    
-    // Store scored results
-    storage.setScoredLeads(scoredLeads);
+    const isSubset = lead_ids !== undefined || filter !== undefined;
+    const { leads, missingIds } = selectLeads(allLeads, { lead_ids, filter });
+    if (missingIds.length > 0) {
+      return res.status(404).json({
+        error: { message: `Leads not found: ${missingIds.join(', ')}` }
+      });
+    }
+    if (leads.length === 0) {
+      return res.status(400).json({
+        error: { message: 'No leads match the given filter' }
+      });
+    }
 
-    console.log('Scoring completed successfully');
+    const activeJob = jobService.findActiveJob(offer.id);
+    if (activeJob) {
+      return res.status(409).json({
+        error: { message: `Scoring job ${activeJob.id} is already running for offer ${offer.id}` },
+        data: activeJob
+      });
+    }
 
-    res.json({
-      message: 'Leads scored successfully',
-      data: {
-        total_leads: scoredLeads.length,
-        high_intent: scoredLeads.filter(l => l.intent === 'High').length,
-        medium_intent: scoredLeads.filter(l => l.intent === 'Medium').length,
-        low_intent: scoredLeads.filter(l => l.intent === 'Low').length,
-        average_score: Math.round(scoredLeads.reduce((sum, l) => sum + l.score, 0) / scoredLeads.length)
+    console.log(`Starting scoring job for ${leads.length} leads against offer ${offer.id}...`);
+
+    // Score in the background; progress is polled via GET /api/jobs/:id
+    const job = jobService.startScoringJob(leads, offer, storage.getScoringConfig(), {
+      merge: isSubset,
+      budgetUsd: budget_usd
+    });
+
+    res.status(202).json({
+      message: 'Scoring job started',
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/score/preview
+ * Score an ad-hoc lead without storing anything
+ * Body: { lead, offer_id } or { lead, offer } with an inline offer
+ */
+router.post('/score/preview', async (req, res, next) => {
+  try {
+    const { lead, offer: inlineOffer, offer_id } = req.body || {};
+
+    const leadValidation = validateLead(lead || {});
+    if (!leadValidation.valid) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid lead data',
+          details: leadValidation.errors
+        }
+      });
+    }
+
+    let offer;
+    if (inlineOffer) {
+      const offerValidation = validateOffer(inlineOffer);
+      if (!offerValidation.valid) {
+        return res.status(400).json({
+          error: {
+            message: 'Invalid offer data',
+            details: offerValidation.errors
+          }
+        });
       }
+      offer = inlineOffer;
+    } else {
+      offer = resolveOffer(offer_id, res);
+      if (!offer) return;
+    }
+
+    const scored = await scoreLead(lead, offer, storage.getScoringConfig());
+    // The result is not stored but the tokens were spent
+    storage.recordAiUsage(usageEntries([scored]));
+
+    res.json({
+      message: 'Lead scored (preview, not stored)',
+      data: scored
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/leads/:id/score
+ * Re-score a single lead and merge its result
+ * Body: { offer_id } (optional, defaults to the most recent offer)
+ * 409 while a scoring job is running for the offer
+ */
+router.post('/leads/:id/score', async (req, res, next) => {
+  try {
+    const { offer_id } = req.body || {};
+
+    const lead = storage.getLeadById(req.params.id);
+    if (!lead) {
+      return res.status(404).json({
+        error: { message: `Lead ${req.params.id} not found` }
+      });
+    }
+
+    const offer = resolveOffer(offer_id, res);
+    if (!offer) return;
+
+    // The job would overwrite this result when it stores its own
+    const activeJob = jobService.findActiveJob(offer.id);
+    if (activeJob) {
+      return res.status(409).json({
+        error: { message: `Scoring job ${activeJob.id} is already running for offer ${offer.id}` },
+        data: activeJob
+      });
+    }
+
+    const scored = await scoreLead(lead, offer, storage.getScoringConfig());
+    const [result] = storage.mergeScoredLeads([scored], offer.id);
+    storage.saveLeadEnrichments(enrichmentEntries([scored]));
+    storage.recordAiUsage(usageEntries([scored]));
+    const view = toResultView(result);
+    webhookService.emitResults([view], { offerId: offer.id });
+    jobService.pushAfterScoring([view]);
+
+    res.json({
+      message: 'Lead scored successfully',
+      data: view
     });
   } catch (error) {
     next(error);
@@ -52,31 +204,41 @@ router.post('/score', async (req, res, next) => {
 
 /**
  * GET /api/results
- * Retrieve scored leads
+ * Retrieve scored leads, a page at a time
+ * Query (all optional):
+ * - offer_id, intent, min_score, max_score
+ * - name, role, company, industry, location: substring match; q: free text
+ * - sort: e.g. -score (default), name, details.ai_score
+ * - limit (default 100), offset or cursor (next_cursor of the previous page)
  */
 router.get('/results', (req, res, next) => {
   try {
-    const scoredLeads = storage.getScoredLeads();
+    const validation = validateListQuery(req.query, { defaultSort: RESULTS_DEFAULT_SORT });
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid query',
+          details: validation.errors
+        }
+      });
+    }
+
+    const scoredLeads = storage.getScoredLeads(req.query.offer_id);
     
     if (scoredLeads.length === 0) {
       return res.status(404).json({
-        error: { message: 'No scored results found. Please run scoring first using POST /api/score' }
+        error: { message: NO_RESULTS_MESSAGE }
       });
     }
 
-    // Optional: Filter by intent
-    const { intent } = req.query;
-    let filteredLeads = scoredLeads;
-    
-    if (intent) {
-      const intentUpper = intent.charAt(0).toUpperCase() + intent.slice(1).toLowerCase();
-      if (['High', 'Medium', 'Low'].includes(intentUpper)) {
-        filteredLeads = scoredLeads.filter(l => l.intent === intentUpper);
-      }
-    }
+    const { items, pagination } = paginate(filterResults(scoredLeads, req.query), {
+      ...req.query,
+      defaultSort: RESULTS_DEFAULT_SORT
+    });
 
     res.json({
-      data: filteredLeads
+      data: items.map(toResultView),
+      pagination
     });
   } catch (error) {
     next(error);
@@ -85,41 +247,89 @@ router.get('/results', (req, res, next) => {
 
 /**
  * GET /api/results/export
- * Export results as CSV
+ * Export results
+ * Query:
+ * - format: csv (default) | tsv | json | ndjson | xlsx
+ * - columns: comma-separated columns; rule_<id>, custom_<attribute>,
+ *   rule_* and custom_* are accepted
+ * - breakdown=true: add score breakdown and per-rule columns to the defaults
+ * - filters and sort of GET /api/results; all matching results are exported
  */
-router.get('/results/export', (req, res, next) => {
+router.get('/results/export', async (req, res, next) => {
   try {
-    const scoredLeads = storage.getScoredLeads();
+    const scoredLeads = storage.getScoredLeads(req.query.offer_id);
     
     if (scoredLeads.length === 0) {
       return res.status(404).json({
-        error: { message: 'No scored results found. Please run scoring first using POST /api/score' }
+        error: { message: NO_RESULTS_MESSAGE }
       });
     }
 
-    // Build CSV
-    const headers = ['name', 'role', 'company', 'industry', 'location', 'intent', 'score', 'reasoning'];
-    const csvRows = [headers.join(',')];
-    
-    scoredLeads.forEach(lead => {
-      const row = [
-        `"${lead.name}"`,
-        `"${lead.role}"`,
-        `"${lead.company}"`,
-        `"${lead.industry}"`,
-        `"${lead.location}"`,
-        lead.intent,
-        lead.score,
-        `"${lead.reasoning.replace(/"/g, '""')}"` // Escape quotes
-      ];
-      csvRows.push(row.join(','));
+    const format = req.query.format || 'csv';
+    const validation = validateListQuery(req.query, { defaultSort: RESULTS_DEFAULT_SORT });
+    if (!EXPORT_FORMATS[format] || !validation.valid) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid export options',
+          details: [
+            ...(!EXPORT_FORMATS[format] ? [`format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`] : []),
+            ...validation.errors
+          ]
+        }
+      });
+    }
+
+    const results = sortItems(filterResults(scoredLeads, req.query), req.query.sort, RESULTS_DEFAULT_SORT);
+    const leadsById = indexLeads();
+    const { columns, errors } = resolveColumns(results, leadsById, {
+      columns: req.query.columns,
+      breakdown: req.query.breakdown === 'true'
     });
+    if (errors) {
+      return res.status(400).json({
+        error: { message: 'Invalid export options', details: errors }
+      });
+    }
+
+    await writeExport(res, results, { format, columns, leadsById });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/results/:id/explanation
+ * Full structured breakdown of how a result was scored
+ */
+router.get('/results/:id/explanation', (req, res, next) => {
+  try {
+    const scoredLead = storage.getScoredLeadById(req.params.id);
 
-    const csv = csvRows.join('\n');
+    if (!scoredLead) {
+      return res.status(404).json({
+        error: { message: `Result ${req.params.id} not found` }
+      });
+    }
 
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', 'attachment; filename="scored_leads.csv"');
-    res.send(csv);
+    if (!scoredLead.explanation) {
+      return res.status(404).json({
+        error: { message: `No explanation stored for result ${req.params.id}. Re-run scoring to record one.` }
+      });
+    }
+
+    res.json({
+      data: {
+        result_id: scoredLead.id,
+        lead_id: scoredLead.lead_id,
+        offer_id: scoredLead.offer_id,
+        name: scoredLead.name,
+        company: scoredLead.company,
+        intent: scoredLead.intent,
+        score: scoredLead.score,
+        scoredAt: scoredLead.scoredAt,
+        ...scoredLead.explanation
+      }
+    });
   } catch (error) {
     next(error);
   }
@@ -128,14 +338,15 @@ router.get('/results/export', (req, res, next) => {
 /**
  * GET /api/results/summary
  * Get scoring summary statistics
+ * Query: offer_id (optional)
  */
 router.get('/results/summary', (req, res, next) => {
   try {
-    const scoredLeads = storage.getScoredLeads();
+    const scoredLeads = storage.getScoredLeads(req.query.offer_id);
     
     if (scoredLeads.length === 0) {
       return res.status(404).json({
-        error: { message: 'No scored results found. Please run scoring first using POST /api/score' }
+        error: { message: NO_RESULTS_MESSAGE }
       });
     }
 
@@ -151,7 +362,10 @@ router.get('/results/summary', (req, res, next) => {
         highest: Math.max(...scoredLeads.map(l => l.score)),
         lowest: Math.min(...scoredLeads.map(l => l.score))
       },
-      top_leads: scoredLeads.slice(0, 5).map(l => ({
+      // Tokens and estimated cost behind the stored results
+      ai_usage: summarizeUsage(scoredLeads),
+      top_leads: sortItems(scoredLeads, RESULTS_DEFAULT_SORT).slice(0, 5).map(l => ({
+        offer_id: l.offer_id,
         name: l.name,
         company: l.company,
         score: l.score,
@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const storage = require('../storage/storage');
+const aiConfig = require('../config/aiConfig');
+const { getPrices, roundCost } = require('../services/aiPricing');
+const { validateUsageQuery } = require('../validators/validators');
+
+// Days covered when no range is given, today included
+const DEFAULT_RANGE_DAYS = 30;
+
+function daysBefore(date, days) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - days);
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Add up ledger rows (see storage.recordAiUsage)
+ */
+function totalUsage(rows) {
+  const sum = key => rows.reduce((total, row) => total + row[key], 0);
+  return {
+    leads: sum('leads'),
+    prompt_tokens: sum('prompt_tokens'),
+    completion_tokens: sum('completion_tokens'),
+    total_tokens: sum('prompt_tokens') + sum('completion_tokens'),
+    cost_usd: roundCost(sum('cost_usd')),
+    unpriced_leads: sum('unpriced_leads')
+  };
+}
+
+/**
+ * GET /api/usage
+ * AI tokens and estimated cost per day, with each day's models
+ * Query: from, to (optional, YYYY-MM-DD in UTC; the last 30 days by default)
+ */
+router.get('/usage', (req, res, next) => {
+  try {
+    const validation = validateUsageQuery(req.query);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid usage query',
+          details: validation.errors
+        }
+      });
+    }
+
+    const to = req.query.to || new Date().toISOString().slice(0, 10);
+    const from = req.query.from || daysBefore(to, DEFAULT_RANGE_DAYS - 1);
+    const rows = storage.getAiUsage({ from, to });
+
+    const dates = [...new Set(rows.map(row => row.date))].sort();
+    const days = dates.map(date => {
+      const dayRows = rows.filter(row => row.date === date);
+      return {
+        date,
+        ...totalUsage(dayRows),
+        models: dayRows.map(({ date: _date, ...row }) => ({
+          ...row,
+          total_tokens: row.prompt_tokens + row.completion_tokens
+        }))
+      };
+    });
+
+    res.json({
+      data: {
+        from,
+        to,
+        totals: totalUsage(rows),
+        days,
+        run_budget_usd: aiConfig.pricing.runBudgetUsd || null,
+        prices: getPrices()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,258 @@
+const express = require('express');
+const router = express.Router();
+const storage = require('../storage/storage');
+const webhookService = require('../services/webhookService');
+const { WEBHOOK_EVENTS, DELIVERY_STATUS, generateSecret, toWebhookView } = require('../services/webhookService');
+const { paginate } = require('../services/leadQuery');
+const { validateWebhook, validateListQuery } = require('../validators/validators');
+
+// Deliveries are listed newest first
+const DELIVERIES_DEFAULT_SORT = '-id';
+
+/**
+ * Look up a webhook by ID
+ * Sends the 404 response and returns null when it does not exist
+ */
+function findWebhook(id, res) {
+  const webhook = storage.getWebhookById(id);
+  if (webhook) return webhook;
+
+  res.status(404).json({
+    error: { message: `Webhook ${id} not found` }
+  });
+  return null;
+}
+
+/**
+ * POST /api/webhooks
+ * Subscribe a URL to events
+ * Body: { url, events, secret (optional, generated when omitted), description, active }
+ * The secret is only returned in this response
+ */
+router.post('/webhooks', (req, res, next) => {
+  try {
+    const { url, events, secret = generateSecret(), description = '', active = true } = req.body || {};
+
+    const validation = validateWebhook(req.body || {});
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid webhook',
+          details: validation.errors
+        }
+      });
+    }
+
+    const webhook = storage.createWebhook({ url, events: [...new Set(events)], secret, description, active });
+
+    res.status(201).json({
+      message: 'Webhook created successfully. Store the secret now; it is not shown again',
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks
+ * List webhooks and the events they can subscribe to
+ */
+router.get('/webhooks', (req, res, next) => {
+  try {
+    const webhooks = storage.getWebhooks();
+
+    res.json({
+      data: {
+        total: webhooks.length,
+        webhooks: webhooks.map(toWebhookView),
+        events: WEBHOOK_EVENTS
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ * Retrieve a webhook
+ */
+router.get('/webhooks/:id', (req, res, next) => {
+  try {
+    const webhook = findWebhook(req.params.id, res);
+    if (!webhook) return;
+
+    res.json({
+      data: toWebhookView(webhook)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Replace a webhook's URL, events, description and active flag
+ * A secret in the body rotates the signing secret
+ */
+router.put('/webhooks/:id', (req, res, next) => {
+  try {
+    const { url, events, secret, description = '', active = true } = req.body || {};
+
+    if (!findWebhook(req.params.id, res)) return;
+
+    const validation = validateWebhook(req.body || {});
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid webhook',
+          details: validation.errors
+        }
+      });
+    }
+
+    const webhook = storage.updateWebhook(req.params.id, {
+      url,
+      events: [...new Set(events)],
+      description,
+      active,
+      ...(secret !== undefined && { secret })
+    });
+
+    res.json({
+      message: 'Webhook updated successfully',
+      data: toWebhookView(webhook)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a webhook; its pending deliveries are not sent
+ */
+router.delete('/webhooks/:id', (req, res, next) => {
+  try {
+    const deleted = storage.deleteWebhook(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: { message: `Webhook ${req.params.id} not found` }
+      });
+    }
+
+    res.json({
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Send a ping event to the webhook
+ */
+router.post('/webhooks/:id/test', (req, res, next) => {
+  try {
+    const webhook = findWebhook(req.params.id, res);
+    if (!webhook) return;
+
+    res.status(202).json({
+      message: 'Ping queued. Check GET /api/webhooks/:id/deliveries for the outcome',
+      data: webhookService.ping(webhook)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log of a webhook, newest first
+ * Query (all optional): status (pending, succeeded, failed), event,
+ * sort, limit, offset, cursor
+ */
+router.get('/webhooks/:id/deliveries', (req, res, next) => {
+  try {
+    const { status, event } = req.query;
+
+    if (!findWebhook(req.params.id, res)) return;
+
+    const errors = validateListQuery(req.query, { defaultSort: DELIVERIES_DEFAULT_SORT }).errors;
+    const statuses = Object.values(DELIVERY_STATUS);
+    if (status && !statuses.includes(status)) {
+      errors.push(`status must be one of ${statuses.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid query',
+          details: errors
+        }
+      });
+    }
+
+    const deliveries = webhookService.getDeliveries(req.params.id, { status, event });
+    const { items, pagination } = paginate(deliveries, { ...req.query, defaultSort: DELIVERIES_DEFAULT_SORT });
+
+    res.json({
+      data: items,
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries/:deliveryId
+ * Retrieve a logged delivery with its payload and attempts
+ */
+router.get('/webhooks/:id/deliveries/:deliveryId', (req, res, next) => {
+  try {
+    if (!findWebhook(req.params.id, res)) return;
+
+    const delivery = webhookService.getDelivery(req.params.id, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        error: { message: `Delivery ${req.params.deliveryId} not found for webhook ${req.params.id}` }
+      });
+    }
+
+    res.json({
+      data: webhookService.toDeliveryView(delivery)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * Send a logged delivery's payload again as a new delivery
+ */
+router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', (req, res, next) => {
+  try {
+    const webhook = findWebhook(req.params.id, res);
+    if (!webhook) return;
+
+    const delivery = webhookService.redeliver(webhook, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        error: { message: `Delivery ${req.params.deliveryId} not found for webhook ${req.params.id}` }
+      });
+    }
+
+    res.status(202).json({
+      message: 'Redelivery queued',
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,245 @@
+const express = require('express');
+const router = express.Router();
+const workspaces = require('../storage/workspaces');
+const { toApiKeyView } = require('../storage/workspaces');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { validateWorkspace, validateApiKey } = require('../validators/validators');
+
+// Admin routes take ADMIN_API_KEY instead of a workspace key
+router.use('/admin', requireAdmin);
+
+/**
+ * Look up a workspace by ID
+ * Sends the 404 response and returns null when it does not exist
+ */
+function findWorkspace(id, res) {
+  const workspace = workspaces.getWorkspaceById(id);
+  if (workspace) return workspace;
+
+  res.status(404).json({
+    error: { message: `Workspace ${id} not found` }
+  });
+  return null;
+}
+
+function invalid(res, message, errors) {
+  return res.status(400).json({
+    error: {
+      message,
+      details: errors
+    }
+  });
+}
+
+function withKeyCounts(workspace) {
+  const keys = workspaces.getApiKeys(workspace.id);
+  return {
+    ...workspace,
+    active_keys: keys.filter(apiKey => !apiKey.revokedAt).length,
+    revoked_keys: keys.filter(apiKey => apiKey.revokedAt).length
+  };
+}
+
+/**
+ * POST /api/admin/workspaces
+ * Create a workspace
+ * Body: { name }
+ */
+router.post('/admin/workspaces', (req, res, next) => {
+  try {
+    const validation = validateWorkspace(req.body || {});
+    if (!validation.valid) return invalid(res, 'Invalid workspace', validation.errors);
+
+    const workspace = workspaces.createWorkspace({ name: req.body.name.trim() });
+
+    res.status(201).json({
+      message: 'Workspace created successfully. Issue a key with POST /api/admin/workspaces/:id/keys',
+      data: workspace
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/workspaces
+ * List workspaces with their key counts
+ */
+router.get('/admin/workspaces', (req, res, next) => {
+  try {
+    const all = workspaces.getWorkspaces();
+
+    res.json({
+      data: {
+        total: all.length,
+        workspaces: all.map(withKeyCounts)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/workspaces/:id
+ * Retrieve a workspace with its keys
+ */
+router.get('/admin/workspaces/:id', (req, res, next) => {
+  try {
+    const workspace = findWorkspace(req.params.id, res);
+    if (!workspace) return;
+
+    res.json({
+      data: {
+        ...workspace,
+        keys: workspaces.getApiKeys(workspace.id).map(toApiKeyView)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/admin/workspaces/:id
+ * Rename a workspace
+ * Body: { name }
+ */
+router.put('/admin/workspaces/:id', (req, res, next) => {
+  try {
+    if (!findWorkspace(req.params.id, res)) return;
+
+    const validation = validateWorkspace(req.body || {});
+    if (!validation.valid) return invalid(res, 'Invalid workspace', validation.errors);
+
+    res.json({
+      message: 'Workspace updated successfully',
+      data: workspaces.updateWorkspace(req.params.id, { name: req.body.name.trim() })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/workspaces/:id/keys
+ * Issue an API key for a workspace
+ * Body: { name, allowed_origins (optional, every origin when empty) }
+ * The key is only returned in this response
+ */
+router.post('/admin/workspaces/:id/keys', (req, res, next) => {
+  try {
+    const workspace = findWorkspace(req.params.id, res);
+    if (!workspace) return;
+
+    const validation = validateApiKey(req.body || {});
+    if (!validation.valid) return invalid(res, 'Invalid API key', validation.errors);
+
+    const { name, allowed_origins = [] } = req.body;
+    const { apiKey, key } = workspaces.createApiKey(workspace.id, {
+      name: name.trim(),
+      allowed_origins: [...new Set(allowed_origins)]
+    });
+
+    res.status(201).json({
+      message: 'API key issued. Store the key now; it is not shown again',
+      data: {
+        ...toApiKeyView(apiKey),
+        key
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/workspaces/:id/keys
+ * List a workspace's keys, including revoked ones
+ */
+router.get('/admin/workspaces/:id/keys', (req, res, next) => {
+  try {
+    const workspace = findWorkspace(req.params.id, res);
+    if (!workspace) return;
+
+    res.json({
+      data: workspaces.getApiKeys(workspace.id).map(toApiKeyView)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/admin/keys/:id
+ * Rename a key or change its allowed CORS origins
+ * Body: { name, allowed_origins }
+ */
+router.put('/admin/keys/:id', (req, res, next) => {
+  try {
+    const { name, allowed_origins = [] } = req.body || {};
+
+    const apiKey = workspaces.getApiKeyById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        error: { message: `API key ${req.params.id} not found` }
+      });
+    }
+
+    const validation = validateApiKey(req.body || {});
+    if (!validation.valid) return invalid(res, 'Invalid API key', validation.errors);
+
+    const updated = workspaces.updateApiKey(apiKey.id, {
+      name: name.trim(),
+      allowed_origins: [...new Set(allowed_origins)]
+    });
+
+    res.json({
+      message: 'API key updated successfully',
+      data: toApiKeyView(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/keys/:id
+ * Revoke a key; it is rejected from the next request on
+ */
+router.delete('/admin/keys/:id', (req, res, next) => {
+  try {
+    const apiKey = workspaces.revokeApiKey(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        error: { message: `API key ${req.params.id} not found` }
+      });
+    }
+
+    res.json({
+      message: 'API key revoked',
+      data: toApiKeyView(apiKey)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/workspace
+ * Workspace of the calling API key
+ */
+router.get('/workspace', authenticate, (req, res, next) => {
+  try {
+    res.json({
+      data: {
+        workspace: req.workspace,
+        api_key: req.apiKey ? toApiKeyView(req.apiKey) : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const aiConfig = require('../config/aiConfig');
+const { FileAdapter } = require('../storage/adapters');
+const { getWorkspaceId } = require('../storage/workspaceContext');
+
+/**
+ * Cache of model classifications
+ * Entries are keyed on a hash of the rendered prompt and the model
+ * settings, so a lead goes back to the model only when its prompt, the
+ * offer or the model changes. The cache holds at most AI_CACHE_MAX_ENTRIES
+ * (least recently used go first) for AI_CACHE_TTL_SECONDS each. Entries
+ * and hit/miss counts are kept per workspace.
+ */
+
+// Writes to AI_CACHE_FILE are batched: at most one per interval
+const SAVE_DELAY_MS = 1000;
+
+class AiCache {
+  constructor({ enabled, ttlSeconds, maxEntries, file }) {
+    this.enabled = enabled;
+    this.ttlSeconds = ttlSeconds;
+    this.maxEntries = maxEntries;
+    this.adapter = file ? new FileAdapter(file) : null;
+    // key -> { workspace_id, value, storedAt }, least recently used first
+    this.entries = new Map();
+    // workspace ID -> { hits, misses } since startup
+    this.stats = new Map();
+    this.saveTimer = null;
+    this.load();
+  }
+
+  load() {
+    const snapshot = this.adapter && this.adapter.load();
+    if (!snapshot) return;
+
+    snapshot.entries
+      .filter(([, entry]) => !this.isExpired(entry))
+      .forEach(([key, entry]) => this.entries.set(key, entry));
+  }
+
+  save() {
+    if (!this.adapter) return;
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.adapter.save({ entries: [...this.entries] });
+  }
+
+  scheduleSave() {
+    if (!this.adapter || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+    // A pending write never keeps the process alive
+    this.saveTimer.unref();
+  }
+
+  isExpired(entry) {
+    return this.ttlSeconds > 0 && Date.now() - new Date(entry.storedAt).getTime() > this.ttlSeconds * 1000;
+  }
+
+  workspaceStats() {
+    const workspaceId = getWorkspaceId();
+    if (!this.stats.has(workspaceId)) this.stats.set(workspaceId, { hits: 0, misses: 0 });
+    return this.stats.get(workspaceId);
+  }
+
+  /**
+   * Cache key of a classification request in the current workspace
+   * `request` holds everything that shapes the reply: prompts, schema
+   * and model settings
+   */
+  keyFor(request) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ workspace_id: getWorkspaceId(), ...request }))
+      .digest('hex');
+  }
+
+  /**
+   * Cached entry for a key, or null; counts a hit or a miss
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    const stats = this.workspaceStats();
+
+    if (!entry || this.isExpired(entry)) {
+      if (entry) {
+        this.entries.delete(key);
+        this.scheduleSave();
+      }
+      stats.misses++;
+      return null;
+    }
+
+    // Move to the end so eviction order stays least recently used first
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    stats.hits++;
+    return entry;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { workspace_id: getWorkspaceId(), value, storedAt: new Date().toISOString() });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.scheduleSave();
+  }
+
+  /**
+   * Drop the current workspace's entries and reset its counts
+   * Returns the number of entries removed
+   */
+  clear() {
+    const workspaceId = getWorkspaceId();
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.workspace_id === workspaceId) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    this.stats.delete(workspaceId);
+    // Written at once so cleared entries do not come back after a restart
+    this.save();
+    return removed;
+  }
+
+  /**
+   * Settings, size and hit/miss counts for the current workspace
+   */
+  getStats() {
+    const workspaceId = getWorkspaceId();
+    const entries = [...this.entries.values()]
+      .filter(entry => entry.workspace_id === workspaceId && !this.isExpired(entry))
+      .length;
+    const { hits, misses } = this.workspaceStats();
+
+    return {
+      enabled: this.enabled,
+      persistent: Boolean(this.adapter),
+      ttl_seconds: this.ttlSeconds,
+      max_entries: this.maxEntries,
+      entries,
+      hits,
+      misses,
+      hit_rate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) / 100 : null
+    };
+  }
+}
+
+// Singleton instance
+const aiCache = new AiCache(aiConfig.cache);
+
+module.exports = aiCache;
+module.exports.AiCache = AiCache;
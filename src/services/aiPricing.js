@@ -0,0 +1,89 @@
+const fs = require('fs');
+const aiConfig = require('../config/aiConfig');
+
+/**
+ * Token prices used to estimate what classifications cost
+ * Prices are USD per million tokens. A model matches its own entry or,
+ * failing that, the longest entry its name starts with, so dated
+ * snapshots such as gpt-4o-mini-2024-07-18 use the gpt-4o-mini price.
+ * Models without a price are counted in tokens only.
+ */
+
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+};
+
+const TOKENS_PER_UNIT = 1000000;
+
+function isPrice(value) {
+  return Boolean(value) && typeof value === 'object' &&
+    ['input', 'output'].every(key => typeof value[key] === 'number' && value[key] >= 0);
+}
+
+function loadPrices(filePath) {
+  const prices = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+    throw new Error(`Prices file ${filePath} must contain a JSON object`);
+  }
+  Object.entries(prices).forEach(([model, price]) => {
+    if (!isPrice(price)) {
+      throw new Error(`Price of ${model} in ${filePath} must be { "input": <number>, "output": <number> }`);
+    }
+  });
+  return prices;
+}
+
+const prices = {
+  ...DEFAULT_PRICES,
+  ...(aiConfig.pricing.pricesFile && loadPrices(aiConfig.pricing.pricesFile))
+};
+
+/**
+ * Round a USD amount to a millionth of a dollar
+ */
+function roundCost(amount) {
+  return Math.round(amount * 1e6) / 1e6;
+}
+
+/**
+ * Price of a model, or null when it has none
+ */
+function getPrice(model) {
+  if (!model) return null;
+  if (prices[model]) return prices[model];
+
+  const prefix = Object.keys(prices)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+}
+
+/**
+ * Estimated cost in USD of { prompt_tokens, completion_tokens } on a
+ * model, or null when the model has no price
+ */
+function estimateCost(model, usage) {
+  const price = getPrice(model);
+  if (!price) return null;
+
+  return roundCost(
+    (usage.prompt_tokens * price.input + usage.completion_tokens * price.output) / TOKENS_PER_UNIT
+  );
+}
+
+function getPrices() {
+  return prices;
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  roundCost,
+  getPrice,
+  estimateCost,
+  getPrices
+};
@@ -1,14 +1,74 @@
-const OpenAI = require('openai');
+const aiConfig = require('../config/aiConfig');
+const RateLimiter = require('../utils/rateLimiter');
+const { retryWithBackoff } = require('../utils/retry');
+const { validateSchema } = require('../utils/jsonSchema');
+const aiCache = require('./aiCache');
+const { estimateCost } = require('./aiPricing');
+const { createProvider, heuristicProvider } = require('./providers');
+const { CLASSIFICATION_SCHEMA, CLASSIFICATION_SCHEMA_NAME } = require('./classificationSchema');
 
 /**
  * AI Service for lead intent classification
- * Uses OpenAI GPT model to analyze lead fit
+ * Uses the LLM provider selected by AI_PROVIDER to analyze lead fit
  */
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
+const provider = createProvider(aiConfig);
+
+const SYSTEM_PROMPT = 'You are a B2B sales qualification expert. Provide concise, actionable analysis.';
+
+// Shared across all concurrent classifications
+const limiter = new RateLimiter({
+  requestsPerMinute: aiConfig.requestsPerMinute,
+  tokensPerMinute: aiConfig.tokensPerMinute
 });
 
+/**
+ * Rough token estimate (~4 characters per token)
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Tokens of a completion as reported by the provider, or estimated from
+ * the prompt and reply when the provider reports none
+ */
+function completionTokens(completion, userPrompt) {
+  const { usage } = completion;
+  if (usage && Number.isFinite(usage.prompt_tokens) && Number.isFinite(usage.completion_tokens)) {
+    return { prompt_tokens: usage.prompt_tokens, completion_tokens: usage.completion_tokens, estimated: false };
+  }
+  return {
+    prompt_tokens: estimateTokens(SYSTEM_PROMPT + userPrompt),
+    completion_tokens: estimateTokens(completion.text),
+    estimated: true
+  };
+}
+
+/**
+ * Token usage and estimated cost of a classification; cost_usd is null
+ * when the model has no price (see ./aiPricing)
+ */
+function toUsage(tokens = { prompt_tokens: 0, completion_tokens: 0, estimated: false }) {
+  const totalTokens = tokens.prompt_tokens + tokens.completion_tokens;
+  return {
+    prompt_tokens: tokens.prompt_tokens,
+    completion_tokens: tokens.completion_tokens,
+    total_tokens: totalTokens,
+    cost_usd: totalTokens > 0 ? estimateCost(provider.model, tokens) : 0,
+    estimated: tokens.estimated
+  };
+}
+
+/**
+ * Prompt lines for the fields added by enrichment, if any
+ */
+function describeEnrichment(lead) {
+  const fields = lead.enrichment ? Object.entries(lead.enrichment.fields) : [];
+  if (fields.length === 0) return '';
+  return `\nENRICHED DATA (inferred, may be incomplete):\n${fields.map(([field, value]) => `${field}: ${value}`).join('\n')}\n`;
+}
+
 /**
  * Build prompt for AI classification
  */
@@ -27,7 +87,7 @@ Company: ${lead.company}
 Industry: ${lead.industry}
 Location: ${lead.location}
 LinkedIn Bio: ${lead.linkedin_bio || 'Not provided'}
-
+${describeEnrichment(lead)}
 TASK:
 Classify this prospect's buying intent as High, Medium, or Low.
 Consider:
@@ -35,124 +95,253 @@ Consider:
 2. Does their industry match our ideal use cases?
 3. Does their background suggest they would benefit from our product?
 
-Respond in this exact format:
-Intent: [High/Medium/Low]
-Reasoning: [1-2 sentences explaining your classification]`;
+Respond with a single JSON object and nothing else:
+{
+  "intent": "High" | "Medium" | "Low",
+  "confidence": number between 0 and 1,
+  "reasoning": "1-2 sentences explaining your classification",
+  "criteria": {
+    "decision_power": { "assessment": "Strong" | "Moderate" | "Weak", "notes": "short note" },
+    "industry_fit": { "assessment": "Strong" | "Moderate" | "Weak", "notes": "short note" },
+    "need_signals": { "assessment": "Strong" | "Moderate" | "Weak", "notes": "short note" }
+  }
+}`;
+}
+
+/**
+ * Ask the model to fix a reply that did not match the schema
+ */
+function buildRepairPrompt(prompt, errors) {
+  return `${prompt}
+
+Your previous reply was not valid: ${errors.join('; ')}.
+Reply again with only the JSON object described above.`;
 }
 
 /**
- * Parse AI response
+ * Parse and validate a JSON classification reply
+ * Returns { valid, value, errors }
  */
 function parseAIResponse(response) {
-  const lines = response.split('\n').map(line => line.trim());
-  
-  let intent = 'Medium';
-  let reasoning = 'Unable to determine fit.';
-  
-  for (const line of lines) {
-    if (line.toLowerCase().startsWith('intent:')) {
-      const intentMatch = line.match(/intent:\s*(high|medium|low)/i);
-      if (intentMatch) {
-        intent = intentMatch[1].charAt(0).toUpperCase() + intentMatch[1].slice(1).toLowerCase();
-      }
-    } else if (line.toLowerCase().startsWith('reasoning:')) {
-      reasoning = line.replace(/reasoning:\s*/i, '').trim();
-    }
+  // Some models wrap JSON in a markdown code fence
+  const text = (response || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    return { valid: false, value: null, errors: [`reply is not valid JSON (${error.message})`] };
   }
-  
-  // If reasoning is in next line
-  if (reasoning === 'Unable to determine fit.' || reasoning.length < 10) {
-    const reasoningIndex = lines.findIndex(l => l.toLowerCase().startsWith('reasoning:'));
-    if (reasoningIndex >= 0 && reasoningIndex + 1 < lines.length) {
-      const nextLine = lines[reasoningIndex + 1];
-      if (nextLine && nextLine.length > 10) {
-        reasoning = nextLine;
-      }
+
+  const errors = validateSchema(value, CLASSIFICATION_SCHEMA, 'reply');
+  return { valid: errors.length === 0, value, errors };
+}
+
+/**
+ * Fallback classification when AI is unavailable
+ */
+function fallbackClassification(lead, offer, reason) {
+  return {
+    ...heuristicProvider.classify(lead, offer),
+    source: 'fallback',
+    provider: heuristicProvider.name,
+    fallback_reason: reason,
+    attempts: 0,
+    usage: toUsage()
+  };
+}
+
+/**
+ * Cache key parts of a classification: everything that shapes the reply
+ */
+function cacheRequest(prompt) {
+  return {
+    provider: provider.name,
+    model: provider.model || null,
+    base_url: aiConfig.baseURL || null,
+    temperature: provider.temperature ?? null,
+    max_tokens: provider.maxTokens ?? null,
+    structured_output: aiConfig.structuredOutput,
+    system_prompt: SYSTEM_PROMPT,
+    prompt,
+    schema: CLASSIFICATION_SCHEMA
+  };
+}
+
+/**
+ * Classification rebuilt from a cache entry, with the exchange that
+ * produced it
+ */
+function fromCache(entry, prompt) {
+  const { responses, repair_prompt, ...classification } = entry.value;
+  return {
+    ...classification,
+    source: 'model',
+    attempts: 0,
+    usage: toUsage(),
+    cache: 'hit',
+    cached_at: entry.storedAt,
+    trace: {
+      system_prompt: SYSTEM_PROMPT,
+      prompt,
+      ...(repair_prompt && { repair_prompt }),
+      responses,
+      temperature: provider.temperature,
+      max_tokens: provider.maxTokens
     }
-  }
-  
-  return { intent, reasoning };
+  };
 }
 
 /**
- * Classify lead intent using OpenAI
+ * Classify lead intent with the configured provider
+ * Model replies are cached (see ./aiCache); a cached classification is
+ * marked cache: "hit", one sent to the model cache: "miss". usage holds
+ * the tokens this call spent, so cache hits report none.
  */
 async function classifyIntent(lead, offer) {
-  try {
-    if (!process.env.OPENAI_API_KEY) {
-      console.warn('No OpenAI API key found. Using fallback classification.');
-      return fallbackClassification(lead, offer);
-    }
+  if (!provider.usesModel) {
+    return {
+      ...provider.classify(lead, offer),
+      source: 'heuristic',
+      provider: provider.name,
+      attempts: 0,
+      usage: toUsage()
+    };
+  }
 
-    const prompt = buildPrompt(lead, offer);
-    
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a B2B sales qualification expert. Provide concise, actionable analysis.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.3,
-      max_tokens: 150
-    });
+  const prompt = buildPrompt(lead, offer);
+  if (!aiCache.enabled) {
+    return requestClassification(lead, offer, prompt);
+  }
 
-    const response = completion.choices[0].message.content;
-    return parseAIResponse(response);
-    
-  } catch (error) {
-    console.error('OpenAI API error:', error.message);
-    return fallbackClassification(lead, offer);
+  const key = aiCache.keyFor(cacheRequest(prompt));
+  const cached = aiCache.get(key);
+  if (cached) return fromCache(cached, prompt);
+
+  const result = await requestClassification(lead, offer, prompt);
+  // Fallbacks are not cached so the model is asked again next time
+  if (result.source === 'model') {
+    aiCache.set(key, {
+      intent: result.intent,
+      reasoning: result.reasoning,
+      confidence: result.confidence,
+      criteria: result.criteria,
+      provider: result.provider,
+      model: result.model,
+      responses: result.trace.responses,
+      ...(result.trace.repair_prompt && { repair_prompt: result.trace.repair_prompt })
+    });
   }
+  return { ...result, cache: 'miss' };
 }
 
 /**
- * Fallback classification when AI is unavailable
+ * Ask the model to classify a lead
+ * Transient errors are retried with backoff; the result records whether
+ * it came from the model or the fallback
  */
-function fallbackClassification(lead, offer) {
-  // Simple heuristic-based classification
-  let score = 0;
-  let reasons = [];
-  
-  // Check role
-  const roleLower = (lead.role || '').toLowerCase();
-  if (['ceo', 'cto', 'founder', 'vp', 'director', 'head'].some(k => roleLower.includes(k))) {
-    score += 2;
-    reasons.push('senior role');
-  } else if (['manager', 'lead'].some(k => roleLower.includes(k))) {
-    score += 1;
-    reasons.push('management role');
+async function requestClassification(lead, offer, prompt) {
+  const unavailableReason = provider.unavailableReason();
+  if (unavailableReason) {
+    console.warn(`${unavailableReason}. Using fallback classification.`);
+    return fallbackClassification(lead, offer, unavailableReason);
   }
-  
-  // Check industry
-  const industryLower = (lead.industry || '').toLowerCase();
-  const hasIndustryMatch = offer.ideal_use_cases.some(uc => 
-    industryLower.includes(uc.toLowerCase()) || uc.toLowerCase().includes(industryLower)
-  );
-  if (hasIndustryMatch) {
-    score += 2;
-    reasons.push('industry match');
+
+  let attempts = 0;
+  // Summed over every completion, including the repair request
+  const tokens = { prompt_tokens: 0, completion_tokens: 0, estimated: false };
+
+  // Raw exchange kept for the score explanation
+  const trace = {
+    system_prompt: SYSTEM_PROMPT,
+    prompt,
+    responses: [],
+    temperature: provider.temperature,
+    max_tokens: provider.maxTokens
+  };
+
+  const requestCompletion = async (userPrompt) => {
+    const requestTokens = estimateTokens(SYSTEM_PROMPT + userPrompt) + (provider.maxTokens || 0);
+
+    const completion = await retryWithBackoff(async () => {
+      attempts++;
+      if (provider.rateLimited) await limiter.acquire(requestTokens);
+
+      return provider.complete({
+        system: SYSTEM_PROMPT,
+        prompt: userPrompt,
+        lead,
+        offer,
+        schema: { name: CLASSIFICATION_SCHEMA_NAME, schema: CLASSIFICATION_SCHEMA }
+      });
+    }, {
+      maxRetries: aiConfig.maxRetries,
+      baseDelayMs: aiConfig.retryBaseDelayMs,
+      maxDelayMs: aiConfig.retryMaxDelayMs,
+      onRetry: (error, attempt, delay) => {
+        console.warn(`AI provider error (${error.status || error.code || error.message}), retry ${attempt} in ${Math.round(delay)}ms`);
+        // A rate limit applies to every worker, not just this one
+        if (error.status === 429) limiter.pause(delay);
+      }
+    });
+
+    trace.responses.push(completion.text);
+    const used = completionTokens(completion, userPrompt);
+    tokens.prompt_tokens += used.prompt_tokens;
+    tokens.completion_tokens += used.completion_tokens;
+    tokens.estimated = tokens.estimated || used.estimated;
+    return completion;
+  };
+
+  try {
+    let completion = await requestCompletion(prompt);
+    let parsed = parseAIResponse(completion.text);
+
+    // Retry a malformed reply once, telling the model what was wrong
+    if (!parsed.valid) {
+      console.warn(`Malformed AI response for ${lead.name}: ${parsed.errors.join('; ')}. Retrying once.`);
+      trace.repair_prompt = buildRepairPrompt(prompt, parsed.errors);
+      completion = await requestCompletion(trace.repair_prompt);
+      parsed = parseAIResponse(completion.text);
+    }
+
+    if (!parsed.valid) {
+      const parseError = parsed.errors.join('; ');
+      return {
+        ...fallbackClassification(lead, offer, `Malformed AI response: ${parseError}`),
+        parse_error: parseError,
+        attempts,
+        usage: toUsage(tokens),
+        trace
+      };
+    }
+
+    return {
+      intent: parsed.value.intent,
+      reasoning: parsed.value.reasoning,
+      confidence: parsed.value.confidence,
+      criteria: parsed.value.criteria,
+      source: 'model',
+      provider: provider.name,
+      model: provider.model,
+      attempts,
+      usage: toUsage(tokens),
+      trace
+    };
+    
+  } catch (error) {
+    console.error(`AI provider (${provider.name}) error:`, error.message);
+    return {
+      ...fallbackClassification(lead, offer, `AI provider error: ${error.message}`),
+      attempts,
+      usage: toUsage(tokens),
+      trace
+    };
   }
-  
-  // Determine intent
-  let intent = 'Low';
-  if (score >= 3) intent = 'High';
-  else if (score >= 1) intent = 'Medium';
-  
-  const reasoning = reasons.length > 0 
-    ? `Prospect shows ${reasons.join(' and ')} indicating potential fit.`
-    : 'Limited signals for product fit based on available data.';
-  
-  return { intent, reasoning };
 }
 
 module.exports = {
   classifyIntent,
   buildPrompt,
   parseAIResponse
-};
\ No newline at end of file
+};
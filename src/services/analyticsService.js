@@ -0,0 +1,245 @@
+const titleEnricher = require('./enrichers/titleEnricher');
+
+/**
+ * Analytics over scored results: score distribution, intent by segment,
+ * how much rules and the AI contribute, and where they disagree
+ */
+
+// Result fields and enriched fields results can be grouped by
+const SEGMENT_FIELDS = [
+  'industry', 'location', 'role', 'company',
+  'seniority', 'department', 'industry_normalized', 'country', 'region'
+];
+const RESULT_SEGMENT_FIELDS = ['industry', 'location', 'role', 'company'];
+const DEFAULT_SEGMENTS = ['industry', 'location', 'seniority', 'company'];
+
+const DEFAULT_BIN_SIZE = 10;
+const DEFAULT_SEGMENT_LIMIT = 20;
+
+// Disagreeing results listed as examples
+const DISAGREEMENT_EXAMPLES = 10;
+
+const PERCENTILES = [10, 25, 50, 75, 90];
+
+// Lowest score range top: scores normally run from 0 to 100
+const MIN_SCORE_RANGE = 100;
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Percentile of sorted values, interpolating between neighbours
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return round(sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower));
+}
+
+function scoreStatistics(scores) {
+  const sorted = [...scores].sort((a, b) => a - b);
+  const mean = average(sorted);
+  const empty = sorted.length === 0;
+
+  return {
+    average: empty ? null : round(mean),
+    median: percentile(sorted, 50),
+    lowest: empty ? null : sorted[0],
+    highest: empty ? null : sorted[sorted.length - 1],
+    std_dev: empty ? null : round(Math.sqrt(average(sorted.map(score => (score - mean) ** 2)))),
+    percentiles: Object.fromEntries(PERCENTILES.map(p => [`p${p}`, percentile(sorted, p)]))
+  };
+}
+
+/**
+ * Score counts in bins of binSize points; the last bin includes the
+ * top of the range
+ */
+function scoreHistogram(scores, binSize) {
+  const top = Math.max(MIN_SCORE_RANGE, ...scores);
+  const binCount = Math.max(1, Math.ceil(top / binSize));
+
+  const bins = Array.from({ length: binCount }, (_, index) => ({
+    from: index * binSize,
+    to: index === binCount - 1 ? top : (index + 1) * binSize - 1,
+    count: 0
+  }));
+  scores.forEach(score => {
+    bins[Math.min(Math.max(Math.floor(score / binSize), 0), binCount - 1)].count++;
+  });
+
+  return { bin_size: binSize, bins };
+}
+
+function intentCounts(results) {
+  return {
+    high: results.filter(result => result.intent === 'High').length,
+    medium: results.filter(result => result.intent === 'Medium').length,
+    low: results.filter(result => result.intent === 'Low').length
+  };
+}
+
+/**
+ * Value of a segment field for a result; enriched fields come from the
+ * result's explanation. Seniority falls back to the title enricher so
+ * results scored without enrichment can still be grouped by it.
+ */
+function segmentValue(result, field) {
+  if (RESULT_SEGMENT_FIELDS.includes(field)) return result[field];
+
+  const enrichment = result.explanation && result.explanation.enrichment;
+  const value = enrichment ? enrichment.fields[field] : undefined;
+  if (value !== undefined && value !== null) return value;
+
+  return field === 'seniority' ? titleEnricher.enrich(result, {}).seniority : undefined;
+}
+
+/**
+ * Intent counts, high-intent rate and average score per value of a
+ * field, largest groups first. Values are grouped case-insensitively.
+ */
+function segmentBreakdown(results, field, limit) {
+  const groups = new Map();
+  results.forEach(result => {
+    const raw = segmentValue(result, field);
+    const value = raw === undefined || raw === null || String(raw).trim() === '' ? null : String(raw).trim();
+    const key = value === null ? null : value.toLowerCase();
+    if (!groups.has(key)) groups.set(key, { value, results: [] });
+    groups.get(key).results.push(result);
+  });
+
+  const breakdown = [...groups.values()]
+    .map(group => {
+      const counts = intentCounts(group.results);
+      return {
+        value: group.value,
+        total: group.results.length,
+        ...counts,
+        high_rate: round(counts.high / group.results.length, 3),
+        average_score: round(average(group.results.map(result => result.score)))
+      };
+    })
+    .sort((a, b) => b.total - a.total || b.high_rate - a.high_rate);
+
+  return {
+    groups_total: breakdown.length,
+    groups: breakdown.slice(0, limit)
+  };
+}
+
+/**
+ * Average rule and AI points, and each side's share of all points given
+ */
+function contribution(results) {
+  const ruleScores = results.map(result => result.details.rule_score || 0);
+  const aiScores = results.map(result => result.details.ai_score || 0);
+  const totalPoints = ruleScores.concat(aiScores).reduce((sum, score) => sum + score, 0);
+
+  return {
+    average_rule_score: round(average(ruleScores)),
+    average_ai_score: round(average(aiScores)),
+    rule_share: totalPoints > 0 ? round(ruleScores.reduce((sum, score) => sum + score, 0) / totalPoints, 3) : null,
+    ai_share: totalPoints > 0 ? round(aiScores.reduce((sum, score) => sum + score, 0) / totalPoints, 3) : null
+  };
+}
+
+/**
+ * Whether a result's rule score alone is low, high or in between
+ * The rule score is compared as a share of the rule maximum against the
+ * intent thresholds as a share of the maximum total score, so with the
+ * default config rules are low below 40% and high from 70%.
+ */
+function ruleLevel(result) {
+  const { thresholds, rules, ai } = result.explanation;
+  const ruleShare = rules.max > 0 ? result.details.rule_score / rules.max : 0;
+  const totalMax = rules.max + ai.max;
+
+  if (ruleShare < thresholds.medium / totalMax) return 'low';
+  if (ruleShare >= thresholds.high / totalMax) return 'high';
+  return 'medium';
+}
+
+/**
+ * Results where the AI intent and the rule score point opposite ways:
+ * the AI said High while rules scored low, or Low while rules scored high
+ * Only results with an AI classification and an explanation count.
+ */
+function disagreement(results) {
+  const compared = results.filter(result =>
+    result.details.ai_intent && result.explanation && result.explanation.ai);
+
+  const aiHighRulesLow = [];
+  const aiLowRulesHigh = [];
+  compared.forEach(result => {
+    const level = ruleLevel(result);
+    if (result.details.ai_intent === 'High' && level === 'low') aiHighRulesLow.push(result);
+    if (result.details.ai_intent === 'Low' && level === 'high') aiLowRulesHigh.push(result);
+  });
+
+  const example = result => ({
+    result_id: result.id,
+    lead_id: result.lead_id,
+    name: result.name,
+    company: result.company,
+    intent: result.intent,
+    score: result.score,
+    rule_score: result.details.rule_score,
+    ai_intent: result.details.ai_intent
+  });
+  const disagreeing = aiHighRulesLow.length + aiLowRulesHigh.length;
+
+  return {
+    compared: compared.length,
+    ai_high_rules_low: aiHighRulesLow.length,
+    ai_low_rules_high: aiLowRulesHigh.length,
+    rate: compared.length > 0 ? round(disagreeing / compared.length, 3) : null,
+    examples: {
+      ai_high_rules_low: aiHighRulesLow
+        .sort((a, b) => a.details.rule_score - b.details.rule_score)
+        .slice(0, DISAGREEMENT_EXAMPLES)
+        .map(example),
+      ai_low_rules_high: aiLowRulesHigh
+        .sort((a, b) => b.details.rule_score - a.details.rule_score)
+        .slice(0, DISAGREEMENT_EXAMPLES)
+        .map(example)
+    }
+  };
+}
+
+/**
+ * Analytics of a set of stored results (with their explanations)
+ * Options: groupBy (segment fields), binSize, segmentLimit
+ */
+function buildAnalytics(results, options = {}) {
+  const {
+    groupBy = DEFAULT_SEGMENTS,
+    binSize = DEFAULT_BIN_SIZE,
+    segmentLimit = DEFAULT_SEGMENT_LIMIT
+  } = options;
+  const scores = results.map(result => result.score);
+
+  return {
+    total_leads: results.length,
+    intent_distribution: intentCounts(results),
+    score_statistics: scoreStatistics(scores),
+    histogram: scoreHistogram(scores, binSize),
+    contribution: contribution(results),
+    disagreement: disagreement(results),
+    segments: Object.fromEntries(groupBy.map(field => [field, segmentBreakdown(results, field, segmentLimit)]))
+  };
+}
+
+module.exports = {
+  SEGMENT_FIELDS,
+  DEFAULT_SEGMENTS,
+  buildAnalytics
+};
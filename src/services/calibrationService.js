@@ -0,0 +1,351 @@
+const { determineIntent, maxRuleScore } = require('./scoringService');
+
+/**
+ * Calibration of scoring against recorded lead outcomes
+ * Each outcome stands for the intent the lead should have been given:
+ * won and meeting_booked leads were High intent, leads that never
+ * responded were Low. Lost leads engaged but did not buy, so they count
+ * as Medium by default; callers can count them as Low instead (see
+ * LOST_INTENTS). Intents are measured against that, and rule weights and
+ * intent thresholds are suggested from the same data.
+ */
+
+const OUTCOMES = ['won', 'meeting_booked', 'lost', 'no_response'];
+
+const OUTCOME_INTENTS = {
+  won: 'High',
+  meeting_booked: 'High',
+  lost: 'Medium',
+  no_response: 'Low'
+};
+
+// Intents a lost lead may stand for
+const LOST_INTENTS = ['Medium', 'Low'];
+
+const POSITIVE_OUTCOMES = ['won', 'meeting_booked'];
+
+const INTENTS = ['High', 'Medium', 'Low'];
+
+// Built-in rule categories whose weights are suggested
+const RULE_CATEGORIES = ['role', 'industry', 'completeness'];
+
+// Scored leads with an outcome needed before suggesting changes
+const MIN_OUTCOMES = 20;
+
+function round(value, digits = 3) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? round(part / whole) : null;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Latest outcome of each lead, by when it happened and then when it was
+ * recorded
+ */
+function latestOutcomes(outcomes) {
+  const latest = new Map();
+  outcomes.forEach(outcome => {
+    const current = latest.get(outcome.lead_id);
+    const isLater = !current ||
+      outcome.occurredAt > current.occurredAt ||
+      (outcome.occurredAt === current.occurredAt && outcome.id > current.id);
+    if (isLater) latest.set(outcome.lead_id, outcome);
+  });
+  return latest;
+}
+
+/**
+ * Precision and recall of each intent, and how often each converted
+ */
+function intentMetrics(samples) {
+  return Object.fromEntries(INTENTS.map(intent => {
+    const predicted = samples.filter(sample => sample.result.intent === intent);
+    const expected = samples.filter(sample => sample.expected === intent);
+    const correct = predicted.filter(sample => sample.expected === intent);
+
+    return [intent, {
+      predicted: predicted.length,
+      expected: expected.length,
+      precision: ratio(correct.length, predicted.length),
+      recall: ratio(correct.length, expected.length),
+      conversion_rate: ratio(predicted.filter(sample => sample.positive).length, predicted.length),
+      outcomes: Object.fromEntries(OUTCOMES.map(outcome => [
+        outcome,
+        predicted.filter(sample => sample.outcome.outcome === outcome).length
+      ]))
+    }];
+  }));
+}
+
+/**
+ * Predicted intent -> intent the outcome calls for -> count
+ */
+function confusionMatrix(samples) {
+  return Object.fromEntries(INTENTS.map(predicted => [
+    predicted,
+    Object.fromEntries(INTENTS.map(expected => [
+      expected,
+      samples.filter(sample => sample.result.intent === predicted && sample.expected === expected).length
+    ]))
+  ]));
+}
+
+function accuracy(samples, thresholds) {
+  const correct = samples.filter(sample =>
+    determineIntent(sample.result.score, { thresholds }) === sample.expected);
+  return ratio(correct.length, samples.length);
+}
+
+/**
+ * Cut-off from candidates with the best F1 for "score >= cut-off" against
+ * isTarget; ties go to the cut-off nearest the current one
+ */
+function bestThreshold(samples, isTarget, candidates, current) {
+  const targets = samples.filter(isTarget).length;
+  let best = null;
+
+  candidates.forEach(threshold => {
+    const selected = samples.filter(sample => sample.result.score >= threshold);
+    const hits = selected.filter(isTarget).length;
+    const precision = selected.length > 0 ? hits / selected.length : 0;
+    const recall = targets > 0 ? hits / targets : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+    const isBetter = !best || f1 > best.f1 ||
+      (f1 === best.f1 && Math.abs(threshold - current) < Math.abs(best.threshold - current));
+    if (isBetter) best = { threshold, precision, recall, f1 };
+  });
+
+  return best && {
+    threshold: best.threshold,
+    precision: round(best.precision),
+    recall: round(best.recall),
+    f1: round(best.f1)
+  };
+}
+
+/**
+ * Intent thresholds that best separate the outcomes on the current scores
+ * The high cut-off is fitted to High outcomes first, then the medium
+ * cut-off below it to High and Medium outcomes.
+ */
+function suggestThresholds(samples, config) {
+  const current = config.thresholds;
+  const maxScore = maxRuleScore(config) + config.ai_scores.high;
+  const range = (from, to) => Array.from({ length: Math.max(0, to - from + 1) }, (_, index) => from + index);
+
+  const high = samples.some(sample => sample.expected === 'High')
+    ? bestThreshold(samples, sample => sample.expected === 'High', range(2, maxScore), current.high)
+    : null;
+  const highThreshold = high ? high.threshold : current.high;
+  const medium = samples.some(sample => sample.expected !== 'Low')
+    ? bestThreshold(samples, sample => sample.expected !== 'Low', range(1, highThreshold - 1), current.medium)
+    : null;
+
+  const suggested = {
+    high: highThreshold,
+    medium: medium ? medium.threshold : Math.min(current.medium, highThreshold - 1)
+  };
+
+  return {
+    current: { ...current, accuracy: accuracy(samples, current) },
+    suggested: { ...suggested, accuracy: accuracy(samples, suggested) },
+    high_fit: high,
+    medium_fit: medium
+  };
+}
+
+function categoryMax(config, category) {
+  const { points } = config.rules[category];
+  return typeof points === 'number' ? points : Math.max(...Object.values(points));
+}
+
+function scalePoints(points, factor) {
+  if (typeof points === 'number') return Math.round(points * factor);
+  return Object.fromEntries(Object.entries(points).map(([key, value]) => [key, Math.round(value * factor)]));
+}
+
+/**
+ * Weights of the built-in rule categories in proportion to how well each
+ * tells positive outcomes (won, meeting_booked) from the rest: the gap
+ * between the average share of its maximum that positive and negative
+ * leads got. The categories' total points stay the same; a category that
+ * does not separate outcomes gets no points. Null when one side has no
+ * outcomes or no category separates them.
+ */
+function suggestRuleWeights(samples, config) {
+  const positives = samples.filter(sample => sample.positive);
+  const negatives = samples.filter(sample => !sample.positive);
+  if (positives.length === 0 || negatives.length === 0) return null;
+
+  const share = (sample, category) => {
+    const rule = sample.result.explanation.rules.breakdown.find(item => item.id === category);
+    return rule && rule.max > 0 ? rule.score / rule.max : 0;
+  };
+
+  const categories = RULE_CATEGORIES.map(category => {
+    const positiveMean = average(positives.map(sample => share(sample, category)));
+    const negativeMean = average(negatives.map(sample => share(sample, category)));
+    return {
+      id: category,
+      current_max: categoryMax(config, category),
+      positive_average: round(positiveMean),
+      negative_average: round(negativeMean),
+      lift: round(positiveMean - negativeMean)
+    };
+  });
+
+  const totalLift = categories.reduce((sum, category) => sum + Math.max(category.lift, 0), 0);
+  if (totalLift === 0) return null;
+
+  const budget = categories.reduce((sum, category) => sum + category.current_max, 0);
+  return categories.map(category => ({
+    ...category,
+    suggested_max: Math.round((budget * Math.max(category.lift, 0)) / totalLift)
+  }));
+}
+
+// Factor a category's points are scaled by, or 1 when it has none
+function weightFactor(weight) {
+  return weight.current_max > 0 ? weight.suggested_max / weight.current_max : 1;
+}
+
+/**
+ * Rules of the config with the suggested weights
+ */
+function weightedRules(config, ruleWeights) {
+  const rules = structuredClone(config.rules);
+  (ruleWeights || []).forEach(weight => {
+    rules[weight.id].points = scalePoints(config.rules[weight.id].points, weightFactor(weight));
+  });
+  return rules;
+}
+
+/**
+ * Sample with the score its lead would get with the suggested weights
+ * A built-in category always scores one of its point levels, and each
+ * level is scaled and rounded like scalePoints does, so scaling the
+ * category's score gives the new score exactly. Custom rules and the AI
+ * score are unchanged.
+ */
+function rescore(sample, ruleWeights) {
+  const factors = new Map(ruleWeights.map(weight => [weight.id, weightFactor(weight)]));
+  const ruleScore = Math.max(0, sample.result.explanation.rules.breakdown.reduce((sum, rule) => (
+    sum + (factors.has(rule.id) ? Math.round(rule.score * factors.get(rule.id)) : rule.score)
+  ), 0));
+
+  return {
+    ...sample,
+    result: { ...sample.result, score: ruleScore + (sample.result.details.ai_score || 0) }
+  };
+}
+
+/**
+ * Scoring config with the given rules and thresholds, ready for
+ * PUT /api/scoring/config
+ */
+function suggestedConfig(config, rules, thresholds) {
+  return {
+    rules,
+    custom_rules: config.custom_rules,
+    ai_scores: config.ai_scores,
+    thresholds: { high: thresholds.high, medium: thresholds.medium },
+    enrichment: config.enrichment
+  };
+}
+
+/**
+ * Calibration report of an offer's results against lead outcomes
+ * config is the current scoring config the suggestions start from.
+ * Options: lostIntent, the intent lost leads stand for (default Medium)
+ * Suggestions:
+ * - thresholds: cut-offs for the current rule weights, to apply alone
+ * - rule_weights, and weighted_thresholds fitted to the scores the leads
+ *   get with those weights; scoring_config applies both together
+ */
+function buildCalibration(results, outcomes, config, { lostIntent = OUTCOME_INTENTS.lost } = {}) {
+  const outcomeIntents = { ...OUTCOME_INTENTS, lost: lostIntent };
+  const latest = latestOutcomes(outcomes);
+  const samples = results
+    .filter(result => latest.has(result.lead_id) && result.explanation)
+    .map(result => {
+      const outcome = latest.get(result.lead_id);
+      return {
+        result,
+        outcome,
+        expected: outcomeIntents[outcome.outcome],
+        positive: POSITIVE_OUTCOMES.includes(outcome.outcome)
+      };
+    });
+
+  const report = {
+    outcome_intents: outcomeIntents,
+    sample: {
+      leads_with_outcome: latest.size,
+      scored: samples.length,
+      outcomes: Object.fromEntries(OUTCOMES.map(outcome => [
+        outcome,
+        samples.filter(sample => sample.outcome.outcome === outcome).length
+      ])),
+      scoring_config_versions: [...new Set(samples.map(sample => sample.result.scoring_config_version))].sort((a, b) => a - b)
+    },
+    accuracy: ratio(samples.filter(sample => sample.result.intent === sample.expected).length, samples.length),
+    intents: intentMetrics(samples),
+    confusion_matrix: confusionMatrix(samples)
+  };
+
+  if (samples.length < MIN_OUTCOMES) {
+    return {
+      ...report,
+      suggestions: null,
+      message: `Record outcomes for at least ${MIN_OUTCOMES} scored leads to get suggestions (${samples.length} so far)`
+    };
+  }
+
+  const thresholds = suggestThresholds(samples, config);
+  const ruleWeights = suggestRuleWeights(samples, config);
+  if (!ruleWeights) {
+    return {
+      ...report,
+      suggestions: {
+        thresholds,
+        rule_weights: null,
+        weighted_thresholds: null,
+        scoring_config: suggestedConfig(config, config.rules, thresholds.suggested)
+      }
+    };
+  }
+
+  // Thresholds for the new weights are fitted to the scores the leads
+  // would get with them, not to their current scores
+  const rules = weightedRules(config, ruleWeights);
+  const weightedThresholds = suggestThresholds(
+    samples.map(sample => rescore(sample, ruleWeights)),
+    { ...config, rules }
+  );
+
+  return {
+    ...report,
+    suggestions: {
+      thresholds,
+      rule_weights: ruleWeights,
+      weighted_thresholds: weightedThresholds,
+      scoring_config: suggestedConfig(config, rules, weightedThresholds.suggested)
+    }
+  };
+}
+
+module.exports = {
+  OUTCOMES,
+  OUTCOME_INTENTS,
+  LOST_INTENTS,
+  MIN_OUTCOMES,
+  buildCalibration
+};
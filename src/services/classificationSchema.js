@@ -0,0 +1,39 @@
+/**
+ * JSON schema the model must follow when classifying a lead
+ */
+
+const criterionSchema = {
+  type: 'object',
+  properties: {
+    assessment: { type: 'string', enum: ['Strong', 'Moderate', 'Weak'] },
+    notes: { type: 'string' }
+  },
+  required: ['assessment', 'notes'],
+  additionalProperties: false
+};
+
+const CLASSIFICATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    intent: { type: 'string', enum: ['High', 'Medium', 'Low'] },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reasoning: { type: 'string', minLength: 1 },
+    criteria: {
+      type: 'object',
+      properties: {
+        decision_power: criterionSchema,
+        industry_fit: criterionSchema,
+        need_signals: criterionSchema
+      },
+      required: ['decision_power', 'industry_fit', 'need_signals'],
+      additionalProperties: false
+    }
+  },
+  required: ['intent', 'confidence', 'reasoning', 'criteria'],
+  additionalProperties: false
+};
+
+module.exports = {
+  CLASSIFICATION_SCHEMA_NAME: 'lead_classification',
+  CLASSIFICATION_SCHEMA
+};
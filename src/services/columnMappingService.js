@@ -0,0 +1,182 @@
+const storage = require('../storage/storage');
+const { FIELD_ALIASES, SOURCE_PROFILES } = require('../config/importAliases');
+const { validateImportMapping } = require('../validators/validators');
+
+/**
+ * Column mapping for lead imports
+ * Maps the headers of an uploaded file to lead fields using, in order:
+ * the chosen (or detected) mapping profile, then the generic aliases.
+ * Columns that map to nothing are kept as custom attributes.
+ */
+
+const REQUIRED_FIELDS = ['name', 'role', 'company', 'industry', 'location'];
+
+// Share of a built-in profile's columns a file must contain to be detected
+const DETECTION_THRESHOLD = 0.6;
+
+function normalizeHeader(header) {
+  return String(header)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function toAttributeKey(header) {
+  return normalizeHeader(header).replace(/ /g, '_');
+}
+
+const ALIAS_INDEX = new Map();
+Object.entries(FIELD_ALIASES).forEach(([field, aliases]) => {
+  aliases.forEach(alias => ALIAS_INDEX.set(normalizeHeader(alias), field));
+});
+
+function indexColumns(columns) {
+  const index = new Map();
+  Object.entries(columns).forEach(([header, field]) => {
+    index.set(normalizeHeader(header), field);
+  });
+  return index;
+}
+
+/**
+ * Built-in profile whose columns best match the headers, or null
+ */
+function detectSource(headers) {
+  const normalized = new Set(headers.map(normalizeHeader));
+  let best = null;
+
+  Object.entries(SOURCE_PROFILES).forEach(([key, profile]) => {
+    const columns = Object.keys(profile.columns);
+    const ratio = columns.filter(column => normalized.has(normalizeHeader(column))).length / columns.length;
+    if (ratio >= DETECTION_THRESHOLD && (!best || ratio > best.ratio)) {
+      best = { key, ratio };
+    }
+  });
+
+  return best ? { key: best.key, ...SOURCE_PROFILES[best.key] } : null;
+}
+
+/**
+ * Work out which lead field each header maps to
+ * `profile` is a saved or built-in mapping ({ name, columns }); when
+ * omitted, a built-in profile is detected from the headers if possible.
+ * A profile column mapped to null is ignored on import.
+ */
+function resolveMapping(headers, profile = null) {
+  const activeProfile = profile || detectSource(headers);
+  const profileIndex = activeProfile ? indexColumns(activeProfile.columns) : new Map();
+
+  const columns = headers.map(header => {
+    const key = normalizeHeader(header);
+
+    if (profileIndex.has(key)) {
+      const field = profileIndex.get(key);
+      return field
+        ? { header, field, source: 'profile' }
+        : { header, field: null, source: 'ignored' };
+    }
+    if (ALIAS_INDEX.has(key)) {
+      return { header, field: ALIAS_INDEX.get(key), source: 'alias' };
+    }
+    return { header, field: null, attribute: toAttributeKey(header), source: 'custom' };
+  });
+
+  const mappedFields = new Set(columns.map(column => column.field).filter(Boolean));
+  if (mappedFields.has('first_name') || mappedFields.has('last_name')) {
+    mappedFields.add('name');
+  }
+
+  return {
+    profile: activeProfile
+      ? { id: activeProfile.id, key: activeProfile.key, name: activeProfile.name }
+      : null,
+    columns,
+    missing_fields: REQUIRED_FIELDS.filter(field => !mappedFields.has(field)),
+    custom_attributes: columns.filter(column => column.attribute).map(column => column.attribute)
+  };
+}
+
+/**
+ * Build a lead from a parsed row using a resolved mapping
+ * Several columns mapped to the same field are joined ("City, Country");
+ * first_name and last_name fill name when it is empty
+ */
+function applyMapping(row, mapping) {
+  const values = {};
+  const customAttributes = {};
+
+  mapping.columns.forEach(column => {
+    const value = row[column.header] ? String(row[column.header]).trim() : '';
+    if (column.field) {
+      values[column.field] = values[column.field] || [];
+      if (value) values[column.field].push(value);
+    } else if (column.attribute && value) {
+      customAttributes[column.attribute] = value;
+    }
+  });
+
+  const { first_name, last_name, ...fields } = values;
+  const lead = {};
+  Object.entries(fields).forEach(([field, parts]) => {
+    lead[field] = parts.join(', ');
+  });
+
+  if (!lead.name && (first_name || last_name)) {
+    lead.name = [...(first_name || []), ...(last_name || [])].join(' ');
+  }
+  if (Object.keys(customAttributes).length > 0) {
+    lead.custom_attributes = customAttributes;
+  }
+  return lead;
+}
+
+/**
+ * Resolve the `mapping` option of an upload: a saved mapping ID, a
+ * built-in profile key or an inline JSON object of header -> field
+ * Returns { profile } or { error }
+ */
+function resolveMappingOption(value) {
+  if (value === undefined || value === null || value === '') {
+    return { profile: null };
+  }
+
+  if (typeof value === 'string' && /^\d+$/.test(value)) {
+    const saved = storage.getImportMappingById(value);
+    return saved
+      ? { profile: saved }
+      : { error: `Import mapping ${value} not found` };
+  }
+
+  if (SOURCE_PROFILES[value]) {
+    return { profile: { key: value, ...SOURCE_PROFILES[value] } };
+  }
+
+  let columns = value;
+  if (typeof value === 'string') {
+    try {
+      columns = JSON.parse(value);
+    } catch (error) {
+      return { error: `mapping must be a saved mapping ID, one of ${Object.keys(SOURCE_PROFILES).join(', ')} or a JSON object of column -> field` };
+    }
+  }
+
+  const validation = validateImportMapping({ name: 'inline', columns });
+  if (!validation.valid) {
+    return { error: validation.errors.join('; ') };
+  }
+  return { profile: { name: 'inline', columns } };
+}
+
+function getBuiltInProfiles() {
+  return Object.entries(SOURCE_PROFILES).map(([key, profile]) => ({ key, ...profile }));
+}
+
+module.exports = {
+  REQUIRED_FIELDS,
+  normalizeHeader,
+  detectSource,
+  resolveMapping,
+  applyMapping,
+  resolveMappingOption,
+  getBuiltInProfiles
+};
@@ -0,0 +1,98 @@
+const integrationConfig = require('../../config/integrationConfig');
+const { retryWithBackoff } = require('../../utils/retry');
+const { fetchWithTimeout, responseError, placeholderErrors, headerPlaceholderErrors, blockedHostError } = require('../../utils/http');
+
+/**
+ * Shared helpers for CRM adapters
+ */
+
+// Characters of a CRM error response kept in sync errors
+const ERROR_BODY_LENGTH = 300;
+
+// Environment variables CRM settings may reference as ${NAME}
+const SECRET_PREFIX = 'CRM_SECRET_';
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function validateUrl(value, path, errors) {
+  let url = null;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    errors.push(`${path} must be a valid URL`);
+    return;
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    errors.push(`${path} must use http or https`);
+    return;
+  }
+  const blocked = blockedHostError(value, path);
+  if (blocked) errors.push(blocked);
+}
+
+function validateHeaders(headers, path, errors) {
+  if (headers !== undefined && (
+    !headers || typeof headers !== 'object' || Array.isArray(headers) ||
+    !Object.values(headers).every(value => typeof value === 'string')
+  )) {
+    errors.push(`${path} must be an object of strings`);
+    return;
+  }
+  errors.push(...headerPlaceholderErrors(headers, SECRET_PREFIX, path));
+}
+
+/**
+ * Validate an access token, which may be a ${CRM_SECRET_*} placeholder
+ */
+function validateToken(value, path, errors, example) {
+  if (!isNonEmptyString(value)) {
+    errors.push(`${path} is required (e.g. "\${${SECRET_PREFIX}${example}}")`);
+    return;
+  }
+  errors.push(...placeholderErrors(value, SECRET_PREFIX, path));
+}
+
+function parseBody(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Send a JSON request to a CRM, retrying transient errors
+ * Resolves to { status, body } or throws with the CRM's error response
+ * in the message
+ */
+async function requestJson(url, { method, headers = {}, body }) {
+  return retryWithBackoff(async () => {
+    const response = await fetchWithTimeout(url, {
+      method,
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+      ...(body !== undefined && { body: JSON.stringify(body) })
+    }, integrationConfig.timeoutMs);
+
+    const text = await response.text();
+    if (!response.ok) {
+      const detail = text ? `: ${text.slice(0, ERROR_BODY_LENGTH)}` : '';
+      throw responseError(`CRM responded with HTTP ${response.status}${detail}`, response);
+    }
+    return { status: response.status, body: parseBody(text) };
+  }, {
+    maxRetries: integrationConfig.maxRetries,
+    baseDelayMs: integrationConfig.retryBaseDelayMs
+  });
+}
+
+module.exports = {
+  SECRET_PREFIX,
+  isNonEmptyString,
+  validateUrl,
+  validateHeaders,
+  validateToken,
+  requestJson
+};
@@ -0,0 +1,65 @@
+const { resolveEnvPlaceholders } = require('../../utils/http');
+const { SECRET_PREFIX, isNonEmptyString, validateUrl, validateToken, requestJson } = require('./helpers');
+
+const DEFAULT_BASE_URL = 'https://api.hubapi.com';
+
+// Largest batch the batch upsert endpoint accepts
+const BATCH_SIZE = 100;
+
+/**
+ * HubSpot CRM objects, upserted in batches through
+ * /crm/v3/objects/{object_type}/batch/upsert with the external ID
+ * property as idProperty (it must be a unique property, e.g. email)
+ * settings: { access_token, object_type, base_url }
+ */
+module.exports = {
+  type: 'hubspot',
+  description: 'HubSpot CRM objects (contacts by default), upserted in batches',
+  batchSize: BATCH_SIZE,
+
+  validate(settings, path) {
+    const errors = [];
+    validateToken(settings.access_token, `${path}.access_token`, errors, 'HUBSPOT_TOKEN');
+    if (settings.object_type !== undefined && !isNonEmptyString(settings.object_type)) {
+      errors.push(`${path}.object_type must be a non-empty string`);
+    }
+    if (settings.base_url !== undefined) {
+      validateUrl(settings.base_url, `${path}.base_url`, errors);
+    }
+    return errors;
+  },
+
+  async upsertBatch(records, { settings }) {
+    const baseUrl = (settings.base_url || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const objectType = encodeURIComponent(settings.object_type || 'contacts');
+
+    const { body } = await requestJson(`${baseUrl}/crm/v3/objects/${objectType}/batch/upsert`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${resolveEnvPlaceholders(settings.access_token, SECRET_PREFIX)}` },
+      body: {
+        inputs: records.map(record => ({
+          id: record.external_id,
+          idProperty: record.id_property,
+          properties: record.properties
+        }))
+      }
+    });
+
+    // Results are not guaranteed to come back in input order; match them
+    // on the ID property
+    const results = (body && Array.isArray(body.results)) ? body.results : [];
+    const byExternalId = new Map();
+    results.forEach(result => {
+      const value = result.properties && result.properties[records[0].id_property];
+      if (value !== undefined && value !== null) byExternalId.set(String(value).toLowerCase(), result);
+    });
+
+    return records.map((record, index) => {
+      const result = byExternalId.get(String(record.external_id).toLowerCase()) ||
+        (results.length === records.length ? results[index] : null);
+      return result
+        ? { crm_id: result.id !== undefined ? String(result.id) : null }
+        : { error: 'Record missing from the HubSpot batch response' };
+    });
+  }
+};
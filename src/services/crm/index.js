@@ -0,0 +1,64 @@
+const restAdapter = require('./restAdapter');
+const hubspotAdapter = require('./hubspotAdapter');
+const salesforceAdapter = require('./salesforceAdapter');
+
+/**
+ * Registry of CRM adapters
+ *
+ * An adapter implements:
+ * - type: name used in an integration's `adapter` field
+ * - description: one line shown by GET /api/integrations/adapters
+ * - validate(settings, path): list of error strings
+ * - upsert(record, integration): { crm_id } for one lead, or
+ *   upsertBatch(records, integration): [{ crm_id } | { error }] in
+ *   record order, with batchSize records at most per call
+ *
+ * A record is { external_id, id_property, properties }: the lead's
+ * external ID, the CRM property it is matched on and the mapped fields.
+ * Upserts must be idempotent so a push can be retried or repeated.
+ */
+
+const adapters = new Map();
+
+function registerCrmAdapter(adapter) {
+  adapters.set(adapter.type, adapter);
+}
+
+function getCrmAdapterTypes() {
+  return [...adapters.keys()];
+}
+
+function getCrmAdapter(type) {
+  return adapters.get(type) || null;
+}
+
+/**
+ * Type and description of every registered adapter
+ */
+function describeCrmAdapters() {
+  return [...adapters.values()].map(({ type, description }) => ({ type, description }));
+}
+
+[restAdapter, hubspotAdapter, salesforceAdapter].forEach(registerCrmAdapter);
+
+/**
+ * Validate an integration's adapter settings
+ */
+function validateAdapterSettings(type, settings) {
+  const adapter = adapters.get(type);
+  if (!adapter) {
+    return [`adapter must be one of ${getCrmAdapterTypes().join(', ')}`];
+  }
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['settings must be an object'];
+  }
+  return adapter.validate(settings, 'settings');
+}
+
+module.exports = {
+  registerCrmAdapter,
+  getCrmAdapterTypes,
+  getCrmAdapter,
+  describeCrmAdapters,
+  validateAdapterSettings
+};
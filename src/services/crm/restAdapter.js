@@ -0,0 +1,45 @@
+const { resolveHeaders } = require('../../utils/http');
+const { SECRET_PREFIX, isNonEmptyString, validateUrl, validateHeaders, requestJson } = require('./helpers');
+
+const METHODS = ['PUT', 'PATCH', 'POST'];
+const DEFAULT_PATH = '/contacts/{external_id}';
+
+/**
+ * Generic REST CRM: one request per lead to a URL built from `path`,
+ * where {external_id} is replaced by the lead's external ID. The body is
+ * the mapped properties plus the external ID property.
+ * settings: { base_url, path, method, headers, id_field }
+ * id_field names the response field holding the CRM's record ID
+ */
+module.exports = {
+  type: 'rest',
+  description: 'Generic REST API: one upsert request per lead, keyed by external ID',
+
+  validate(settings, path) {
+    const errors = [];
+    validateUrl(settings.base_url, `${path}.base_url`, errors);
+    if (settings.path !== undefined && (!isNonEmptyString(settings.path) || !settings.path.startsWith('/'))) {
+      errors.push(`${path}.path must be a string starting with /`);
+    }
+    if (settings.method !== undefined && !METHODS.includes(settings.method)) {
+      errors.push(`${path}.method must be one of ${METHODS.join(', ')}`);
+    }
+    validateHeaders(settings.headers, `${path}.headers`, errors);
+    if (settings.id_field !== undefined && !isNonEmptyString(settings.id_field)) {
+      errors.push(`${path}.id_field must be a non-empty string`);
+    }
+    return errors;
+  },
+
+  async upsert(record, { settings }) {
+    const recordPath = (settings.path || DEFAULT_PATH).replace('{external_id}', encodeURIComponent(record.external_id));
+    const { body } = await requestJson(`${settings.base_url.replace(/\/+$/, '')}${recordPath}`, {
+      method: settings.method || 'PUT',
+      headers: resolveHeaders(settings.headers, SECRET_PREFIX),
+      body: { [record.id_property]: record.external_id, ...record.properties }
+    });
+
+    const crmId = body && typeof body === 'object' ? body[settings.id_field || 'id'] : undefined;
+    return { crm_id: crmId !== undefined && crmId !== null ? String(crmId) : null };
+  }
+};
@@ -0,0 +1,48 @@
+const { resolveEnvPlaceholders } = require('../../utils/http');
+const { SECRET_PREFIX, validateUrl, validateToken, requestJson } = require('./helpers');
+
+const DEFAULT_API_VERSION = 'v59.0';
+
+/**
+ * Salesforce sObjects, upserted one by one through
+ * PATCH /sobjects/{object}/{external ID field}/{value}; the external ID
+ * property must be an External ID field such as Lead_Source_Id__c
+ * settings: { instance_url, access_token, object, api_version }
+ */
+module.exports = {
+  type: 'salesforce',
+  description: 'Salesforce sObjects (Lead by default), upserted by External ID field',
+
+  validate(settings, path) {
+    const errors = [];
+    validateUrl(settings.instance_url, `${path}.instance_url`, errors);
+    validateToken(settings.access_token, `${path}.access_token`, errors, 'SALESFORCE_TOKEN');
+    if (settings.object !== undefined && !/^\w+$/.test(settings.object)) {
+      errors.push(`${path}.object must be an sObject API name, e.g. Lead`);
+    }
+    if (settings.api_version !== undefined && !/^v\d+\.\d+$/.test(settings.api_version)) {
+      errors.push(`${path}.api_version must look like ${DEFAULT_API_VERSION}`);
+    }
+    return errors;
+  },
+
+  async upsert(record, { settings }) {
+    const url = [
+      settings.instance_url.replace(/\/+$/, ''),
+      'services/data',
+      settings.api_version || DEFAULT_API_VERSION,
+      'sobjects',
+      settings.object || 'Lead',
+      encodeURIComponent(record.id_property),
+      encodeURIComponent(record.external_id)
+    ].join('/');
+
+    // 201 with the new record's ID when created, 200/204 when updated
+    const { body } = await requestJson(url, {
+      method: 'PATCH',
+      headers: { Authorization: `Bearer ${resolveEnvPlaceholders(settings.access_token, SECRET_PREFIX)}` },
+      body: record.properties
+    });
+    return { crm_id: body && body.id ? String(body.id) : null };
+  }
+};
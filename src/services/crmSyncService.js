@@ -0,0 +1,198 @@
+const storage = require('../storage/storage');
+const integrationConfig = require('../config/integrationConfig');
+const { getCrmAdapter } = require('./crm');
+const { getLeadField } = require('./rules/helpers');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+/**
+ * Pushes scored leads to CRMs through the integration's adapter and
+ * records each lead's sync status per integration
+ */
+
+const SYNC_STATUS = {
+  SYNCED: 'synced',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+// CRM property -> source field pushed when an integration sets no mapping
+const DEFAULT_FIELD_MAPPING = {
+  lead_score: 'score',
+  lead_intent: 'intent',
+  lead_score_reasoning: 'reasoning'
+};
+
+// Leads are matched to CRM records on their email unless configured otherwise
+const DEFAULT_EXTERNAL_ID = { source: 'email', property: 'email' };
+
+/**
+ * Value of a source field for a scored lead
+ * Looks in the result first (dotted paths reach into details), then in
+ * the lead (standard fields, custom attributes and enriched fields);
+ * result_id is the result's own ID
+ */
+function resolveSource(source, result, lead) {
+  if (source === 'result_id') return result.id;
+
+  const fromResult = source.split('.').reduce(
+    (value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined),
+    result
+  );
+  if (fromResult !== undefined && fromResult !== null) return fromResult;
+  return lead ? getLeadField(lead, source) : undefined;
+}
+
+// CRM properties are flat, so lists and objects are sent as JSON text
+function toPropertyValue(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+/**
+ * Adapter record of a scored lead, or null when it has no external ID
+ */
+function buildRecord(integration, result, lead) {
+  const externalId = integration.external_id || DEFAULT_EXTERNAL_ID;
+  const externalValue = resolveSource(externalId.source, result, lead);
+  if (externalValue === undefined || externalValue === null || String(externalValue).trim() === '') {
+    return null;
+  }
+
+  const properties = {};
+  Object.entries(integration.field_mapping || DEFAULT_FIELD_MAPPING).forEach(([property, source]) => {
+    const value = resolveSource(source, result, lead);
+    if (value !== undefined && value !== null) properties[property] = toPropertyValue(value);
+  });
+
+  return {
+    external_id: String(externalValue).trim(),
+    id_property: externalId.property,
+    properties
+  };
+}
+
+/**
+ * Results matching the integration's filter ({ intents, min_score })
+ */
+function selectResults(integration, results) {
+  const { intents, min_score: minScore } = integration.filter || {};
+  return results.filter(result => (
+    (!intents || intents.some(intent => intent.toLowerCase() === String(result.intent).toLowerCase())) &&
+    (minScore === undefined || result.score >= minScore)
+  ));
+}
+
+/**
+ * Upsert records through the adapter, in batches when it has a batch API
+ * Resolves to one { crm_id } or { error } per record that was started
+ */
+async function upsertRecords(adapter, integration, records, { signal, onProgress }) {
+  let processed = 0;
+  const report = outcomes => {
+    processed += outcomes.length;
+    if (onProgress) onProgress(processed);
+    return outcomes;
+  };
+
+  if (adapter.upsertBatch) {
+    const outcomes = [];
+    for (let start = 0; start < records.length; start += adapter.batchSize) {
+      if (signal && signal.aborted) break;
+
+      const batch = records.slice(start, start + adapter.batchSize);
+      try {
+        outcomes.push(...report(await adapter.upsertBatch(batch, integration)));
+      } catch (error) {
+        outcomes.push(...report(batch.map(() => ({ error: error.message }))));
+      }
+    }
+    return outcomes;
+  }
+
+  return mapWithConcurrency(records, integrationConfig.concurrency, async record => {
+    try {
+      return report([await adapter.upsert(record, integration)])[0];
+    } catch (error) {
+      return report([{ error: error.message }])[0];
+    }
+  }, { signal });
+}
+
+/**
+ * Push scored results to an integration's CRM
+ * A lead whose current result was already synced is left alone unless
+ * `force` is set. Sync records are saved once the push ends, including
+ * when it is cancelled through `signal`.
+ * Returns { total, synced, failed, skipped, unchanged }
+ */
+async function pushResults(integration, results, { force = false, signal, onProgress } = {}) {
+  const adapter = getCrmAdapter(integration.adapter);
+  const previous = new Map(storage.getCrmSyncs(integration.id).map(sync => [sync.lead_id, sync]));
+  const leadsById = new Map(storage.getLeads().map(lead => [lead.id, lead]));
+  const pushedAt = new Date().toISOString();
+
+  const summary = { total: results.length, synced: 0, failed: 0, skipped: 0, unchanged: 0 };
+  const syncs = [];
+  const pending = [];
+
+  const syncRecord = (result, fields) => ({
+    integration_id: integration.id,
+    lead_id: result.lead_id,
+    offer_id: result.offer_id,
+    result_id: result.id,
+    score: result.score,
+    intent: result.intent,
+    result_scored_at: result.scoredAt,
+    pushedAt,
+    ...fields
+  });
+
+  results.forEach(result => {
+    const last = previous.get(result.lead_id);
+    if (!force && last && last.status === SYNC_STATUS.SYNCED &&
+      last.result_id === result.id && last.result_scored_at === result.scoredAt) {
+      summary.unchanged++;
+      return;
+    }
+
+    const record = buildRecord(integration, result, leadsById.get(result.lead_id));
+    if (!record) {
+      const source = (integration.external_id || DEFAULT_EXTERNAL_ID).source;
+      summary.skipped++;
+      syncs.push(syncRecord(result, {
+        status: SYNC_STATUS.SKIPPED,
+        external_id: null,
+        crm_id: null,
+        error: `Lead has no ${source} to use as external ID`,
+        syncedAt: last ? last.syncedAt : null
+      }));
+      return;
+    }
+    pending.push({ result, record, last });
+  });
+
+  const outcomes = await upsertRecords(adapter, integration, pending.map(item => item.record), { signal, onProgress });
+
+  outcomes.forEach((outcome, index) => {
+    const { result, record, last } = pending[index];
+    const synced = !outcome.error;
+    summary[synced ? 'synced' : 'failed']++;
+    syncs.push(syncRecord(result, {
+      status: synced ? SYNC_STATUS.SYNCED : SYNC_STATUS.FAILED,
+      external_id: record.external_id,
+      crm_id: (synced && outcome.crm_id) || (last ? last.crm_id : null),
+      error: synced ? null : outcome.error,
+      syncedAt: synced ? new Date().toISOString() : (last ? last.syncedAt : null)
+    }));
+  });
+
+  if (syncs.length > 0) storage.saveCrmSyncs(syncs);
+  return summary;
+}
+
+module.exports = {
+  SYNC_STATUS,
+  DEFAULT_FIELD_MAPPING,
+  DEFAULT_EXTERNAL_ID,
+  selectResults,
+  pushResults
+};
@@ -0,0 +1,33 @@
+const { isStringList, getLeadField, extractDomain } = require('../rules/helpers');
+const { FREE_EMAIL_DOMAINS } = require('../../config/enrichmentTaxonomy');
+
+const DEFAULT_FIELDS = ['website', 'company_website', 'domain', 'email'];
+
+/**
+ * Company domain from the first of `fields` that has one; free email
+ * providers such as gmail.com are skipped
+ * { type: 'domain', fields: ['website', 'email'] }
+ */
+module.exports = {
+  type: 'domain',
+  description: 'Derives the company domain from the website or a work email',
+
+  validate(enricher, path) {
+    const errors = [];
+    if (enricher.fields !== undefined && (!isStringList(enricher.fields) || enricher.fields.length === 0)) {
+      errors.push(`${path}.fields must be a non-empty array of strings`);
+    }
+    return errors;
+  },
+
+  enrich(lead, enricher) {
+    const fields = enricher.fields || DEFAULT_FIELDS;
+    for (const field of fields) {
+      const domain = extractDomain(getLeadField(lead, field));
+      if (domain && domain.includes('.') && !FREE_EMAIL_DOMAINS.includes(domain)) {
+        return { company_domain: domain };
+      }
+    }
+    return {};
+  }
+};
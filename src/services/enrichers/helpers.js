@@ -0,0 +1,44 @@
+/**
+ * Shared helpers for enricher plugins
+ */
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whether `keyword` appears in `text` as a whole word (case-insensitive),
+ * so "cto" matches "CTO & Co-founder" but not "director"
+ */
+function containsWord(text, keyword) {
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(keyword.toLowerCase())}($|[^\\p{L}\\p{N}])`, 'u');
+  return pattern.test(String(text).toLowerCase());
+}
+
+/**
+ * First taxonomy entry with a keyword contained in `text`, or null
+ * Returns { entry, keyword }
+ */
+function findEntry(text, entries, key = 'keywords') {
+  if (!text) return null;
+  for (const entry of entries) {
+    const keyword = entry[key].find(value => containsWord(text, value));
+    if (keyword) return { entry, keyword };
+  }
+  return null;
+}
+
+/**
+ * Option validation shared by enrichers that read a single lead field
+ */
+function validateField(enricher, path, errors) {
+  if (enricher.field !== undefined && (typeof enricher.field !== 'string' || enricher.field.trim().length === 0)) {
+    errors.push(`${path}.field must be a non-empty string`);
+  }
+}
+
+module.exports = {
+  containsWord,
+  findEntry,
+  validateField
+};
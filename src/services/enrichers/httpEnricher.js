@@ -0,0 +1,124 @@
+const fs = require('fs');
+const enrichmentConfig = require('../../config/enrichmentConfig');
+const { isNumber, isStringList } = require('../rules/helpers');
+const { retryWithBackoff } = require('../../utils/retry');
+const { fetchWithTimeout, responseError, headerPlaceholderErrors, resolveHeaders, blockedHostError } = require('../../utils/http');
+
+const METHODS = ['POST', 'PUT'];
+
+// Environment variables header values may reference as ${NAME}
+const SECRET_PREFIX = 'ENRICHER_SECRET_';
+
+/**
+ * Canned responses for HTTP enrichers, for CI and offline runs
+ * The stubs file maps enricher names to { "<lead name>": fields } objects;
+ * the "*" entry is used for leads without their own entry. An enricher
+ * with a stub entry never makes a request.
+ */
+function loadStubs(filePath) {
+  if (!filePath) return {};
+  const stubs = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!stubs || typeof stubs !== 'object' || Array.isArray(stubs)) {
+    throw new Error(`Enrichment stubs file ${filePath} must contain a JSON object`);
+  }
+  return stubs;
+}
+
+const stubs = loadStubs(enrichmentConfig.stubsFile);
+
+/**
+ * Keep the scalar values of a response, limited to `fields` when given
+ */
+function pickFields(response, fields) {
+  if (!response || typeof response !== 'object' || Array.isArray(response)) {
+    throw new Error('Enricher response must be a JSON object');
+  }
+  const picked = {};
+  Object.entries(response).forEach(([field, value]) => {
+    if (fields && !fields.includes(field)) return;
+    if (['string', 'number', 'boolean'].includes(typeof value) && value !== '') {
+      picked[field] = value;
+    }
+  });
+  return picked;
+}
+
+async function request(lead, enricher) {
+  const { enrichment, ...raw } = lead;
+
+  const response = await fetchWithTimeout(enricher.url, {
+    method: enricher.method || 'POST',
+    headers: { 'Content-Type': 'application/json', ...resolveHeaders(enricher.headers, SECRET_PREFIX) },
+    body: JSON.stringify({ lead: raw, enriched: (enrichment && enrichment.fields) || {} })
+  }, enricher.timeout_ms || enrichmentConfig.timeoutMs);
+
+  if (!response.ok) {
+    throw responseError(`Enricher responded with HTTP ${response.status}`, response);
+  }
+  return response.json();
+}
+
+/**
+ * User-defined enricher backed by an HTTP endpoint
+ * The lead is sent as { lead, enriched } JSON (enriched holds the fields
+ * of earlier enrichers) and the reply is a JSON object of fields.
+ * Header values may reference environment variables starting with
+ * ENRICHER_SECRET_ as ${NAME}.
+ * { type: 'http', name: 'firmographics', url: 'https://...',
+ *   headers: { Authorization: 'Bearer ${ENRICHER_SECRET_FIRMO_KEY}' },
+ *   fields: ['employees', 'linkedin_bio'], timeout_ms: 3000 }
+ */
+module.exports = {
+  type: 'http',
+  description: 'Calls a user-defined HTTP endpoint that returns extra fields',
+
+  validate(enricher, path) {
+    const errors = [];
+    if (typeof enricher.name !== 'string' || enricher.name.trim().length === 0) {
+      errors.push(`${path}.name is required for http enrichers`);
+    }
+    let url = null;
+    try {
+      url = new URL(enricher.url);
+    } catch (error) {
+      errors.push(`${path}.url must be a valid URL`);
+    }
+    if (url && !['http:', 'https:'].includes(url.protocol)) {
+      errors.push(`${path}.url must use http or https`);
+    } else if (url) {
+      const blocked = blockedHostError(enricher.url, `${path}.url`);
+      if (blocked) errors.push(blocked);
+    }
+    if (enricher.method !== undefined && !METHODS.includes(enricher.method)) {
+      errors.push(`${path}.method must be one of ${METHODS.join(', ')}`);
+    }
+    if (enricher.headers !== undefined && (
+      !enricher.headers || typeof enricher.headers !== 'object' || Array.isArray(enricher.headers) ||
+      !Object.values(enricher.headers).every(value => typeof value === 'string')
+    )) {
+      errors.push(`${path}.headers must be an object of strings`);
+    } else {
+      errors.push(...headerPlaceholderErrors(enricher.headers, SECRET_PREFIX, `${path}.headers`));
+    }
+    if (enricher.timeout_ms !== undefined && !(isNumber(enricher.timeout_ms) && enricher.timeout_ms > 0)) {
+      errors.push(`${path}.timeout_ms must be a positive number`);
+    }
+    if (enricher.fields !== undefined && (!isStringList(enricher.fields) || enricher.fields.length === 0)) {
+      errors.push(`${path}.fields must be a non-empty array of strings`);
+    }
+    return errors;
+  },
+
+  async enrich(lead, enricher) {
+    const stub = stubs[enricher.name];
+    if (stub) {
+      return pickFields(stub[lead.name] ?? stub['*'] ?? {}, enricher.fields);
+    }
+
+    const response = await retryWithBackoff(() => request(lead, enricher), {
+      maxRetries: enrichmentConfig.maxRetries,
+      baseDelayMs: enrichmentConfig.retryBaseDelayMs
+    });
+    return pickFields(response, enricher.fields);
+  }
+};
@@ -0,0 +1,128 @@
+const titleEnricher = require('./titleEnricher');
+const industryEnricher = require('./industryEnricher');
+const locationEnricher = require('./locationEnricher');
+const domainEnricher = require('./domainEnricher');
+const httpEnricher = require('./httpEnricher');
+
+/**
+ * Registry of lead enricher types
+ *
+ * An enricher type plugin implements:
+ * - type: name used in the scoring config
+ * - description: one line shown by GET /api/enrichers
+ * - validate(enricher, path): list of error strings
+ * - enrich(lead, enricher): fields to add (may return a promise)
+ *
+ * Enrichers run in config order before scoring; each one sees the
+ * fields added by the ones before it through lead.enrichment.fields.
+ * Enriched fields are kept apart from the raw lead fields.
+ */
+
+const enricherTypes = new Map();
+
+function registerEnricherType(plugin) {
+  enricherTypes.set(plugin.type, plugin);
+}
+
+function getEnricherTypes() {
+  return [...enricherTypes.keys()];
+}
+
+/**
+ * Type and description of every registered enricher type
+ */
+function describeEnricherTypes() {
+  return [...enricherTypes.values()].map(({ type, description }) => ({ type, description }));
+}
+
+[titleEnricher, industryEnricher, locationEnricher, domainEnricher, httpEnricher].forEach(registerEnricherType);
+
+// Name used in sources, errors and the stubs file; defaults to the type
+function enricherName(enricher) {
+  return enricher.name || enricher.type;
+}
+
+/**
+ * Validate the enrichment section of a scoring config
+ */
+function validateEnrichmentConfig(enrichment) {
+  if (!enrichment || typeof enrichment !== 'object' || Array.isArray(enrichment)) {
+    return ['enrichment must be an object'];
+  }
+
+  const errors = [];
+  if (enrichment.enabled !== undefined && typeof enrichment.enabled !== 'boolean') {
+    errors.push('enrichment.enabled must be a boolean');
+  }
+  if (!Array.isArray(enrichment.enrichers)) {
+    errors.push('enrichment.enrichers must be an array');
+    return errors;
+  }
+
+  const names = new Set();
+  enrichment.enrichers.forEach((enricher, index) => {
+    const path = `enrichment.enrichers[${index}]`;
+    if (!enricher || typeof enricher !== 'object') {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    const plugin = enricherTypes.get(enricher.type);
+    if (!plugin) {
+      errors.push(`${path}.type must be one of ${getEnricherTypes().join(', ')}`);
+      return;
+    }
+    if (enricher.name !== undefined && (typeof enricher.name !== 'string' || enricher.name.trim().length === 0)) {
+      errors.push(`${path}.name must be a non-empty string`);
+    }
+
+    const name = enricherName(enricher);
+    if (names.has(name)) {
+      errors.push(`${path}.name "${name}" is used more than once`);
+    }
+    names.add(name);
+    errors.push(...plugin.validate(enricher, path));
+  });
+
+  return errors;
+}
+
+/**
+ * Run the configured enrichers on a lead
+ * A failing enricher is recorded in `errors` and the others still run.
+ * Returns { fields, sources, errors, enrichedAt } where sources maps each
+ * field to the enricher that set it
+ */
+async function enrichLead(lead, enrichment) {
+  const fields = {};
+  const sources = {};
+  const errors = [];
+
+  for (const enricher of enrichment.enrichers) {
+    const name = enricherName(enricher);
+    try {
+      const added = await enricherTypes.get(enricher.type).enrich({ ...lead, enrichment: { fields } }, enricher);
+      Object.entries(added || {}).forEach(([field, value]) => {
+        fields[field] = value;
+        sources[field] = name;
+      });
+    } catch (error) {
+      errors.push({ enricher: name, message: error.message });
+    }
+  }
+
+  return {
+    fields,
+    sources,
+    errors,
+    enrichedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  registerEnricherType,
+  getEnricherTypes,
+  describeEnricherTypes,
+  validateEnrichmentConfig,
+  enrichLead
+};
@@ -0,0 +1,24 @@
+const { getLeadField } = require('../rules/helpers');
+const { findEntry, validateField } = require('./helpers');
+const { INDUSTRIES } = require('../../config/enrichmentTaxonomy');
+
+/**
+ * Free-text industry mapped to the industry taxonomy
+ * { type: 'industry', field: 'industry' }
+ */
+module.exports = {
+  type: 'industry',
+  description: 'Normalizes the industry to a fixed taxonomy',
+
+  validate(enricher, path) {
+    const errors = [];
+    validateField(enricher, path, errors);
+    return errors;
+  },
+
+  enrich(lead, enricher) {
+    const industry = getLeadField(lead, enricher.field || 'industry');
+    const match = findEntry(industry, INDUSTRIES);
+    return match ? { industry_normalized: match.entry.industry } : {};
+  }
+};
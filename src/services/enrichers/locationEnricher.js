@@ -0,0 +1,37 @@
+const { getLeadField } = require('../rules/helpers');
+const { findEntry, validateField } = require('./helpers');
+const { COUNTRIES } = require('../../config/enrichmentTaxonomy');
+
+/**
+ * Country, region and city parsed from a free-text location such as
+ * "Austin, TX" or "Berlin, Germany"
+ * { type: 'location', field: 'location' }
+ */
+module.exports = {
+  type: 'location',
+  description: 'Parses country, region and city from the location',
+
+  validate(enricher, path) {
+    const errors = [];
+    validateField(enricher, path, errors);
+    return errors;
+  },
+
+  enrich(lead, enricher) {
+    const location = getLeadField(lead, enricher.field || 'location');
+    // A country name wins over a city, e.g. "London, Ontario, Canada"
+    const match = findEntry(location, COUNTRIES, 'names') || findEntry(location, COUNTRIES, 'cities');
+    if (!match) return {};
+
+    const { country, region, names } = match.entry;
+    // The first part of the location is the city unless it names the country
+    const first = String(location).split(',')[0].trim();
+    const isCountry = names.includes(first.toLowerCase());
+
+    return {
+      country,
+      region,
+      ...(first && !isCountry && { city: first })
+    };
+  }
+};
@@ -0,0 +1,30 @@
+const { getLeadField } = require('../rules/helpers');
+const { findEntry, validateField } = require('./helpers');
+const { SENIORITY_LEVELS, DEFAULT_SENIORITY, DEPARTMENTS } = require('../../config/enrichmentTaxonomy');
+
+/**
+ * Seniority and department inferred from the job title
+ * { type: 'title', field: 'role' }
+ */
+module.exports = {
+  type: 'title',
+  description: 'Infers seniority and department from the job title',
+
+  validate(enricher, path) {
+    const errors = [];
+    validateField(enricher, path, errors);
+    return errors;
+  },
+
+  enrich(lead, enricher) {
+    const title = getLeadField(lead, enricher.field || 'role');
+    if (!title) return {};
+
+    const seniority = findEntry(title, SENIORITY_LEVELS);
+    const department = findEntry(title, DEPARTMENTS);
+    return {
+      seniority: seniority ? seniority.entry.level : DEFAULT_SENIORITY,
+      ...(department && { department: department.entry.department })
+    };
+  }
+};
@@ -0,0 +1,205 @@
+const ExcelJS = require('exceljs');
+const storage = require('../storage/storage');
+const { toCsvRow, sanitizeFormula } = require('../utils/csv');
+
+/**
+ * Export of scored results
+ * Columns are selectable: fixed result fields, per-rule scores
+ * (rule_<id>) and the lead's custom attributes (custom_<key>)
+ */
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  tsv: { contentType: 'text/tab-separated-values', extension: 'tsv' },
+  json: { contentType: 'application/json', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const RULE_PREFIX = 'rule_';
+const CUSTOM_PREFIX = 'custom_';
+
+// Fixed columns: value(result, lead) where lead is the stored lead, if any
+const COLUMNS = {
+  result_id: result => result.id,
+  lead_id: result => result.lead_id,
+  offer_id: result => result.offer_id,
+  name: result => result.name,
+  role: result => result.role,
+  company: result => result.company,
+  industry: result => result.industry,
+  location: result => result.location,
+  email: (result, lead) => lead && lead.email,
+  linkedin_url: (result, lead) => lead && lead.linkedin_url,
+  intent: result => result.intent,
+  score: result => result.score,
+  reasoning: result => result.reasoning,
+  rule_score: result => result.details && result.details.rule_score,
+  ai_score: result => result.details && result.details.ai_score,
+  ai_intent: result => result.details && result.details.ai_intent,
+  ai_confidence: result => result.details && result.details.ai_confidence,
+  ai_source: result => result.details && result.details.ai_source,
+  ai_provider: result => result.details && result.details.ai_provider,
+  ai_model: result => result.details && result.details.ai_model,
+  scoring_config_version: result => result.scoring_config_version,
+  scored_at: result => result.scoredAt
+};
+
+const DEFAULT_COLUMNS = ['offer_id', 'name', 'role', 'company', 'industry', 'location', 'intent', 'score', 'reasoning'];
+
+// Added by breakdown=true, followed by every rule_<id> column
+const BREAKDOWN_COLUMNS = ['rule_score', 'ai_score', 'ai_intent', 'ai_source', 'scoring_config_version'];
+
+function ruleBreakdown(result) {
+  return result.explanation ? result.explanation.rules.breakdown : [];
+}
+
+/**
+ * Rule IDs and custom attribute keys present in the results, in the
+ * order they first appear
+ */
+function dynamicColumns(results, leadsById) {
+  const rules = new Set();
+  const custom = new Set();
+
+  results.forEach(result => {
+    ruleBreakdown(result).forEach(rule => rules.add(`${RULE_PREFIX}${rule.id}`));
+    const lead = leadsById.get(result.lead_id);
+    if (lead && lead.custom_attributes) {
+      Object.keys(lead.custom_attributes).forEach(key => custom.add(`${CUSTOM_PREFIX}${key}`));
+    }
+  });
+
+  return { rules: [...rules], custom: [...custom] };
+}
+
+/**
+ * Resolve the requested columns
+ * `columns` is a comma-separated list; `rule_*` and `custom_*` expand to
+ * all rule and custom attribute columns. Rule and custom columns that
+ * no result has are allowed (they export empty), other unknown names
+ * are errors.
+ * Returns { columns } or { errors }
+ */
+function resolveColumns(results, leadsById, { columns, breakdown } = {}) {
+  const available = dynamicColumns(results, leadsById);
+  let requested;
+
+  if (columns) {
+    requested = String(columns).split(',').map(column => column.trim()).filter(Boolean);
+  } else {
+    requested = [...DEFAULT_COLUMNS];
+    if (breakdown) requested.push(...BREAKDOWN_COLUMNS, `${RULE_PREFIX}*`);
+  }
+
+  const resolved = [];
+  const errors = [];
+  requested.forEach(column => {
+    if (column === `${RULE_PREFIX}*`) {
+      resolved.push(...available.rules);
+    } else if (column === `${CUSTOM_PREFIX}*`) {
+      resolved.push(...available.custom);
+    } else if (COLUMNS[column] || column.startsWith(RULE_PREFIX) || column.startsWith(CUSTOM_PREFIX)) {
+      resolved.push(column);
+    } else {
+      errors.push(`Unknown column: ${column}`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return { errors: [...errors, `Available columns: ${[...Object.keys(COLUMNS), `${RULE_PREFIX}<rule id>`, `${CUSTOM_PREFIX}<attribute>`].join(', ')}`] };
+  }
+  if (resolved.length === 0) {
+    return { errors: ['No columns selected'] };
+  }
+  return { columns: [...new Set(resolved)] };
+}
+
+/**
+ * Value of a column for a result; null when it has none
+ */
+function columnValue(column, result, lead) {
+  let value;
+  if (COLUMNS[column]) {
+    value = COLUMNS[column](result, lead);
+  } else if (column.startsWith(RULE_PREFIX)) {
+    const rule = ruleBreakdown(result).find(entry => `${RULE_PREFIX}${entry.id}` === column);
+    value = rule ? rule.score : null;
+  } else if (column.startsWith(CUSTOM_PREFIX)) {
+    const attributes = lead && lead.custom_attributes;
+    value = attributes ? attributes[column.slice(CUSTOM_PREFIX.length)] : null;
+  }
+  return value === undefined ? null : value;
+}
+
+function toRecord(result, lead, columns) {
+  const record = {};
+  columns.forEach(column => {
+    record[column] = columnValue(column, result, lead);
+  });
+  return record;
+}
+
+/**
+ * Write results to a response in `format`
+ * Rows are written one by one rather than built into a single string
+ */
+async function writeExport(res, results, { format, columns, leadsById }) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="scored_leads.${extension}"`);
+
+  const recordOf = result => toRecord(result, leadsById.get(result.lead_id), columns);
+
+  if (format === 'csv' || format === 'tsv') {
+    const delimiter = format === 'tsv' ? '\t' : ',';
+    res.write(toCsvRow(columns, delimiter));
+    results.forEach(result => {
+      const record = recordOf(result);
+      res.write(`\n${toCsvRow(columns.map(column => sanitizeFormula(record[column])), delimiter)}`);
+    });
+    res.end();
+    return;
+  }
+
+  if (format === 'ndjson') {
+    results.forEach(result => res.write(`${JSON.stringify(recordOf(result))}\n`));
+    res.end();
+    return;
+  }
+
+  if (format === 'json') {
+    res.write('[');
+    results.forEach((result, index) => {
+      res.write(`${index > 0 ? ',' : ''}\n${JSON.stringify(recordOf(result))}`);
+    });
+    res.end('\n]\n');
+    return;
+  }
+
+  // Cells are written as values, never as formulas
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false, useStyles: false });
+  const worksheet = workbook.addWorksheet('Scored leads');
+  worksheet.addRow(columns).commit();
+  results.forEach(result => {
+    const record = recordOf(result);
+    worksheet.addRow(columns.map(column => record[column])).commit();
+  });
+  worksheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Index the stored leads by ID for lead-level columns
+ */
+function indexLeads() {
+  return new Map(storage.getLeads().map(lead => [lead.id, lead]));
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  DEFAULT_COLUMNS,
+  resolveColumns,
+  indexLeads,
+  writeExport
+};
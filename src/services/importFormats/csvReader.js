@@ -0,0 +1,83 @@
+const { pipeline } = require('stream');
+const csvParser = require('csv-parser');
+const { openFile, createDecoder } = require('./source');
+
+/**
+ * Delimited text (CSV, TSV, semicolon-separated exports)
+ */
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Delimiter that appears most often on the header line, outside quotes
+ */
+function detectDelimiter(text) {
+  const counts = new Map(DELIMITERS.map(delimiter => [delimiter, 0]));
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    if (!inQuotes && (char === '\n' || char === '\r')) break;
+    if (!inQuotes && counts.has(char)) counts.set(char, counts.get(char) + 1);
+  }
+
+  let best = ',';
+  counts.forEach((count, delimiter) => {
+    if (count > counts.get(best)) best = delimiter;
+  });
+  return best;
+}
+
+function countLineBreaks(row) {
+  return Object.values(row).reduce((sum, value) => sum + (String(value).match(/\n/g) || []).length, 0);
+}
+
+/**
+ * Yield { headers } once, then { row, line } for every non-blank row
+ * Line numbers are 1-based lines in the file; the header is line 1 and
+ * quoted values spanning several lines are counted
+ */
+async function* readCsv(filePath, { encoding, delimiter }, stats) {
+  const fileStream = openFile(filePath, stats);
+  const parser = csvParser({
+    separator: delimiter,
+    mapHeaders: ({ header }) => header.trim()
+  });
+  let headers = null;
+  parser.once('headers', parsedHeaders => {
+    headers = parsedHeaders;
+  });
+  pipeline(fileStream, createDecoder(encoding), parser, () => {});
+
+  let headersSent = false;
+  let line = 2;
+  try {
+    for await (const row of parser) {
+      if (!headersSent) {
+        headersSent = true;
+        yield { headers };
+      }
+
+      const rowLine = line;
+      line += 1 + countLineBreaks(row);
+
+      // Blank lines parse as rows without values
+      if (Object.values(row).every(value => !value || !value.trim())) continue;
+
+      const trimmedRow = {};
+      Object.keys(row).forEach(key => {
+        trimmedRow[key] = row[key] ? row[key].trim() : '';
+      });
+      yield { row: trimmedRow, line: rowLine };
+    }
+    if (!headersSent && headers) yield { headers };
+  } finally {
+    fileStream.destroy();
+  }
+}
+
+module.exports = {
+  DELIMITERS,
+  detectDelimiter,
+  readCsv
+};
@@ -0,0 +1,138 @@
+const path = require('path');
+const { readSample, detectEncoding, isSupportedEncoding, decodeSample } = require('./source');
+const { DELIMITERS, detectDelimiter, readCsv } = require('./csvReader');
+const { readJsonArray, readNdjson } = require('./jsonReader');
+const { readXlsx } = require('./xlsxReader');
+
+/**
+ * Lead import formats
+ * Each reader is an async generator yielding { headers }, { row, line }
+ * or { error, line } items, so every format goes through the same
+ * mapping and validation
+ */
+
+const READERS = {
+  csv: readCsv,
+  json: readJsonArray,
+  ndjson: readNdjson,
+  xlsx: readXlsx
+};
+
+const FORMATS = Object.keys(READERS);
+
+const EXTENSION_FORMATS = {
+  '.csv': 'csv',
+  '.tsv': 'csv',
+  '.txt': 'csv',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.xlsx': 'xlsx'
+};
+
+const MIME_FORMATS = {
+  'text/csv': 'csv',
+  'text/tab-separated-values': 'csv',
+  'text/plain': 'csv',
+  'application/json': 'json',
+  'application/x-ndjson': 'ndjson',
+  'application/jsonl': 'ndjson',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx'
+};
+
+// Generic types sent by browsers and curl that say nothing about the format
+const GENERIC_MIME_TYPES = ['application/octet-stream', 'application/vnd.ms-excel'];
+
+/**
+ * Whether an upload looks like a supported format, from its name and type
+ */
+function isSupportedUpload({ originalname, mimetype }) {
+  const extension = path.extname(originalname || '').toLowerCase();
+  return Boolean(EXTENSION_FORMATS[extension] || MIME_FORMATS[mimetype]) ||
+    (GENERIC_MIME_TYPES.includes(mimetype) && !extension);
+}
+
+/**
+ * Format of a text sample: an array is JSON, objects line by line are
+ * NDJSON, anything else is treated as delimited text
+ */
+function sniffTextFormat(text) {
+  const start = text.trimStart();
+  if (start.startsWith('[')) return 'json';
+  if (start.startsWith('{')) return 'ndjson';
+  return 'csv';
+}
+
+/**
+ * Work out how to read an uploaded file
+ * Explicit options win; otherwise the format comes from the file's
+ * signature, extension, content type and first bytes, the encoding from
+ * its byte order mark and the delimiter from the header line.
+ * Resolves to { format, encoding, delimiter? } or throws with a
+ * client-facing message (error.status = 400)
+ */
+async function detectFormat(filePath, { originalName, mimetype, format, encoding, delimiter } = {}) {
+  const invalid = message => Object.assign(new Error(message), { status: 400 });
+
+  if (format && !FORMATS.includes(format)) {
+    throw invalid(`format must be one of ${FORMATS.join(', ')}`);
+  }
+  if (encoding && !isSupportedEncoding(encoding)) {
+    throw invalid(`Unsupported encoding: ${encoding}`);
+  }
+  // Tabs are hard to pass in a query string
+  const separator = delimiter === 'tab' ? '\t' : delimiter;
+  if (separator && separator.length !== 1) {
+    throw invalid(`delimiter must be a single character, e.g. ${DELIMITERS.map(value => JSON.stringify(value)).join(', ')} or "tab"`);
+  }
+
+  const sample = await readSample(filePath);
+  const isZip = sample[0] === 0x50 && sample[1] === 0x4B;
+  // Legacy Excel files are OLE compound documents
+  if (!format && sample[0] === 0xD0 && sample[1] === 0xCF && sample[2] === 0x11 && sample[3] === 0xE0) {
+    throw invalid('Legacy .xls files are not supported. Save the sheet as .xlsx or CSV');
+  }
+
+  let detectedFormat = format;
+  if (!detectedFormat && isZip) detectedFormat = 'xlsx';
+  if (!detectedFormat) {
+    const extension = path.extname(originalName || '').toLowerCase();
+    detectedFormat = EXTENSION_FORMATS[extension] || MIME_FORMATS[mimetype];
+  }
+
+  if (detectedFormat === 'xlsx') {
+    if (!isZip) throw invalid('File is not a valid .xlsx workbook');
+    return { format: 'xlsx' };
+  }
+
+  const textEncoding = encoding || detectEncoding(sample);
+  const text = decodeSample(sample, textEncoding);
+  if (!detectedFormat || (detectedFormat === 'json' && sniffTextFormat(text) === 'ndjson')) {
+    // A .json file of one object per line is NDJSON
+    detectedFormat = sniffTextFormat(text);
+  }
+
+  if (detectedFormat === 'csv') {
+    return {
+      format: 'csv',
+      encoding: textEncoding,
+      delimiter: separator || detectDelimiter(text)
+    };
+  }
+  return { format: detectedFormat, encoding: textEncoding };
+}
+
+/**
+ * Read the items of a file in a detected format
+ * `stats.bytes` is kept up to date with the bytes read
+ */
+function readRecords(filePath, detected, stats) {
+  return READERS[detected.format](filePath, detected, stats);
+}
+
+module.exports = {
+  FORMATS,
+  isSupportedUpload,
+  detectFormat,
+  readRecords
+};
@@ -0,0 +1,137 @@
+const readline = require('readline');
+const { pipeline } = require('stream');
+const { openFile, createDecoder, recordToRow } = require('./source');
+
+/**
+ * JSON arrays and newline-delimited JSON (NDJSON)
+ */
+
+function isWhitespace(char) {
+  return char === ' ' || char === '\n' || char === '\r' || char === '\t';
+}
+
+/**
+ * Parse one array element or NDJSON line into a row item
+ */
+function parseRecord(text, line) {
+  let record;
+  try {
+    record = JSON.parse(text);
+  } catch (error) {
+    return { error: `Invalid JSON: ${error.message}`, line };
+  }
+
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { error: 'Each lead must be a JSON object', line };
+  }
+  return { row: recordToRow(record), line };
+}
+
+function openText(filePath, encoding, stats) {
+  const fileStream = openFile(filePath, stats);
+  const text = createDecoder(encoding);
+  pipeline(fileStream, text, () => {});
+  return { fileStream, text };
+}
+
+/**
+ * Yield { row, line } for every element of a top-level JSON array,
+ * without parsing the whole file at once. `line` is the line the
+ * element starts on; an element that fails to parse yields { error, line }
+ */
+async function* readJsonArray(filePath, { encoding }, stats) {
+  const { fileStream, text } = openText(filePath, encoding, stats);
+
+  let line = 1;
+  let opened = false;
+  let closed = false;
+  // Current element, its nesting depth and string state
+  let element = null;
+  let elementLine = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  try {
+    for await (const chunk of text) {
+      const items = [];
+
+      for (const char of chunk) {
+        if (element !== null) {
+          if (inString) {
+            element += char;
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+          } else if (depth === 0 && (char === ',' || char === ']')) {
+            // End of a scalar element
+            items.push(parseRecord(element, elementLine));
+            element = null;
+            if (char === ']') closed = true;
+          } else {
+            element += char;
+            if (char === '"') inString = true;
+            else if (char === '{' || char === '[') depth++;
+            else if (char === '}' || char === ']') {
+              depth--;
+              if (depth === 0) {
+                items.push(parseRecord(element, elementLine));
+                element = null;
+              }
+            }
+          }
+        } else if (isWhitespace(char)) {
+          // Skip whitespace between elements
+        } else if (!opened) {
+          if (char !== '[') throw new Error('JSON uploads must contain an array of leads');
+          opened = true;
+        } else if (closed) {
+          throw new Error('Unexpected content after the JSON array');
+        } else if (char === ']') {
+          closed = true;
+        } else if (char !== ',') {
+          element = char;
+          elementLine = line;
+          inString = char === '"';
+          escaped = false;
+          depth = char === '{' || char === '[' ? 1 : 0;
+        }
+
+        if (char === '\n') line++;
+      }
+
+      yield* items;
+    }
+
+    if (!opened || !closed) {
+      throw new Error('Invalid JSON: the array is not closed');
+    }
+  } finally {
+    fileStream.destroy();
+  }
+}
+
+/**
+ * Yield { row, line } for every non-blank line of an NDJSON file
+ */
+async function* readNdjson(filePath, { encoding }, stats) {
+  const { fileStream, text } = openText(filePath, encoding, stats);
+  const lines = readline.createInterface({ input: text, crlfDelay: Infinity });
+
+  let line = 0;
+  try {
+    for await (const content of lines) {
+      line++;
+      if (!content.trim()) continue;
+      yield parseRecord(content, line);
+    }
+  } finally {
+    lines.close();
+    fileStream.destroy();
+  }
+}
+
+module.exports = {
+  readJsonArray,
+  readNdjson
+};
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const { Transform } = require('stream');
+
+/**
+ * Reading helpers shared by the import format readers
+ */
+
+// Bytes read to detect the format, encoding and delimiter
+const SAMPLE_BYTES = 64 * 1024;
+
+async function readSample(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SAMPLE_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SAMPLE_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Text encoding of a sample, from its byte order mark or, without
+ * one, from the share of zero bytes typical of UTF-16 text
+ */
+function detectEncoding(sample) {
+  if (sample[0] === 0xEF && sample[1] === 0xBB && sample[2] === 0xBF) return 'utf-8';
+  if (sample[0] === 0xFF && sample[1] === 0xFE) return 'utf-16le';
+  if (sample[0] === 0xFE && sample[1] === 0xFF) return 'utf-16be';
+
+  const length = Math.min(sample.length, 1024) & ~1;
+  let zeroEven = 0;
+  let zeroOdd = 0;
+  for (let i = 0; i < length; i += 2) {
+    if (sample[i] === 0) zeroEven++;
+    if (sample[i + 1] === 0) zeroOdd++;
+  }
+  if (length > 0 && zeroOdd / (length / 2) > 0.3) return 'utf-16le';
+  if (length > 0 && zeroEven / (length / 2) > 0.3) return 'utf-16be';
+  return 'utf-8';
+}
+
+function isSupportedEncoding(encoding) {
+  try {
+    new TextDecoder(encoding);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function decodeSample(sample, encoding) {
+  return new TextDecoder(encoding).decode(sample);
+}
+
+/**
+ * Stream that decodes bytes in `encoding` to UTF-8 text, dropping any
+ * byte order mark
+ */
+function createDecoder(encoding) {
+  const decoder = new TextDecoder(encoding);
+  return new Transform({
+    encoding: 'utf8',
+    transform(chunk, _encoding, callback) {
+      callback(null, decoder.decode(chunk, { stream: true }));
+    },
+    flush(callback) {
+      callback(null, decoder.decode());
+    }
+  });
+}
+
+/**
+ * Open a file for reading, counting the bytes read into `stats.bytes`
+ */
+function openFile(filePath, stats) {
+  const stream = fs.createReadStream(filePath);
+  stream.on('data', chunk => {
+    stats.bytes += chunk.length;
+  });
+  return stream;
+}
+
+/**
+ * Convert a parsed value to the trimmed text stored on a lead
+ */
+function toCellText(value) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value).trim();
+}
+
+/**
+ * Turn a JSON record into a row of text values
+ * A nested custom_attributes object (as returned by GET /api/leads) is
+ * flattened so its keys map back to custom attributes
+ */
+function recordToRow(record) {
+  const row = {};
+  Object.entries(record).forEach(([key, value]) => {
+    if (key === 'custom_attributes' && value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([attribute, attributeValue]) => {
+        row[attribute] = toCellText(attributeValue);
+      });
+      return;
+    }
+    row[key] = toCellText(value);
+  });
+  return row;
+}
+
+module.exports = {
+  readSample,
+  detectEncoding,
+  isSupportedEncoding,
+  decodeSample,
+  createDecoder,
+  openFile,
+  toCellText,
+  recordToRow
+};
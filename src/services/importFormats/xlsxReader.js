@@ -0,0 +1,72 @@
+const ExcelJS = require('exceljs');
+const { openFile, toCellText } = require('./source');
+
+/**
+ * Excel workbooks (.xlsx); only the first worksheet is imported
+ */
+
+/**
+ * Text of a cell value: rich text, hyperlinks and formulas are reduced
+ * to what the cell displays
+ */
+function cellText(value) {
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.error !== undefined) return '';
+  }
+  return toCellText(value);
+}
+
+/**
+ * Yield { headers } from the first non-empty row of the first
+ * worksheet, then { row, line } for each following non-empty row;
+ * `line` is the spreadsheet row number
+ */
+async function* readXlsx(filePath, options, stats) {
+  const fileStream = openFile(filePath, stats);
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(fileStream, {
+    sharedStrings: 'cache',
+    hyperlinks: 'ignore',
+    // Cell styles are what mark a number as a date
+    styles: 'cache',
+    worksheets: 'emit'
+  });
+
+  try {
+    for await (const worksheet of workbook) {
+      let headers = null;
+
+      for await (const sheetRow of worksheet) {
+        // row.values is 1-based, with gaps for empty cells
+        const values = [];
+        sheetRow.values.forEach((value, index) => {
+          values[index - 1] = cellText(value);
+        });
+        if (values.every(value => !value)) continue;
+
+        if (!headers) {
+          headers = Array.from(values, (value, index) => value || `column_${index + 1}`);
+          yield { headers };
+          continue;
+        }
+
+        const row = {};
+        headers.forEach((header, index) => {
+          row[header] = values[index] || '';
+        });
+        yield { row, line: sheetRow.number };
+      }
+
+      // Only the first worksheet holds leads
+      break;
+    }
+  } finally {
+    fileStream.destroy();
+  }
+}
+
+module.exports = {
+  readXlsx
+};
@@ -0,0 +1,510 @@
+const fs = require('fs');
+const storage = require('../storage/storage');
+const jobConfig = require('../config/jobConfig');
+const webhookService = require('./webhookService');
+const { scoreAllLeads, summarizeScores, enrichmentEntries, usageEntries, toResultView } = require('./scoringService');
+const { ingestFile, buildErrorCsv } = require('./leadIngestionService');
+const { detectFormat } = require('./importFormats');
+const { importLeads } = require('./leadImportService');
+const { selectResults, pushResults } = require('./crmSyncService');
+const { getWorkspaceId } = require('../storage/workspaceContext');
+
+/**
+ * Background job runner for scoring, lead imports and CRM pushes
+ * Jobs live in memory; a restart drops running jobs. Each job belongs to
+ * the workspace that started it and is only visible from there. Finished
+ * jobs are dropped after JOB_RETENTION_MINUTES or once more than
+ * JOB_HISTORY_LIMIT have finished; scoring runs stay in the run history.
+ */
+
+// Row errors and duplicates echoed in an import summary
+const IMPORT_SAMPLE_SIZE = 10;
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const ACTIVE_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING];
+
+class JobService {
+  constructor() {
+    this.jobs = new Map();
+    this.nextJobId = 1;
+  }
+
+  /**
+   * Register a job and run it on the next tick
+   * Errors that escape the runner (a storage write after the work is
+   * done, a webhook emit, the follow-up CRM push) fail the job instead of
+   * becoming unhandled rejections, which would end the process
+   */
+  schedule(entry, run) {
+    this.prune();
+    this.jobs.set(entry.job.id, entry);
+    entry.promise = new Promise(resolve => setImmediate(resolve))
+      .then(run)
+      .catch(error => {
+        const { job } = entry;
+        console.error(`Job ${job.id} (${job.type}) failed:`, error);
+        job.status = JOB_STATUS.FAILED;
+        job.errors.push({ message: error.message });
+        job.completedAt = job.completedAt || new Date().toISOString();
+      });
+  }
+
+  /**
+   * Queue a scoring job and start it on the next tick
+   * With merge: true only the scored leads' results are replaced;
+   * budgetUsd caps the run's estimated AI cost (0 or null for no cap)
+   */
+  startScoringJob(leads, offer, config, { merge = false, budgetUsd = null } = {}) {
+    const id = this.nextJobId++;
+    const entry = {
+      job: {
+        id,
+        type: 'scoring',
+        offer_id: offer.id,
+        scoring_config_version: config.version,
+        mode: merge ? 'merge' : 'replace',
+        budget_usd: budgetUsd || null,
+        run_id: null,
+        status: JOB_STATUS.QUEUED,
+        total: leads.length,
+        processed: 0,
+        errors: [],
+        summary: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        completedAt: null
+      },
+      workspace_id: getWorkspaceId(),
+      controller: new AbortController(),
+      results: []
+    };
+
+    this.schedule(entry, () => this.runScoringJob(entry, leads, offer, config, merge));
+
+    return this.toView(entry);
+  }
+
+  async runScoringJob(entry, leads, offer, config, merge) {
+    const { job, controller } = entry;
+    if (controller.signal.aborted) return;
+
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    let stored = [];
+
+    try {
+      const scoredLeads = await scoreAllLeads(leads, offer, {
+        config,
+        budgetUsd: job.budget_usd,
+        signal: controller.signal,
+        onProgress: (scored, processed) => {
+          entry.results.push(scored);
+          job.processed = processed;
+          if (scored.details && scored.details.error) {
+            job.errors.push({ lead_id: scored.lead_id, message: scored.details.error });
+          }
+        }
+      });
+
+      if (controller.signal.aborted) {
+        job.status = JOB_STATUS.CANCELLED;
+        console.log(`Scoring job ${job.id} cancelled after ${job.processed}/${job.total} leads`);
+      } else {
+        job.summary = summarizeScores(scoredLeads);
+        job.status = JOB_STATUS.COMPLETED;
+        const run = this.recordRun(job, offer, config);
+        const results = scoredLeads.map(scored => ({ ...scored, run_id: run.id }));
+        stored = merge
+          ? storage.mergeScoredLeads(results, offer.id)
+          : storage.setScoredLeads(results, offer.id);
+        storage.saveRunResults(run.id, stored.map(toResultView));
+        storage.saveLeadEnrichments(enrichmentEntries(scoredLeads));
+        console.log(`Scoring job ${job.id} completed successfully`);
+      }
+    } catch (error) {
+      console.error(`Scoring job ${job.id} failed:`, error);
+      job.status = JOB_STATUS.FAILED;
+      job.errors.push({ message: error.message });
+    } finally {
+      job.completedAt = new Date().toISOString();
+      const results = entry.results;
+      // Completed results are kept with the run from here on; partial ones
+      // stay for GET /api/jobs/:id/results, without their explanations
+      entry.results = job.status === JOB_STATUS.COMPLETED ? null : results.map(toResultView);
+      // Tokens spent count even when the run did not complete
+      storage.recordAiUsage(usageEntries(results));
+    }
+
+    // Cancelled and failed runs are kept too, without results
+    if (!job.run_id) this.recordRun(job, offer, config);
+
+    if (job.status === JOB_STATUS.COMPLETED) {
+      webhookService.emitResults(stored.map(toResultView), { offerId: offer.id, runId: job.run_id });
+      webhookService.emit('scoring.completed', {
+        job: this.toView(entry),
+        results_url: `/api/results?offer_id=${offer.id}`
+      });
+      this.pushAfterScoring(stored.map(toResultView));
+    } else if (job.status === JOB_STATUS.FAILED) {
+      webhookService.emit('scoring.failed', { job: this.toView(entry) });
+    }
+  }
+
+  /**
+   * Record a scoring job in the run history with snapshots of the offer
+   * and scoring config it used
+   */
+  recordRun(job, offer, config) {
+    const run = storage.createRun({
+      job_id: job.id,
+      offer_id: offer.id,
+      status: job.status,
+      mode: job.mode,
+      total: job.total,
+      processed: job.processed,
+      budget_usd: job.budget_usd,
+      summary: job.summary,
+      offer,
+      scoring_config_version: config.version,
+      scoring_config: config,
+      startedAt: job.startedAt,
+      completedAt: new Date().toISOString()
+    });
+    job.run_id = run.id;
+    return run;
+  }
+
+  /**
+   * Start a CRM push for every active integration that pushes after
+   * scoring; one already pushing skips this run's results
+   */
+  pushAfterScoring(results) {
+    storage.getIntegrations()
+      .filter(integration => integration.active && integration.push_after_scoring)
+      .forEach(integration => {
+        const selected = selectResults(integration, results);
+        if (selected.length === 0) return;
+        if (this.findActivePush(integration.id)) {
+          console.warn(`Integration ${integration.id} is already pushing; skipped ${selected.length} new results`);
+          return;
+        }
+        this.startCrmPushJob(integration, selected, { trigger: 'scoring' });
+      });
+  }
+
+  /**
+   * Queue a job pushing scored results to an integration's CRM
+   * trigger: 'manual' for POST /api/integrations/:id/push, 'scoring'
+   * when started after a scoring job
+   */
+  startCrmPushJob(integration, results, { force = false, trigger = 'manual' } = {}) {
+    const id = this.nextJobId++;
+    const entry = {
+      job: {
+        id,
+        type: 'crm_push',
+        integration_id: integration.id,
+        trigger,
+        force,
+        status: JOB_STATUS.QUEUED,
+        total: results.length,
+        processed: 0,
+        errors: [],
+        summary: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        completedAt: null
+      },
+      workspace_id: getWorkspaceId(),
+      controller: new AbortController()
+    };
+
+    this.schedule(entry, () => this.runCrmPushJob(entry, integration, results));
+
+    return this.toView(entry);
+  }
+
+  async runCrmPushJob(entry, integration, results) {
+    const { job, controller } = entry;
+    if (controller.signal.aborted) return;
+
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+
+    try {
+      job.summary = await pushResults(integration, results, {
+        force: job.force,
+        signal: controller.signal,
+        onProgress: processed => {
+          job.processed = processed;
+        }
+      });
+      // Leads that needed no request count as processed
+      job.processed = job.summary.synced + job.summary.failed + job.summary.skipped + job.summary.unchanged;
+
+      if (controller.signal.aborted) {
+        job.status = JOB_STATUS.CANCELLED;
+        console.log(`CRM push job ${job.id} cancelled after ${job.processed}/${job.total} leads`);
+      } else {
+        job.status = JOB_STATUS.COMPLETED;
+        console.log(`CRM push job ${job.id} completed: ${job.summary.synced} synced, ${job.summary.failed} failed`);
+      }
+    } catch (error) {
+      console.error(`CRM push job ${job.id} failed:`, error);
+      job.status = JOB_STATUS.FAILED;
+      job.errors.push({ message: error.message });
+    } finally {
+      job.completedAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Queue an import job for an uploaded lead file
+   * The file is deleted once the job finishes
+   * `mapping` is the column mapping profile; detected from the headers when null
+   * `formatOptions` ({ format, encoding, delimiter }) override detection
+   */
+  startImportJob({ filePath, fileSize, originalName, mode, strategy, mapping = null, formatOptions = {} }) {
+    const id = this.nextJobId++;
+    const entry = {
+      job: {
+        id,
+        type: 'import',
+        file_name: originalName,
+        format: null,
+        mode,
+        strategy,
+        status: JOB_STATUS.QUEUED,
+        total: null,
+        processed: 0,
+        bytes_total: fileSize,
+        bytes_processed: 0,
+        errors: [],
+        summary: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        completedAt: null
+      },
+      workspace_id: getWorkspaceId(),
+      controller: new AbortController(),
+      mapping,
+      formatOptions: { originalName, ...formatOptions },
+      rowErrors: [],
+      headers: []
+    };
+
+    this.schedule(entry, () => this.runImportJob(entry, filePath));
+
+    return this.toView(entry);
+  }
+
+  async runImportJob(entry, filePath) {
+    const { job, controller } = entry;
+
+    try {
+      if (controller.signal.aborted) return;
+
+      job.status = JOB_STATUS.RUNNING;
+      job.startedAt = new Date().toISOString();
+
+      const detected = await detectFormat(filePath, entry.formatOptions);
+      job.format = detected;
+
+      const { leads, errors, totalRows, headers, mapping } = await ingestFile(filePath, {
+        detected,
+        mapping: entry.mapping,
+        signal: controller.signal,
+        onProgress: ({ rows, bytes }) => {
+          job.processed = rows;
+          job.bytes_processed = bytes;
+        }
+      });
+      entry.rowErrors = errors;
+      entry.headers = headers;
+      job.total = totalRows;
+
+      job.summary = {
+        mapping,
+        total_rows: totalRows,
+        total_errors: errors.length,
+        ...(errors.length > 0 && {
+          sample_errors: errors.slice(0, IMPORT_SAMPLE_SIZE).map(({ line, errors: rowErrors }) => ({ line, errors: rowErrors })),
+          errors_url: `/api/jobs/${job.id}/errors.csv`
+        })
+      };
+
+      if (leads.length === 0) {
+        job.status = JOB_STATUS.FAILED;
+        job.errors.push({
+          message: mapping.missing_fields.length > 0
+            ? `No column maps to required fields: ${mapping.missing_fields.join(', ')}`
+            : 'No valid leads found in file'
+        });
+        return;
+      }
+
+      const result = importLeads(leads, { mode: job.mode, strategy: job.strategy });
+      job.summary = {
+        ...job.summary,
+        total_uploaded: leads.length,
+        created: result.created,
+        updated: result.updated,
+        kept_ids: result.kept_ids,
+        total_duplicates: result.duplicates.length,
+        total_leads: result.leads.length,
+        ...(result.duplicates.length > 0 && { sample_duplicates: result.duplicates.slice(0, IMPORT_SAMPLE_SIZE) })
+      };
+      job.status = JOB_STATUS.COMPLETED;
+      console.log(`Import job ${job.id} completed: ${leads.length} valid rows`);
+    } catch (error) {
+      if (error.cancelled) {
+        job.status = JOB_STATUS.CANCELLED;
+        console.log(`Import job ${job.id} cancelled after ${job.processed} rows`);
+      } else {
+        console.error(`Import job ${job.id} failed:`, error);
+        job.status = JOB_STATUS.FAILED;
+        job.errors.push({ message: error.message });
+      }
+    } finally {
+      job.completedAt = new Date().toISOString();
+      fs.promises.unlink(filePath).catch(() => {});
+    }
+  }
+
+  /**
+   * Drop finished jobs older than JOB_RETENTION_MINUTES and the oldest
+   * past JOB_HISTORY_LIMIT
+   */
+  prune() {
+    const cutoff = Date.now() - jobConfig.retentionMinutes * 60 * 1000;
+    const finished = [...this.jobs.values()].filter(entry => !ACTIVE_STATUSES.includes(entry.job.status));
+
+    finished.forEach((entry, index) => {
+      const expired = entry.job.completedAt && new Date(entry.job.completedAt).getTime() < cutoff;
+      const overLimit = index < finished.length - jobConfig.historyLimit;
+      if (expired || overLimit) this.jobs.delete(entry.job.id);
+    });
+  }
+
+  // Job of the current workspace, or undefined
+  getEntry(id) {
+    this.prune();
+    const entry = this.jobs.get(Number(id));
+    return entry && entry.workspace_id === getWorkspaceId() ? entry : undefined;
+  }
+
+  workspaceEntries() {
+    const workspaceId = getWorkspaceId();
+    return [...this.jobs.values()].filter(entry => entry.workspace_id === workspaceId);
+  }
+
+  /**
+   * Resolves with the job view once the job has finished
+   */
+  async waitForJob(id) {
+    const entry = this.getEntry(id);
+    if (!entry) return null;
+    await entry.promise;
+    return this.toView(entry);
+  }
+
+  /**
+   * CSV of an import job's row errors, or null if there is none
+   */
+  getImportErrorCsv(id) {
+    const entry = this.getEntry(id);
+    if (!entry || entry.job.type !== 'import' || entry.rowErrors.length === 0) return null;
+    return buildErrorCsv(entry.rowErrors, entry.headers);
+  }
+
+  getJob(id) {
+    const entry = this.getEntry(id);
+    return entry ? this.toView(entry) : null;
+  }
+
+  // Results of a completed job come from its run
+  getJobResults(id) {
+    const entry = this.getEntry(id);
+    if (!entry) return null;
+    return entry.results || storage.getRunResults(entry.job.run_id);
+  }
+
+  // Active scoring job of an offer
+  findActiveJob(offerId) {
+    for (const entry of this.workspaceEntries()) {
+      if (entry.job.type === 'scoring' && entry.job.offer_id === offerId && ACTIVE_STATUSES.includes(entry.job.status)) {
+        return this.toView(entry);
+      }
+    }
+    return null;
+  }
+
+  // Active push job of an integration
+  findActivePush(integrationId) {
+    for (const entry of this.workspaceEntries()) {
+      if (entry.job.type === 'crm_push' && entry.job.integration_id === integrationId && ACTIVE_STATUSES.includes(entry.job.status)) {
+        return this.toView(entry);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Request cancellation; a scoring job stops before its next lead,
+   * an import job stops reading its file, a CRM push stops before its
+   * next request
+   * Returns null if the job does not exist, false if it already finished
+   */
+  cancelJob(id) {
+    const entry = this.getEntry(id);
+    if (!entry) return null;
+    if (!ACTIVE_STATUSES.includes(entry.job.status)) return false;
+
+    entry.controller.abort();
+    if (entry.job.status === JOB_STATUS.QUEUED) {
+      entry.job.status = JOB_STATUS.CANCELLED;
+      entry.job.completedAt = new Date().toISOString();
+    }
+    return true;
+  }
+
+  toView(entry) {
+    const { job } = entry;
+    return {
+      ...job,
+      errors: [...job.errors],
+      eta_seconds: this.estimateRemaining(job)
+    };
+  }
+
+  estimateRemaining(job) {
+    if (job.status !== JOB_STATUS.RUNNING) {
+      return job.status === JOB_STATUS.QUEUED ? null : 0;
+    }
+    const elapsed = Date.now() - new Date(job.startedAt).getTime();
+
+    // Imports don't know their row count up front, so use bytes read
+    if (job.bytes_total) {
+      if (!job.bytes_processed) return null;
+      return Math.round((elapsed / job.bytes_processed) * (job.bytes_total - job.bytes_processed) / 1000);
+    }
+
+    if (job.processed === 0) return null;
+
+    const perLead = elapsed / job.processed;
+    return Math.round((perLead * (job.total - job.processed)) / 1000);
+  }
+}
+
+// Singleton instance
+const jobService = new JobService();
+
+module.exports = jobService;
+module.exports.JOB_STATUS = JOB_STATUS;
@@ -0,0 +1,195 @@
+const storage = require('../storage/storage');
+
+/**
+ * Lead import with deduplication and merge strategies
+ */
+
+const IMPORT_MODES = ['replace', 'append'];
+const MERGE_STRATEGIES = ['keep_existing', 'overwrite', 'fill_empty'];
+
+// Fields managed by storage and enrichment, never taken from an upload
+const SYSTEM_FIELDS = ['id', 'uploadedAt', 'updatedAt', 'enrichment'];
+
+function normalizeText(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Legal suffixes ignored when comparing company names
+const COMPANY_SUFFIXES = /\s+(inc|llc|ltd|limited|corp|corporation|co|gmbh|plc|sa|ag|bv)$/;
+
+function normalizeCompany(value) {
+  return normalizeText(value).replace(COMPANY_SUFFIXES, '');
+}
+
+function normalizeUrl(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/[?#].*$/, '')
+    .replace(/\/+$/, '');
+}
+
+/**
+ * Keys a lead can be deduplicated on, strongest first
+ */
+function dedupKeys(lead) {
+  const keys = [];
+
+  const email = String(lead.email || '').trim().toLowerCase();
+  if (email) keys.push({ type: 'email', key: `email:${email}` });
+
+  const linkedin = normalizeUrl(lead.linkedin_url || lead.linkedin);
+  if (linkedin) keys.push({ type: 'linkedin_url', key: `linkedin:${linkedin}` });
+
+  const name = normalizeText(lead.name);
+  const company = normalizeCompany(lead.company);
+  if (name && company) keys.push({ type: 'name_company', key: `name_company:${name}|${company}` });
+
+  return keys;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || String(value).trim().length === 0;
+}
+
+// Custom attributes are merged one by one, as "custom_attributes.<key>"
+const ATTRIBUTE_PREFIX = 'custom_attributes.';
+
+function flattenLead(lead) {
+  const { custom_attributes: customAttributes = {}, ...fields } = lead;
+  Object.entries(customAttributes).forEach(([key, value]) => {
+    fields[ATTRIBUTE_PREFIX + key] = value;
+  });
+  return fields;
+}
+
+/**
+ * Apply a merge strategy to an existing lead and an incoming duplicate
+ * Returns the merged lead and whether anything changed
+ */
+function mergeLead(existing, incoming, strategy) {
+  const existingFields = flattenLead(existing);
+  const incomingFields = flattenLead(incoming);
+  const fields = Object.keys(incomingFields).filter(field => !SYSTEM_FIELDS.includes(field));
+  let changedFields = [];
+
+  if (strategy === 'overwrite') {
+    changedFields = fields.filter(field => !isEmpty(incomingFields[field]) && incomingFields[field] !== existingFields[field]);
+  } else if (strategy === 'fill_empty') {
+    changedFields = fields.filter(field => isEmpty(existingFields[field]) && !isEmpty(incomingFields[field]));
+  }
+
+  if (changedFields.length === 0) {
+    return { lead: existing, changedFields };
+  }
+
+  const merged = { ...existing, updatedAt: new Date().toISOString() };
+  changedFields.forEach(field => {
+    if (field.startsWith(ATTRIBUTE_PREFIX)) {
+      merged.custom_attributes = {
+        ...merged.custom_attributes,
+        [field.slice(ATTRIBUTE_PREFIX.length)]: incomingFields[field]
+      };
+    } else {
+      merged[field] = incomingFields[field];
+    }
+  });
+  return { lead: merged, changedFields };
+}
+
+/**
+ * Import validated leads
+ * - replace: the upload becomes the full lead list
+ * - append: the upload is added to the existing leads
+ * Duplicates (against existing leads in append mode, and within the
+ * upload in both modes) are resolved with `strategy`. Leads matching an
+ * existing lead keep its ID, so scored results keep pointing at them.
+ */
+function importLeads(incomingLeads, { mode = 'replace', strategy = 'keep_existing' } = {}) {
+  const existingLeads = storage.getLeads();
+  const working = mode === 'append' ? existingLeads.map(lead => ({ ...lead })) : [];
+  const index = new Map();
+  const previousIndex = new Map();
+
+  const addToIndex = (map, lead) => {
+    dedupKeys(lead).forEach(({ key }) => {
+      if (!map.has(key)) map.set(key, lead);
+    });
+  };
+  const findMatch = (map, lead) => {
+    for (const { type, key } of dedupKeys(lead)) {
+      if (map.has(key)) return { match: map.get(key), matchedOn: type };
+    }
+    return null;
+  };
+
+  working.forEach(lead => addToIndex(index, lead));
+  existingLeads.forEach(lead => addToIndex(previousIndex, lead));
+
+  const duplicates = [];
+  const updatedLeadIds = new Set();
+  let created = 0;
+  let kept = 0;
+
+  incomingLeads.forEach((incoming, rowIndex) => {
+    const found = findMatch(index, incoming);
+
+    if (found) {
+      const { lead, changedFields } = mergeLead(found.match, incoming, strategy);
+      if (changedFields.length > 0) {
+        working[working.indexOf(found.match)] = lead;
+        addToIndex(index, lead);
+        dedupKeys(found.match).forEach(({ key }) => index.set(key, lead));
+        if (lead.id !== undefined) updatedLeadIds.add(lead.id);
+      }
+      duplicates.push({
+        row: rowIndex + 1,
+        lead_id: found.match.id ?? null,
+        matched_on: found.matchedOn,
+        action: changedFields.length > 0 ? strategy : 'kept_existing',
+        ...(changedFields.length > 0 && { updated_fields: changedFields })
+      });
+      return;
+    }
+
+    // In replace mode a lead that was uploaded before keeps its ID
+    const previous = mode === 'replace' ? findMatch(previousIndex, incoming) : null;
+    const lead = previous
+      ? { ...incoming, id: previous.match.id, uploadedAt: previous.match.uploadedAt }
+      : { ...incoming };
+
+    working.push(lead);
+    addToIndex(index, lead);
+    if (previous) {
+      kept++;
+    } else {
+      created++;
+    }
+  });
+
+  const leads = storage.saveLeads(working);
+
+  return {
+    mode,
+    strategy,
+    created,
+    updated: updatedLeadIds.size,
+    // Replace mode only: uploaded leads that kept the ID of an earlier upload
+    kept_ids: kept,
+    duplicates,
+    leads
+  };
+}
+
+module.exports = {
+  IMPORT_MODES,
+  MERGE_STRATEGIES,
+  dedupKeys,
+  importLeads
+};
@@ -0,0 +1,195 @@
+const { validateLead } = require('../validators/validators');
+const { toCsvRow, sanitizeFormula } = require('../utils/csv');
+const { resolveMapping, applyMapping } = require('./columnMappingService');
+const { readRecords } = require('./importFormats');
+const { recordToRow } = require('./importFormats/source');
+
+/**
+ * Streaming lead ingestion
+ * Rows are read, mapped and validated as the file is read, so large
+ * files never have to be held in memory as a single string. Every
+ * format (see ./importFormats) goes through the same checks.
+ */
+
+// Rows between progress callbacks
+const PROGRESS_INTERVAL = 500;
+
+// Rows shown by an upload preview
+const PREVIEW_ROWS = 5;
+
+/**
+ * Maps and validates rows, re-resolving the column mapping whenever a
+ * row brings a column not seen before (JSON records can differ in keys)
+ */
+function createRowProcessor(profile) {
+  const headers = [];
+  const seen = new Set();
+  let mapping = resolveMapping(headers, profile);
+
+  const addHeaders = keys => {
+    const fresh = keys.filter(key => !seen.has(key));
+    if (fresh.length === 0) return;
+    fresh.forEach(key => seen.add(key));
+    headers.push(...fresh);
+    mapping = resolveMapping(headers, profile);
+  };
+
+  return {
+    addHeaders,
+    process(row) {
+      addHeaders(Object.keys(row));
+      const lead = applyMapping(row, mapping);
+      return { lead, validation: validateLead(lead) };
+    },
+    get headers() {
+      return headers;
+    },
+    get mapping() {
+      return mapping;
+    }
+  };
+}
+
+function cancelledError() {
+  const error = new Error('Import cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * Read, map and validate a lead file
+ * Errors carry the 1-based line (row number for spreadsheets) and the
+ * row as uploaded
+ * Options:
+ * - detected: { format, encoding, delimiter } from detectFormat
+ * - mapping: column mapping profile ({ name, columns }); detected when omitted
+ * - onProgress({ rows, bytes }): called every few hundred rows
+ * - signal: AbortSignal to stop reading
+ * Resolves to { leads, errors, totalRows, headers, mapping }
+ */
+async function ingestFile(filePath, options = {}) {
+  const { detected, mapping: profile, onProgress, signal } = options;
+  const processor = createRowProcessor(profile);
+  const stats = { bytes: 0 };
+  const leads = [];
+  const errors = [];
+  let totalRows = 0;
+
+  if (signal && signal.aborted) throw cancelledError();
+
+  for await (const item of readRecords(filePath, detected, stats)) {
+    if (signal && signal.aborted) throw cancelledError();
+
+    if (item.headers) {
+      processor.addHeaders(item.headers);
+      continue;
+    }
+
+    totalRows++;
+    if (item.error) {
+      errors.push({ line: item.line, errors: [item.error], row: {} });
+    } else {
+      const { lead, validation } = processor.process(item.row);
+      if (validation.valid) {
+        leads.push(lead);
+      } else {
+        errors.push({ line: item.line, errors: validation.errors, row: item.row });
+      }
+    }
+
+    if (onProgress && totalRows % PROGRESS_INTERVAL === 0) {
+      onProgress({ rows: totalRows, bytes: stats.bytes });
+    }
+  }
+
+  if (onProgress) onProgress({ rows: totalRows, bytes: stats.bytes });
+  return { leads, errors, totalRows, headers: processor.headers, mapping: processor.mapping };
+}
+
+/**
+ * Read the headers and first rows of a lead file and show how they
+ * would be imported, without storing anything
+ * Resolves to { headers, mapping, rows: [{ line, valid, lead, errors? }] }
+ */
+async function previewFile(filePath, options = {}) {
+  const { detected, mapping: profile, limit = PREVIEW_ROWS } = options;
+  const processor = createRowProcessor(profile);
+  const rows = [];
+
+  for await (const item of readRecords(filePath, detected, { bytes: 0 })) {
+    if (item.headers) {
+      processor.addHeaders(item.headers);
+      continue;
+    }
+
+    if (item.error) {
+      rows.push({ line: item.line, valid: false, lead: null, errors: [item.error] });
+    } else {
+      const { lead, validation } = processor.process(item.row);
+      rows.push({
+        line: item.line,
+        valid: validation.valid,
+        lead,
+        ...(!validation.valid && { errors: validation.errors })
+      });
+    }
+    if (rows.length >= limit) break;
+  }
+
+  return { headers: processor.headers, mapping: processor.mapping, rows };
+}
+
+/**
+ * Map and validate leads sent as JSON objects
+ * Errors carry the 0-based index of the lead in the request
+ * Resolves to { leads, errors, totalRows, headers, mapping }
+ */
+function ingestRecords(records, options = {}) {
+  const processor = createRowProcessor(options.mapping);
+  const leads = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      errors.push({ index, errors: ['Each lead must be a JSON object'] });
+      return;
+    }
+    const { lead, validation } = processor.process(recordToRow(record));
+    if (validation.valid) {
+      leads.push(lead);
+    } else {
+      errors.push({ index, errors: validation.errors });
+    }
+  });
+
+  return { leads, errors, totalRows: records.length, headers: processor.headers, mapping: processor.mapping };
+}
+
+/**
+ * Build a downloadable CSV of row errors: line, errors, then the
+ * original columns so rows can be fixed and re-uploaded
+ * Headers and cells come from the upload, so formulas are neutralized
+ * as in exports.
+ */
+function buildErrorCsv(errors, headers) {
+  const columns = headers.length > 0
+    ? headers
+    : [...new Set(errors.flatMap(error => Object.keys(error.row)))];
+
+  const rows = [toCsvRow(['line', 'errors', ...columns].map(sanitizeFormula))];
+  errors.forEach(error => {
+    rows.push(toCsvRow([
+      error.line,
+      error.errors.join('; '),
+      ...columns.map(column => error.row[column])
+    ].map(sanitizeFormula)));
+  });
+  return rows.join('\n');
+}
+
+module.exports = {
+  ingestFile,
+  previewFile,
+  ingestRecords,
+  buildErrorCsv
+};
@@ -0,0 +1,232 @@
+/**
+ * Lead and result selection helpers shared by scoring, listing and
+ * export endpoints: filtering, sorting and pagination
+ */
+
+// Lead fields that can be filtered with a case-insensitive substring match
+const LEAD_FILTER_FIELDS = ['name', 'role', 'company', 'industry', 'location'];
+
+// Fields searched by the free-text `q` parameter
+const LEAD_SEARCH_FIELDS = [...LEAD_FILTER_FIELDS, 'linkedin_bio', 'email'];
+const RESULT_SEARCH_FIELDS = [...LEAD_FILTER_FIELDS, 'reasoning'];
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Whether a lead matches every field in `filter`
+ */
+function matchesLeadFilter(lead, filter = {}) {
+  return LEAD_FILTER_FIELDS.every(field => {
+    if (filter[field] === undefined || filter[field] === '') return true;
+    return String(lead[field] || '').toLowerCase().includes(String(filter[field]).toLowerCase());
+  });
+}
+
+/**
+ * Select leads by ID list and/or field filter
+ * Returns { leads, missingIds }
+ */
+function selectLeads(leads, { lead_ids, filter } = {}) {
+  let selected = leads;
+  let missingIds = [];
+
+  if (lead_ids) {
+    const ids = lead_ids.map(Number);
+    selected = selected.filter(lead => ids.includes(lead.id));
+    missingIds = ids.filter(id => !leads.some(lead => lead.id === id));
+  }
+
+  if (filter) {
+    selected = selected.filter(lead => matchesLeadFilter(lead, filter));
+  }
+
+  return { leads: selected, missingIds };
+}
+
+/**
+ * Normalize an intent query value ("high", "HIGH") to High/Medium/Low,
+ * or null when it is not a known intent
+ */
+function normalizeIntent(intent) {
+  if (!intent || typeof intent !== 'string') return null;
+  const intentUpper = intent.charAt(0).toUpperCase() + intent.slice(1).toLowerCase();
+  return ['High', 'Medium', 'Low'].includes(intentUpper) ? intentUpper : null;
+}
+
+/**
+ * Whether any of `fields` (or, for leads, a custom attribute) contains
+ * the search text
+ */
+function matchesSearch(item, fields, text) {
+  const needle = String(text).toLowerCase();
+  const values = fields.map(field => item[field])
+    .concat(item.custom_attributes ? Object.values(item.custom_attributes) : []);
+  return values.some(value => value !== undefined && value !== null && String(value).toLowerCase().includes(needle));
+}
+
+/**
+ * Filter stored leads with the query options of GET /api/leads:
+ * name, role, company, industry, location (substring) and q (free text)
+ */
+function filterLeads(leads, query = {}) {
+  return leads.filter(lead =>
+    matchesLeadFilter(lead, query) && (!query.q || matchesSearch(lead, LEAD_SEARCH_FIELDS, query.q))
+  );
+}
+
+/**
+ * Filter scored results with the query options of GET /api/results
+ * (offer_id is applied by storage): intent, min_score, max_score, the
+ * lead field filters and q
+ */
+function filterResults(results, query = {}) {
+  const intentValue = normalizeIntent(query.intent);
+  const minScore = query.min_score !== undefined && query.min_score !== '' ? Number(query.min_score) : null;
+  const maxScore = query.max_score !== undefined && query.max_score !== '' ? Number(query.max_score) : null;
+
+  return results.filter(result =>
+    (!intentValue || result.intent === intentValue) &&
+    (minScore === null || result.score >= minScore) &&
+    (maxScore === null || result.score <= maxScore) &&
+    matchesLeadFilter(result, query) &&
+    (!query.q || matchesSearch(result, RESULT_SEARCH_FIELDS, query.q))
+  );
+}
+
+/**
+ * Parse a sort parameter: comma-separated fields, "-" for descending
+ * ("-score,name"). Nested fields use dots ("details.ai_score").
+ */
+function parseSort(sort, defaultSort) {
+  return String(sort || defaultSort)
+    .split(',')
+    .map(field => field.trim())
+    .filter(Boolean)
+    .map(field => (field.startsWith('-')
+      ? { field: field.slice(1), direction: -1 }
+      : { field, direction: 1 }));
+}
+
+function fieldValue(item, field) {
+  const value = field.split('.').reduce((current, key) => (current == null ? undefined : current[key]), item);
+  if (value !== undefined || !item.custom_attributes) return value;
+  return item.custom_attributes[field];
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Comparator for a parsed sort; missing values always sort last and
+ * ties are broken by ID so the order is stable across pages
+ */
+function createComparator(sortFields) {
+  return (a, b) => {
+    for (const { field, direction } of sortFields) {
+      const valueA = fieldValue(a, field);
+      const valueB = fieldValue(b, field);
+      if (isMissing(valueA) || isMissing(valueB)) {
+        if (isMissing(valueA) && isMissing(valueB)) continue;
+        return isMissing(valueA) ? 1 : -1;
+      }
+      const order = compareValues(valueA, valueB) * direction;
+      if (order !== 0) return order;
+    }
+    return a.id - b.id;
+  };
+}
+
+function encodeCursor(item, sortFields) {
+  return Buffer.from(JSON.stringify({
+    values: sortFields.map(({ field }) => fieldValue(item, field) ?? null),
+    id: item.id
+  })).toString('base64url');
+}
+
+/**
+ * Decode a cursor into a stand-in item that sorts where the last item
+ * of the previous page did; null when the cursor is malformed
+ */
+function decodeCursor(cursor, sortFields) {
+  try {
+    const { values, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (!Array.isArray(values) || values.length !== sortFields.length || !Number.isInteger(id)) return null;
+
+    const item = { id };
+    sortFields.forEach(({ field }, index) => {
+      // Rebuild nested fields so fieldValue finds them
+      const keys = field.split('.');
+      let target = item;
+      keys.slice(0, -1).forEach(key => {
+        target[key] = target[key] || {};
+        target = target[key];
+      });
+      target[keys[keys.length - 1]] = values[index];
+    });
+    return item;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Sorted copy of a list; see parseSort for the sort format
+ */
+function sortItems(items, sort, defaultSort = 'id') {
+  return [...items].sort(createComparator(parseSort(sort, defaultSort)));
+}
+
+/**
+ * Sort and paginate a list
+ * Options: sort, defaultSort, limit, offset, cursor (from a previous
+ * page's next_cursor; takes precedence over offset)
+ * Returns { items, pagination: { total, limit, offset?, has_more, next_cursor } }
+ */
+function paginate(items, { sort, defaultSort = 'id', limit, offset, cursor } = {}) {
+  const sortFields = parseSort(sort, defaultSort);
+  const comparator = createComparator(sortFields);
+  const sorted = [...items].sort(comparator);
+  const pageSize = Math.min(Number(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  let start = Number(offset) || 0;
+  if (cursor) {
+    const after = decodeCursor(cursor, sortFields);
+    const index = sorted.findIndex(item => comparator(item, after) > 0);
+    start = index === -1 ? sorted.length : index;
+  }
+
+  const page = sorted.slice(start, start + pageSize);
+  const hasMore = start + pageSize < sorted.length;
+
+  return {
+    items: page,
+    pagination: {
+      total: sorted.length,
+      limit: pageSize,
+      ...(!cursor && { offset: start }),
+      has_more: hasMore,
+      next_cursor: hasMore && page.length > 0 ? encodeCursor(page[page.length - 1], sortFields) : null
+    }
+  };
+}
+
+module.exports = {
+  LEAD_FILTER_FIELDS,
+  MAX_PAGE_SIZE,
+  matchesLeadFilter,
+  selectLeads,
+  normalizeIntent,
+  filterLeads,
+  filterResults,
+  parseSort,
+  sortItems,
+  decodeCursor,
+  paginate
+};
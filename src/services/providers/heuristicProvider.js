@@ -0,0 +1,48 @@
+/**
+ * Keyword heuristic classifier that needs no model
+ * Used when configured as the provider and as the fallback when a
+ * model provider is unavailable
+ */
+
+function classify(lead, offer) {
+  let score = 0;
+  let reasons = [];
+  
+  // Check role
+  const roleLower = (lead.role || '').toLowerCase();
+  if (['ceo', 'cto', 'founder', 'vp', 'director', 'head'].some(k => roleLower.includes(k))) {
+    score += 2;
+    reasons.push('senior role');
+  } else if (['manager', 'lead'].some(k => roleLower.includes(k))) {
+    score += 1;
+    reasons.push('management role');
+  }
+  
+  // Check industry
+  const industryLower = (lead.industry || '').toLowerCase();
+  const hasIndustryMatch = offer.ideal_use_cases.some(uc => 
+    industryLower.includes(uc.toLowerCase()) || uc.toLowerCase().includes(industryLower)
+  );
+  if (hasIndustryMatch) {
+    score += 2;
+    reasons.push('industry match');
+  }
+  
+  // Determine intent
+  let intent = 'Low';
+  if (score >= 3) intent = 'High';
+  else if (score >= 1) intent = 'Medium';
+  
+  const reasoning = reasons.length > 0 
+    ? `Prospect shows ${reasons.join(' and ')} indicating potential fit.`
+    : 'Limited signals for product fit based on available data.';
+  
+  return { intent, reasoning };
+}
+
+module.exports = {
+  name: 'heuristic',
+  model: 'heuristic',
+  usesModel: false,
+  classify
+};
@@ -0,0 +1,72 @@
+const { AzureOpenAI } = require('openai');
+const OpenAIProvider = require('./openaiProvider');
+const MockProvider = require('./mockProvider');
+const heuristicProvider = require('./heuristicProvider');
+
+/**
+ * Create the LLM provider selected by AI config
+ *
+ * Model providers implement:
+ * - name, model, usesModel = true, rateLimited
+ * - unavailableReason(): string explaining missing config, or null
+ * - complete({ system, prompt, lead, offer, schema }): Promise<{ text, usage }>
+ *   where schema is { name, schema } describing the expected JSON reply
+ *
+ * The heuristic provider has usesModel = false and implements
+ * classify(lead, offer) instead
+ */
+function createProvider(config) {
+  const settings = {
+    model: config.model,
+    temperature: config.temperature,
+    maxTokens: config.maxTokens,
+    structuredOutput: config.structuredOutput
+  };
+
+  switch (config.provider) {
+    case 'openai':
+      return new OpenAIProvider({
+        ...settings,
+        name: 'openai',
+        clientOptions: { apiKey: config.apiKey, ...(config.baseURL && { baseURL: config.baseURL }) },
+        missingConfig: config.apiKey ? null : 'No OpenAI API key configured'
+      });
+    case 'azure':
+      return new OpenAIProvider({
+        ...settings,
+        name: 'azure',
+        model: config.azure.deployment || config.model,
+        ClientClass: AzureOpenAI,
+        clientOptions: {
+          endpoint: config.azure.endpoint,
+          apiKey: config.azure.apiKey,
+          deployment: config.azure.deployment,
+          apiVersion: config.azure.apiVersion
+        },
+        missingConfig: config.azure.endpoint && config.azure.apiKey
+          ? null
+          : 'AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_API_KEY are required for the azure provider'
+      });
+    case 'local':
+      // Local servers usually ignore the key but the SDK requires one
+      return new OpenAIProvider({
+        ...settings,
+        name: 'local',
+        clientOptions: {
+          apiKey: config.apiKey || 'local',
+          baseURL: config.baseURL || 'http://localhost:11434/v1'
+        }
+      });
+    case 'mock':
+      return new MockProvider({ responsesFile: config.mockResponsesFile });
+    case 'heuristic':
+      return heuristicProvider;
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${config.provider}". Use openai, azure, local, mock or heuristic.`);
+  }
+}
+
+module.exports = {
+  createProvider,
+  heuristicProvider
+};
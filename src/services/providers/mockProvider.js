@@ -0,0 +1,50 @@
+const fs = require('fs');
+
+const DEFAULT_RESPONSE = {
+  intent: 'Medium',
+  confidence: 0.5,
+  reasoning: 'Canned response from the mock AI provider.',
+  criteria: {
+    decision_power: { assessment: 'Moderate', notes: 'Mock assessment' },
+    industry_fit: { assessment: 'Moderate', notes: 'Mock assessment' },
+    need_signals: { assessment: 'Moderate', notes: 'Mock assessment' }
+  }
+};
+
+/**
+ * Deterministic provider that replays canned responses, for CI and
+ * offline runs. The responses file maps lead names to replies (JSON
+ * objects, or raw strings to simulate malformed output); the "*" entry
+ * is used for leads without their own entry.
+ */
+class MockProvider {
+  constructor({ model = 'mock', responsesFile } = {}) {
+    this.name = 'mock';
+    this.model = model;
+    this.usesModel = true;
+    this.rateLimited = false;
+    this.responses = responsesFile ? MockProvider.loadResponses(responsesFile) : {};
+  }
+
+  static loadResponses(filePath) {
+    const responses = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!responses || typeof responses !== 'object' || Array.isArray(responses)) {
+      throw new Error(`Mock responses file ${filePath} must contain a JSON object`);
+    }
+    return responses;
+  }
+
+  unavailableReason() {
+    return null;
+  }
+
+  async complete({ lead }) {
+    const response = this.responses[lead.name] ?? this.responses['*'] ?? DEFAULT_RESPONSE;
+    return {
+      text: typeof response === 'string' ? response : JSON.stringify(response),
+      usage: null
+    };
+  }
+}
+
+module.exports = MockProvider;
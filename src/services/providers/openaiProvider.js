@@ -0,0 +1,93 @@
+const OpenAI = require('openai');
+
+// Validation-only keywords that strict structured outputs reject;
+// replies are still checked against them after parsing
+const CLIENT_SIDE_KEYWORDS = ['minimum', 'maximum', 'minLength'];
+
+function toWireSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toWireSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([key]) => !CLIENT_SIDE_KEYWORDS.includes(key))
+      .map(([key, value]) => [key, toWireSchema(value)])
+  );
+}
+
+/**
+ * Chat completion provider for the OpenAI API and anything speaking
+ * its protocol (Azure OpenAI, Ollama, llama.cpp server, vLLM, ...)
+ */
+class OpenAIProvider {
+  constructor({ name = 'openai', model, temperature, maxTokens, structuredOutput = 'json_schema', clientOptions = {}, ClientClass = OpenAI, missingConfig = null }) {
+    this.name = name;
+    this.model = model;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.structuredOutput = structuredOutput;
+    this.usesModel = true;
+    this.rateLimited = true;
+    this.clientOptions = clientOptions;
+    this.ClientClass = ClientClass;
+    this.missingConfig = missingConfig;
+    this.client = null;
+  }
+
+  /**
+   * Reason the provider cannot be used, or null when it is ready
+   */
+  unavailableReason() {
+    return this.missingConfig;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new this.ClientClass({
+        ...this.clientOptions,
+        // Retries are handled by aiService so they share the rate limiter
+        maxRetries: 0
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * response_format for the request; servers without json_schema
+   * support can use json_object or none via AI_STRUCTURED_OUTPUT
+   */
+  responseFormat(schema) {
+    if (!schema || this.structuredOutput === 'none') return undefined;
+    if (this.structuredOutput === 'json_object') return { type: 'json_object' };
+
+    return {
+      type: 'json_schema',
+      json_schema: {
+        name: schema.name,
+        schema: toWireSchema(schema.schema),
+        strict: true
+      }
+    };
+  }
+
+  async complete({ system, prompt, schema }) {
+    const responseFormat = this.responseFormat(schema);
+    const completion = await this.getClient().chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      temperature: this.temperature,
+      max_tokens: this.maxTokens,
+      ...(responseFormat && { response_format: responseFormat })
+    });
+
+    return {
+      text: completion.choices[0].message.content || '',
+      usage: completion.usage || null
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,42 @@
+const { isStringList, validatePoints, getLeadField, extractDomain } = require('./helpers');
+
+const DEFAULT_FIELDS = ['email', 'website', 'company_domain', 'domain'];
+
+/**
+ * Match lead email/website domains, e.g. to penalize competitors
+ * { type: 'domain', domains: ['competitor.com'], points: -50 }
+ */
+module.exports = {
+  type: 'domain',
+
+  validate(rule, path) {
+    const errors = [];
+    if (!isStringList(rule.domains) || rule.domains.length === 0) {
+      errors.push(`${path}.domains must be a non-empty array of strings`);
+    }
+    if (rule.fields !== undefined && !isStringList(rule.fields)) {
+      errors.push(`${path}.fields must be an array of strings`);
+    }
+    validatePoints(rule, path, errors);
+    return errors;
+  },
+
+  evaluate(lead, rule) {
+    const domains = rule.domains.map(domain => domain.toLowerCase());
+
+    for (const field of rule.fields || DEFAULT_FIELDS) {
+      const domain = extractDomain(getLeadField(lead, field));
+      const matched = domain && domains.find(d => domain === d || domain.endsWith(`.${d}`));
+      if (matched) {
+        return { matched: true, score: rule.points, reason: `${rule.label || 'Domain'} match (${matched})`, matched_value: matched };
+      }
+    }
+    return { matched: false, score: 0, reason: 'No domain match' };
+  },
+
+  maxPoints(rule) {
+    return Math.max(0, rule.points);
+  }
+};
+
+module.exports.extractDomain = extractDomain;
@@ -0,0 +1,65 @@
+/**
+ * Shared helpers for rule plugins
+ */
+
+function isNumber(value) {
+  return typeof value === 'number' && !Number.isNaN(value);
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim().length > 0);
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Value of a lead field, falling back to the lead's custom attributes
+ * (columns that were not mapped to a standard field on import) and then
+ * to the fields added by enrichment
+ */
+function getLeadField(lead, field) {
+  if (hasValue(lead[field])) return lead[field];
+  if (lead.custom_attributes && hasValue(lead.custom_attributes[field])) {
+    return lead.custom_attributes[field];
+  }
+  return lead.enrichment && lead.enrichment.fields ? lead.enrichment.fields[field] : undefined;
+}
+
+/**
+ * Domain of an email address or URL
+ */
+function extractDomain(value) {
+  if (!value) return null;
+  const text = String(value).trim().toLowerCase();
+  const afterAt = text.includes('@') ? text.split('@').pop() : text;
+  return afterAt.replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').split(/[/?#:]/)[0] || null;
+}
+
+/**
+ * First entry of `values` contained in `text` (case-insensitive), or null
+ */
+function findKeyword(text, values) {
+  if (!text) return null;
+  const textLower = String(text).toLowerCase();
+  return values.find(value => textLower.includes(value.toLowerCase())) || null;
+}
+
+/**
+ * Points validation shared by every rule type
+ */
+function validatePoints(rule, path, errors, key = 'points') {
+  if (!isNumber(rule[key])) {
+    errors.push(`${path}.${key} must be a number`);
+  }
+}
+
+module.exports = {
+  isNumber,
+  isStringList,
+  getLeadField,
+  extractDomain,
+  findKeyword,
+  validatePoints
+};
@@ -0,0 +1,96 @@
+const locationRule = require('./locationRule');
+const keywordRule = require('./keywordRule');
+const rangeRule = require('./rangeRule');
+const domainRule = require('./domainRule');
+const seniorityRule = require('./seniorityRule');
+
+/**
+ * Registry of custom rule types
+ *
+ * A rule type plugin implements:
+ * - type: name used in the scoring config
+ * - validate(rule, path): list of error strings
+ * - evaluate(lead, rule): { matched, score, reason, matched_value? }
+ * - maxPoints(rule): highest score the rule can add
+ */
+
+const ruleTypes = new Map();
+
+// Breakdown keys of the built-in rules in scoringService
+const RESERVED_IDS = ['role', 'industry', 'completeness'];
+
+function registerRuleType(plugin) {
+  ruleTypes.set(plugin.type, plugin);
+}
+
+function getRuleTypes() {
+  return [...ruleTypes.keys()];
+}
+
+[locationRule, keywordRule, rangeRule, domainRule, seniorityRule].forEach(registerRuleType);
+
+/**
+ * Validate the custom_rules list of a scoring config
+ */
+function validateCustomRules(rules) {
+  if (!Array.isArray(rules)) {
+    return ['custom_rules must be an array'];
+  }
+
+  const errors = [];
+  const ids = new Set();
+
+  rules.forEach((rule, index) => {
+    const path = `custom_rules[${index}]`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (typeof rule.id !== 'string' || rule.id.trim().length === 0) {
+      errors.push(`${path}.id is required`);
+    } else if (RESERVED_IDS.includes(rule.id)) {
+      errors.push(`${path}.id "${rule.id}" is reserved for a built-in rule`);
+    } else if (ids.has(rule.id)) {
+      errors.push(`${path}.id "${rule.id}" is used more than once`);
+    } else {
+      ids.add(rule.id);
+    }
+
+    const plugin = ruleTypes.get(rule.type);
+    if (!plugin) {
+      errors.push(`${path}.type must be one of ${getRuleTypes().join(', ')}`);
+      return;
+    }
+    errors.push(...plugin.validate(rule, path));
+  });
+
+  return errors;
+}
+
+/**
+ * Evaluate every custom rule against a lead
+ */
+function evaluateCustomRules(lead, rules = []) {
+  return rules.map(rule => {
+    const plugin = ruleTypes.get(rule.type);
+    const result = plugin.evaluate(lead, rule);
+    return {
+      id: rule.id,
+      type: rule.type,
+      ...result,
+      max: plugin.maxPoints(rule)
+    };
+  });
+}
+
+function maxCustomRuleScore(rules = []) {
+  return rules.reduce((sum, rule) => sum + ruleTypes.get(rule.type).maxPoints(rule), 0);
+}
+
+module.exports = {
+  registerRuleType,
+  getRuleTypes,
+  validateCustomRules,
+  evaluateCustomRules,
+  maxCustomRuleScore
+};
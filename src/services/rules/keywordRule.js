@@ -0,0 +1,118 @@
+const vm = require('vm');
+const { isStringList, findKeyword, validatePoints, getLeadField } = require('./helpers');
+
+/**
+ * Keyword or regex match on a lead field (linkedin_bio by default)
+ * Negative points turn it into a penalty, e.g. student/intern titles
+ * { type: 'keyword', field: 'role', keywords: ['intern', 'student'], points: -30 }
+ * { type: 'keyword', pattern: 'hiring\\s+sdrs?', flags: 'i', points: 10 }
+ *
+ * Patterns come from workspaces but run in the shared process, so those
+ * prone to catastrophic backtracking are rejected and every match runs
+ * with a time budget.
+ */
+
+const MAX_PATTERN_LENGTH = 200;
+const PATTERN_TIMEOUT_MS = 50;
+
+// A quantifier that repeats without bound: *, + or {n,}/{n,m}
+const UNBOUNDED_QUANTIFIER = /^([*+]|\{\d+,\d*\})/;
+
+const matchContext = vm.createContext({ pattern: '', flags: '', text: '', match: null });
+const matchScript = new vm.Script('match = new RegExp(pattern, flags).exec(text)');
+
+/**
+ * Whether a repeated group contains a repeated token, as in (a+)+ or
+ * (\w*\s?)*, the shape behind exponential backtracking
+ */
+function hasNestedQuantifier(pattern) {
+  // For each open group, whether it contains a quantifier
+  const groups = [];
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const repeatsInside = groups.pop();
+      if (repeatsInside && UNBOUNDED_QUANTIFIER.test(pattern.slice(i + 1))) return true;
+      if (repeatsInside && groups.length > 0) groups[groups.length - 1] = true;
+    } else if (groups.length > 0 && UNBOUNDED_QUANTIFIER.test(pattern.slice(i))) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * First match of the rule's pattern in `text`; throws once the match
+ * takes longer than PATTERN_TIMEOUT_MS
+ */
+function matchPattern(text, rule) {
+  Object.assign(matchContext, { pattern: rule.pattern, flags: rule.flags || 'i', text, match: null });
+  matchScript.runInContext(matchContext, { timeout: PATTERN_TIMEOUT_MS });
+  return matchContext.match ? matchContext.match[0] : null;
+}
+
+module.exports = {
+  type: 'keyword',
+
+  validate(rule, path) {
+    const errors = [];
+    if (rule.keywords === undefined && rule.pattern === undefined) {
+      errors.push(`${path} needs keywords or pattern`);
+    }
+    if (rule.keywords !== undefined && (!isStringList(rule.keywords) || rule.keywords.length === 0)) {
+      errors.push(`${path}.keywords must be a non-empty array of strings`);
+    }
+    if (rule.pattern !== undefined) {
+      if (typeof rule.pattern !== 'string' || rule.pattern.length > MAX_PATTERN_LENGTH) {
+        errors.push(`${path}.pattern must be a string of at most ${MAX_PATTERN_LENGTH} characters`);
+      } else {
+        try {
+          new RegExp(rule.pattern, rule.flags || 'i');
+          if (/\\([1-9]|k<)/.test(rule.pattern)) {
+            errors.push(`${path}.pattern must not use backreferences`);
+          }
+          if (hasNestedQuantifier(rule.pattern)) {
+            errors.push(`${path}.pattern must not repeat a group that contains a repeat, such as (a+)+`);
+          }
+        } catch (error) {
+          errors.push(`${path}.pattern is not a valid regular expression (${error.message})`);
+        }
+      }
+    }
+    validatePoints(rule, path, errors);
+    return errors;
+  },
+
+  evaluate(lead, rule) {
+    const field = rule.field || 'linkedin_bio';
+    const value = getLeadField(lead, field);
+    const text = value ? String(value) : '';
+    const label = rule.label || `${field} keyword`;
+
+    let matchedValue = rule.keywords ? findKeyword(text, rule.keywords) : null;
+    if (!matchedValue && rule.pattern) {
+      try {
+        matchedValue = matchPattern(text, rule);
+      } catch (error) {
+        return { matched: false, score: 0, reason: `${label} pattern took longer than ${PATTERN_TIMEOUT_MS}ms` };
+      }
+    }
+
+    if (matchedValue) {
+      return { matched: true, score: rule.points, reason: `${label} match (${matchedValue})`, matched_value: matchedValue };
+    }
+    return { matched: false, score: 0, reason: `No ${label} match` };
+  },
+
+  maxPoints(rule) {
+    return Math.max(0, rule.points);
+  }
+};
@@ -0,0 +1,43 @@
+const { isStringList, findKeyword, validatePoints, getLeadField } = require('./helpers');
+
+/**
+ * Geography rule: allow list adds `points`, deny list adds `deny_points`
+ * { type: 'location', allow: ['usa', 'canada'], deny: ['antarctica'], points: 10, deny_points: -20 }
+ */
+module.exports = {
+  type: 'location',
+
+  validate(rule, path) {
+    const errors = [];
+    const allow = rule.allow || [];
+    const deny = rule.deny || [];
+
+    if (!isStringList(allow) || !isStringList(deny)) {
+      errors.push(`${path}.allow and ${path}.deny must be arrays of non-empty strings`);
+    } else if (allow.length === 0 && deny.length === 0) {
+      errors.push(`${path} needs at least one allow or deny entry`);
+    }
+    if (allow.length > 0) validatePoints(rule, path, errors);
+    if (deny.length > 0) validatePoints(rule, path, errors, 'deny_points');
+    return errors;
+  },
+
+  evaluate(lead, rule) {
+    const field = rule.field || 'location';
+    const denied = findKeyword(getLeadField(lead, field), rule.deny || []);
+    if (denied) {
+      return { matched: true, score: rule.deny_points, reason: `Location in deny list (${denied})`, matched_value: denied };
+    }
+
+    const allowed = findKeyword(getLeadField(lead, field), rule.allow || []);
+    if (allowed) {
+      return { matched: true, score: rule.points, reason: `Location in allow list (${allowed})`, matched_value: allowed };
+    }
+
+    return { matched: false, score: 0, reason: 'Location not in allow list' };
+  },
+
+  maxPoints(rule) {
+    return (rule.allow || []).length > 0 ? rule.points : 0;
+  }
+};
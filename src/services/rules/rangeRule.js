@@ -0,0 +1,61 @@
+const { isNumber, validatePoints, getLeadField } = require('./helpers');
+
+/**
+ * Parse numbers such as "1,200", "$5M" or "50k"
+ */
+function parseNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value;
+
+  const match = String(value).replace(/[,$\s]/g, '').match(/^(-?\d+(?:\.\d+)?)([kmb])?$/i);
+  if (!match) return null;
+
+  const multipliers = { k: 1e3, m: 1e6, b: 1e9 };
+  const suffix = match[2] ? match[2].toLowerCase() : null;
+  return parseFloat(match[1]) * (suffix ? multipliers[suffix] : 1);
+}
+
+/**
+ * Numeric range on an optional column such as company_size or revenue
+ * { type: 'range', field: 'company_size', min: 50, max: 500, points: 10 }
+ */
+module.exports = {
+  type: 'range',
+
+  validate(rule, path) {
+    const errors = [];
+    if (typeof rule.field !== 'string' || rule.field.trim().length === 0) {
+      errors.push(`${path}.field is required`);
+    }
+    if (rule.min === undefined && rule.max === undefined) {
+      errors.push(`${path} needs min or max`);
+    }
+    if (rule.min !== undefined && !isNumber(rule.min)) errors.push(`${path}.min must be a number`);
+    if (rule.max !== undefined && !isNumber(rule.max)) errors.push(`${path}.max must be a number`);
+    if (isNumber(rule.min) && isNumber(rule.max) && rule.min > rule.max) {
+      errors.push(`${path}.min must not be greater than max`);
+    }
+    validatePoints(rule, path, errors);
+    return errors;
+  },
+
+  evaluate(lead, rule) {
+    const value = parseNumber(getLeadField(lead, rule.field));
+    if (value === null) {
+      return { matched: false, score: 0, reason: `No numeric ${rule.field}` };
+    }
+
+    const inRange = (rule.min === undefined || value >= rule.min) &&
+      (rule.max === undefined || value <= rule.max);
+    if (inRange) {
+      return { matched: true, score: rule.points, reason: `${rule.field} in range (${value})`, matched_value: value };
+    }
+    return { matched: false, score: 0, reason: `${rule.field} out of range (${value})` };
+  },
+
+  maxPoints(rule) {
+    return Math.max(0, rule.points);
+  }
+};
+
+module.exports.parseNumber = parseNumber;
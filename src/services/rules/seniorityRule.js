@@ -0,0 +1,48 @@
+const { isStringList, findKeyword, isNumber, getLeadField } = require('./helpers');
+
+/**
+ * Seniority levels matched against the role; the first level wins
+ * { type: 'seniority', levels: [
+ *   { name: 'C-level', keywords: ['chief', 'ceo'], points: 15 },
+ *   { name: 'Intern', keywords: ['intern', 'student'], points: -20 }
+ * ] }
+ */
+module.exports = {
+  type: 'seniority',
+
+  validate(rule, path) {
+    const errors = [];
+    if (!Array.isArray(rule.levels) || rule.levels.length === 0) {
+      errors.push(`${path}.levels must be a non-empty array`);
+      return errors;
+    }
+    rule.levels.forEach((level, index) => {
+      const levelPath = `${path}.levels[${index}]`;
+      if (typeof level.name !== 'string' || level.name.trim().length === 0) {
+        errors.push(`${levelPath}.name is required`);
+      }
+      if (!isStringList(level.keywords) || level.keywords.length === 0) {
+        errors.push(`${levelPath}.keywords must be a non-empty array of strings`);
+      }
+      if (!isNumber(level.points)) {
+        errors.push(`${levelPath}.points must be a number`);
+      }
+    });
+    return errors;
+  },
+
+  evaluate(lead, rule) {
+    const field = rule.field || 'role';
+    for (const level of rule.levels) {
+      const keyword = findKeyword(getLeadField(lead, field), level.keywords);
+      if (keyword) {
+        return { matched: true, score: level.points, reason: `${level.name} seniority (${keyword})`, matched_value: level.name };
+      }
+    }
+    return { matched: false, score: 0, reason: 'No seniority level matched' };
+  },
+
+  maxPoints(rule) {
+    return Math.max(0, ...rule.levels.map(level => level.points));
+  }
+};
@@ -0,0 +1,90 @@
+/**
+ * Scoring run history helpers
+ * Runs are recorded by the job service when a scoring job ends; these
+ * helpers shape them for the API and compare two runs lead by lead.
+ */
+
+const INTENT_RANK = { Low: 0, Medium: 1, High: 2 };
+
+// Which compared leads a diff lists
+const DIFF_CHANGES = ['intent', 'score', 'all'];
+
+/**
+ * Run as listed by GET /api/runs, without the scoring config snapshot
+ */
+function toRunSummary(run) {
+  const { scoring_config, ...summary } = run;
+  return summary;
+}
+
+function resultState(result) {
+  return { result_id: result.id, intent: result.intent, score: result.score };
+}
+
+/**
+ * Compare the results of two runs
+ * Leads scored in both runs are compared; intent_change is "up" or
+ * "down" when the intent moved (e.g. Medium to High) and null otherwise.
+ * Returns { summary, changes } with one change per compared lead.
+ */
+function compareRuns(baseResults, compareResults) {
+  const baseByLead = new Map(baseResults.map(result => [result.lead_id, result]));
+  const compareByLead = new Map(compareResults.map(result => [result.lead_id, result]));
+
+  const changes = compareResults
+    .filter(result => baseByLead.has(result.lead_id))
+    .map(result => {
+      const before = baseByLead.get(result.lead_id);
+      const rankChange = INTENT_RANK[result.intent] - INTENT_RANK[before.intent];
+      return {
+        lead_id: result.lead_id,
+        name: result.name,
+        company: result.company,
+        from: resultState(before),
+        to: resultState(result),
+        score_change: result.score - before.score,
+        intent_change: rankChange > 0 ? 'up' : rankChange < 0 ? 'down' : null
+      };
+    });
+
+  const transitions = {};
+  changes
+    .filter(change => change.intent_change)
+    .forEach(change => {
+      const key = `${change.from.intent} -> ${change.to.intent}`;
+      transitions[key] = (transitions[key] || 0) + 1;
+    });
+
+  return {
+    summary: {
+      compared: changes.length,
+      intent_up: changes.filter(change => change.intent_change === 'up').length,
+      intent_down: changes.filter(change => change.intent_change === 'down').length,
+      score_changed: changes.filter(change => change.score_change !== 0).length,
+      unchanged: changes.filter(change => change.score_change === 0 && !change.intent_change).length,
+      only_in_base: baseResults.filter(result => !compareByLead.has(result.lead_id)).length,
+      only_in_compare: compareResults.filter(result => !baseByLead.has(result.lead_id)).length,
+      transitions
+    },
+    changes
+  };
+}
+
+/**
+ * Changes a diff lists: "intent" (default) those whose intent moved,
+ * "score" those whose score changed, "all" every compared lead
+ */
+function selectChanges(changes, { change = 'intent', direction } = {}) {
+  return changes.filter(item =>
+    (change !== 'intent' || item.intent_change) &&
+    (change !== 'score' || item.score_change !== 0) &&
+    (!direction || item.intent_change === direction)
+  );
+}
+
+module.exports = {
+  DIFF_CHANGES,
+  toRunSummary,
+  compareRuns,
+  selectChanges
+};
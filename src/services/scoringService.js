@@ -1,57 +1,45 @@
 const aiService = require('./aiService');
-
-/**
- * Rule-based scoring configuration
- */
-const SCORING_RULES = {
-  ROLE: {
-    DECISION_MAKER: 20,
-    INFLUENCER: 10,
-    OTHER: 0
-  },
-  INDUSTRY: {
-    EXACT_MATCH: 20,
-    ADJACENT: 10,
-    NO_MATCH: 0
-  },
-  DATA_COMPLETENESS: 10
-};
-
-const DECISION_MAKER_KEYWORDS = [
-  'ceo', 'cto', 'cfo', 'coo', 'president', 'founder', 
-  'owner', 'director', 'vp', 'vice president', 'head of', 
-  'chief', 'principal', 'partner', 'managing'
-];
-
-const INFLUENCER_KEYWORDS = [
-  'manager', 'lead', 'senior', 'sr.', 'coordinator',
-  'specialist', 'supervisor', 'team lead'
-];
+const aiConfig = require('../config/aiConfig');
+const { roundCost } = require('./aiPricing');
+const { DEFAULT_SCORING_CONFIG } = require('../config/scoringConfig');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { evaluateCustomRules, maxCustomRuleScore } = require('./rules');
+const { enrichLead } = require('./enrichers');
+const { getLeadField } = require('./rules/helpers');
 
 /**
  * Calculate role-based score
  */
-function scoreRole(role) {
-  if (!role) return { score: SCORING_RULES.ROLE.OTHER, reason: 'No role provided' };
+function scoreRole(role, roleConfig) {
+  const { points } = roleConfig;
+  const max = Math.max(...Object.values(points));
+  if (!role) return { score: points.other, max, reason: 'No role provided' };
   
   const roleLower = role.toLowerCase();
   
-  if (DECISION_MAKER_KEYWORDS.some(keyword => roleLower.includes(keyword))) {
+  const decisionMakerKeyword = roleConfig.decision_maker_keywords.find(keyword => roleLower.includes(keyword.toLowerCase()));
+  if (decisionMakerKeyword) {
     return { 
-      score: SCORING_RULES.ROLE.DECISION_MAKER, 
-      reason: 'Decision maker role' 
+      score: points.decision_maker, 
+      max,
+      reason: 'Decision maker role',
+      matched_keyword: decisionMakerKeyword
     };
   }
   
-  if (INFLUENCER_KEYWORDS.some(keyword => roleLower.includes(keyword))) {
+  const influencerKeyword = roleConfig.influencer_keywords.find(keyword => roleLower.includes(keyword.toLowerCase()));
+  if (influencerKeyword) {
     return { 
-      score: SCORING_RULES.ROLE.INFLUENCER, 
-      reason: 'Influencer role' 
+      score: points.influencer, 
+      max,
+      reason: 'Influencer role',
+      matched_keyword: influencerKeyword
     };
   }
   
   return { 
-    score: SCORING_RULES.ROLE.OTHER, 
+    score: points.other, 
+    max,
     reason: 'Individual contributor role' 
   };
 }
@@ -59,10 +47,13 @@ function scoreRole(role) {
 /**
  * Calculate industry match score
  */
-function scoreIndustry(leadIndustry, idealUseCases) {
+function scoreIndustry(leadIndustry, idealUseCases, industryConfig) {
+  const { points } = industryConfig;
+  const max = Math.max(...Object.values(points));
   if (!leadIndustry || !idealUseCases || idealUseCases.length === 0) {
     return { 
-      score: SCORING_RULES.INDUSTRY.NO_MATCH, 
+      score: points.no_match, 
+      max,
       reason: 'No industry match data' 
     };
   }
@@ -74,28 +65,32 @@ function scoreIndustry(leadIndustry, idealUseCases) {
     if (industryLower.includes(useCase.toLowerCase()) || 
         useCase.toLowerCase().includes(industryLower)) {
       return { 
-        score: SCORING_RULES.INDUSTRY.EXACT_MATCH, 
-        reason: 'Exact industry match with ICP' 
+        score: points.exact_match, 
+        max,
+        reason: 'Exact industry match with ICP',
+        matched_use_case: useCase
       };
     }
   }
   
   // Check for adjacent/related industries
-  const adjacentKeywords = ['saas', 'software', 'tech', 'b2b', 'enterprise'];
-  const hasAdjacent = adjacentKeywords.some(keyword => 
-    industryLower.includes(keyword) || 
-    idealUseCases.some(uc => uc.toLowerCase().includes(keyword))
+  const adjacentKeyword = industryConfig.adjacent_keywords.find(keyword => 
+    industryLower.includes(keyword.toLowerCase()) || 
+    idealUseCases.some(uc => uc.toLowerCase().includes(keyword.toLowerCase()))
   );
   
-  if (hasAdjacent) {
+  if (adjacentKeyword) {
     return { 
-      score: SCORING_RULES.INDUSTRY.ADJACENT, 
-      reason: 'Adjacent industry match' 
+      score: points.adjacent, 
+      max,
+      reason: 'Adjacent industry match',
+      matched_keyword: adjacentKeyword
     };
   }
   
   return { 
-    score: SCORING_RULES.INDUSTRY.NO_MATCH, 
+    score: points.no_match, 
+    max,
     reason: 'No industry match' 
   };
 }
@@ -103,86 +98,231 @@ function scoreIndustry(leadIndustry, idealUseCases) {
 /**
  * Calculate data completeness score
  */
-function scoreDataCompleteness(lead) {
-  const requiredFields = ['name', 'role', 'company', 'industry', 'location', 'linkedin_bio'];
-  const hasAllFields = requiredFields.every(field => 
-    lead[field] && lead[field].trim().length > 0
-  );
+function scoreDataCompleteness(lead, completenessConfig) {
+  const missingFields = completenessConfig.fields.filter(field => {
+    const value = getLeadField(lead, field);
+    return !value || String(value).trim().length === 0;
+  });
+  const hasAllFields = missingFields.length === 0;
   
   return {
-    score: hasAllFields ? SCORING_RULES.DATA_COMPLETENESS : 0,
-    reason: hasAllFields ? 'Complete data' : 'Incomplete data'
+    score: hasAllFields ? completenessConfig.points : 0,
+    max: completenessConfig.points,
+    reason: hasAllFields ? 'Complete data' : 'Incomplete data',
+    ...(!hasAllFields && { missing_fields: missingFields })
   };
 }
 
 /**
- * Calculate rule-based score (max 50 points)
+ * Maximum rule-based score a config allows
  */
-function calculateRuleScore(lead, offer) {
-  const roleScore = scoreRole(lead.role);
-  const industryScore = scoreIndustry(lead.industry, offer.ideal_use_cases);
-  const completenessScore = scoreDataCompleteness(lead);
-  
-  const totalScore = roleScore.score + industryScore.score + completenessScore.score;
+function maxRuleScore(config) {
+  const { role, industry, completeness } = config.rules;
+  return Math.max(...Object.values(role.points)) +
+    Math.max(...Object.values(industry.points)) +
+    completeness.points +
+    maxCustomRuleScore(config.custom_rules);
+}
+
+/**
+ * Calculate rule-based score
+ */
+function calculateRuleScore(lead, offer, config = DEFAULT_SCORING_CONFIG) {
+  const roleScore = scoreRole(lead.role, config.rules.role);
+  const industryScore = scoreIndustry(lead.industry, offer.ideal_use_cases, config.rules.industry);
+  const completenessScore = scoreDataCompleteness(lead, config.rules.completeness);
+  const customScores = evaluateCustomRules(lead, config.custom_rules);
+
+  const breakdown = {
+    role: roleScore,
+    industry: industryScore,
+    completeness: completenessScore
+  };
+  customScores.forEach(({ id, ...result }) => {
+    breakdown[id] = result;
+  });
+
+  // Negative rules can lower the score but never below zero
+  const totalScore = Math.max(0, Object.values(breakdown).reduce((sum, rule) => sum + rule.score, 0));
   
   return {
     score: totalScore,
-    breakdown: {
-      role: roleScore,
-      industry: industryScore,
-      completeness: completenessScore
-    }
+    max: maxRuleScore(config),
+    breakdown
   };
 }
 
+/**
+ * One reasoning line per built-in rule and per custom rule that fired
+ */
+function describeRules(breakdown) {
+  return Object.values(breakdown)
+    .filter(rule => rule.type === undefined || rule.matched)
+    .map(rule => `${rule.reason} (${rule.score >= 0 ? '+' : ''}${rule.score})`);
+}
+
 /**
  * Map AI intent to score
  */
-function mapIntentToScore(intent) {
+function mapIntentToScore(intent, config = DEFAULT_SCORING_CONFIG) {
   const intentLower = intent.toLowerCase();
+  const aiScores = config.ai_scores;
   
-  if (intentLower.includes('high')) return 50;
-  if (intentLower.includes('medium')) return 30;
-  if (intentLower.includes('low')) return 10;
+  if (intentLower.includes('high')) return aiScores.high;
+  if (intentLower.includes('medium')) return aiScores.medium;
+  if (intentLower.includes('low')) return aiScores.low;
   
-  return 30; // Default to medium
+  return aiScores.medium; // Default to medium
 }
 
 /**
  * Determine final intent label from total score
  */
-function determineIntent(totalScore) {
-  if (totalScore >= 70) return 'High';
-  if (totalScore >= 40) return 'Medium';
+function determineIntent(totalScore, config = DEFAULT_SCORING_CONFIG) {
+  if (totalScore >= config.thresholds.high) return 'High';
+  if (totalScore >= config.thresholds.medium) return 'Medium';
   return 'Low';
 }
 
 /**
- * Score a single lead
+ * Structured record of how a lead was scored, served by
+ * GET /api/results/:id/explanation
  */
-async function scoreLead(lead, offer) {
+function buildExplanation(ruleResult, aiResult, aiScore, config, enrichment) {
+  const trace = (aiResult && aiResult.trace) || {};
+
+  return {
+    scoring_config_version: config.version,
+    thresholds: config.thresholds,
+    enrichment: enrichment || null,
+    rules: {
+      score: ruleResult.score,
+      max: ruleResult.max,
+      breakdown: Object.entries(ruleResult.breakdown).map(([id, rule]) => ({
+        id,
+        type: rule.type || 'built-in',
+        ...rule
+      }))
+    },
+    ai: aiResult ? {
+      score: aiScore,
+      max: config.ai_scores.high,
+      intent: aiResult.intent,
+      confidence: aiResult.confidence ?? null,
+      criteria: aiResult.criteria || null,
+      reasoning: aiResult.reasoning,
+      source: aiResult.source,
+      provider: aiResult.provider,
+      model: aiResult.model || null,
+      temperature: trace.temperature ?? null,
+      max_tokens: trace.max_tokens ?? null,
+      attempts: aiResult.attempts,
+      usage: aiResult.usage || null,
+      cache: aiResult.cache || null,
+      cached_at: aiResult.cached_at || null,
+      fallback_reason: aiResult.fallback_reason || null,
+      parse_error: aiResult.parse_error || null,
+      system_prompt: trace.system_prompt || null,
+      prompt: trace.prompt || null,
+      repair_prompt: trace.repair_prompt || null,
+      raw_responses: trace.responses || []
+    } : null
+  };
+}
+
+/**
+ * Drop the stored explanation from a scored lead for list responses
+ */
+function toResultView(scoredLead) {
+  const { explanation, ...result } = scoredLead;
+  return result;
+}
+
+/**
+ * Enrichment settings of a scoring config; versions saved before
+ * enrichment existed use the built-in enrichers
+ */
+function getEnrichmentSettings(config) {
+  return config.enrichment || DEFAULT_SCORING_CONFIG.enrichment;
+}
+
+/**
+ * Run the config's enrichers on a lead, or null when enrichment is off
+ */
+async function enrichForScoring(lead, config) {
+  const settings = getEnrichmentSettings(config);
+  if (settings.enabled === false || settings.enrichers.length === 0) return null;
+  return enrichLead(lead, settings);
+}
+
+/**
+ * Score a lead on its rules alone, without asking the AI
+ * note says why, details describe the missing AI score
+ */
+function scoreRulesOnly(lead, subject, offer, config, enrichment, { note, details }) {
+  const ruleResult = calculateRuleScore(subject, offer, config);
+  const intent = determineIntent(ruleResult.score, config);
+
+  return {
+    lead_id: lead.id,
+    name: lead.name,
+    role: lead.role,
+    company: lead.company,
+    industry: lead.industry,
+    location: lead.location,
+    intent: intent,
+    score: ruleResult.score,
+    reasoning: `Rule-based scoring only (${note}). ${describeRules(ruleResult.breakdown).join(', ')}.`,
+    scoring_config_version: config.version,
+    details: {
+      rule_score: ruleResult.score,
+      ai_score: 0,
+      ...details
+    },
+    explanation: buildExplanation(ruleResult, null, 0, config, enrichment)
+  };
+}
+
+/**
+ * Score a single lead with a scoring config (defaults to the built-in one)
+ * The lead is enriched first; rules and the AI see the enriched fields
+ * while the result keeps the raw ones
+ * Options:
+ * - skipAiReason: score on rules only, recording this reason (used once
+ *   a run's AI budget is spent)
+ */
+async function scoreLead(lead, offer, config = DEFAULT_SCORING_CONFIG, options = {}) {
+  const enrichment = await enrichForScoring(lead, config);
+  const subject = { ...lead, enrichment: enrichment || undefined };
+
+  if (options.skipAiReason) {
+    return scoreRulesOnly(lead, subject, offer, config, enrichment, {
+      note: 'AI skipped',
+      details: { ai_source: 'skipped', ai_skip_reason: options.skipAiReason }
+    });
+  }
+
   try {
     // Calculate rule-based score
-    const ruleResult = calculateRuleScore(lead, offer);
+    const ruleResult = calculateRuleScore(subject, offer, config);
     
     // Get AI-based score
-    const aiResult = await aiService.classifyIntent(lead, offer);
-    const aiScore = mapIntentToScore(aiResult.intent);
+    const aiResult = await aiService.classifyIntent(subject, offer);
+    const aiScore = mapIntentToScore(aiResult.intent, config);
     
     // Calculate total score
     const totalScore = ruleResult.score + aiScore;
-    const intent = determineIntent(totalScore);
+    const intent = determineIntent(totalScore, config);
     
     // Build reasoning
     const reasoning = [
-      `Rule Score (${ruleResult.score}/50):`,
-      `- ${ruleResult.breakdown.role.reason} (+${ruleResult.breakdown.role.score})`,
-      `- ${ruleResult.breakdown.industry.reason} (+${ruleResult.breakdown.industry.score})`,
-      `- ${ruleResult.breakdown.completeness.reason} (+${ruleResult.breakdown.completeness.score})`,
-      `AI Analysis (${aiScore}/50): ${aiResult.reasoning}`
+      `Rule Score (${ruleResult.score}/${ruleResult.max}):`,
+      ...describeRules(ruleResult.breakdown).map(line => `- ${line}`),
+      `AI Analysis (${aiScore}/${config.ai_scores.high}${aiResult.source === 'fallback' ? ', heuristic fallback' : ''}): ${aiResult.reasoning}`
     ].join(' ');
     
     return {
+      lead_id: lead.id,
       name: lead.name,
       role: lead.role,
       company: lead.company,
@@ -191,47 +331,61 @@ async function scoreLead(lead, offer) {
       intent: intent,
       score: totalScore,
       reasoning: reasoning,
+      scoring_config_version: config.version,
       details: {
         rule_score: ruleResult.score,
         ai_score: aiScore,
-        ai_intent: aiResult.intent
-      }
+        ai_intent: aiResult.intent,
+        ...(aiResult.confidence !== undefined && { ai_confidence: aiResult.confidence }),
+        ...(aiResult.criteria && { ai_criteria: aiResult.criteria }),
+        ai_source: aiResult.source,
+        ai_provider: aiResult.provider,
+        ...(aiResult.model && { ai_model: aiResult.model }),
+        ai_attempts: aiResult.attempts,
+        ...(aiResult.usage && { ai_usage: aiResult.usage }),
+        ...(aiResult.cache && { ai_cache: aiResult.cache }),
+        ...(aiResult.fallback_reason && { ai_fallback_reason: aiResult.fallback_reason }),
+        ...(aiResult.parse_error && { ai_parse_error: aiResult.parse_error })
+      },
+      explanation: buildExplanation(ruleResult, aiResult, aiScore, config, enrichment)
     };
   } catch (error) {
     console.error(`Error scoring lead ${lead.name}:`, error);
     
     // Fallback to rule-based only if AI fails
-    const ruleResult = calculateRuleScore(lead, offer);
-    const intent = determineIntent(ruleResult.score);
-    
-    return {
-      name: lead.name,
-      role: lead.role,
-      company: lead.company,
-      industry: lead.industry,
-      location: lead.location,
-      intent: intent,
-      score: ruleResult.score,
-      reasoning: `Rule-based scoring only (AI unavailable). ${ruleResult.breakdown.role.reason}, ${ruleResult.breakdown.industry.reason}, ${ruleResult.breakdown.completeness.reason}.`,
-      details: {
-        rule_score: ruleResult.score,
-        ai_score: 0,
-        error: 'AI service unavailable'
-      }
-    };
+    return scoreRulesOnly(lead, subject, offer, config, enrichment, {
+      note: 'AI unavailable',
+      details: { ai_source: 'none', error: 'AI service unavailable' }
+    });
   }
 }
 
 /**
  * Score all leads
+ * Leads are scored by a pool of AI_CONCURRENCY workers
+ * Options:
+ * - config: scoring config to use (defaults to the built-in one)
+ * - onProgress(scoredLead, processedCount): called after each lead
+ * - signal: AbortSignal; no new leads are started once aborted
+ * - budgetUsd: cap on the run's estimated AI cost; once reached, the
+ *   leads not yet started are scored on rules only. Leads already being
+ *   classified finish, so the run can end slightly over the cap.
  */
-async function scoreAllLeads(leads, offer) {
-  const scoredLeads = [];
-  
-  for (const lead of leads) {
-    const scored = await scoreLead(lead, offer);
-    scoredLeads.push(scored);
-  }
+async function scoreAllLeads(leads, offer, options = {}) {
+  const { config = DEFAULT_SCORING_CONFIG, onProgress, signal, budgetUsd } = options;
+  let processed = 0;
+  let spentUsd = 0;
+
+  const scoredLeads = await mapWithConcurrency(leads, aiConfig.concurrency, async (lead) => {
+    const overBudget = budgetUsd > 0 && spentUsd >= budgetUsd;
+    const scored = await scoreLead(lead, offer, config, {
+      ...(overBudget && { skipAiReason: `Run budget of $${budgetUsd} reached` })
+    });
+    spentUsd += (scored.details.ai_usage && scored.details.ai_usage.cost_usd) || 0;
+    processed++;
+    if (onProgress) onProgress(scored, processed);
+    return scored;
+  }, { signal });
   
   // Sort by score (highest first)
   scoredLeads.sort((a, b) => b.score - a.score);
@@ -239,9 +393,79 @@ async function scoreAllLeads(leads, offer) {
   return scoredLeads;
 }
 
+/**
+ * Enrichment of each scored lead, for storage.saveLeadEnrichments
+ */
+function enrichmentEntries(scoredLeads) {
+  return scoredLeads
+    .filter(scored => scored.explanation && scored.explanation.enrichment)
+    .map(scored => ({ lead_id: scored.lead_id, enrichment: scored.explanation.enrichment }));
+}
+
+/**
+ * AI usage of each scored lead that called the model, for
+ * storage.recordAiUsage
+ */
+function usageEntries(scoredLeads) {
+  return scoredLeads
+    .filter(scored => scored.details.ai_usage && scored.details.ai_usage.total_tokens > 0)
+    .map(scored => ({
+      provider: scored.details.ai_provider,
+      model: scored.details.ai_model || null,
+      ...scored.details.ai_usage
+    }));
+}
+
+/**
+ * Total tokens and estimated cost of scored leads
+ * Leads whose model has no price add tokens but no cost; they are
+ * counted in unpriced_leads
+ */
+function summarizeUsage(scoredLeads) {
+  const usages = scoredLeads
+    .map(scored => scored.details && scored.details.ai_usage)
+    .filter(Boolean);
+  const sum = key => usages.reduce((total, usage) => total + (usage[key] || 0), 0);
+
+  return {
+    prompt_tokens: sum('prompt_tokens'),
+    completion_tokens: sum('completion_tokens'),
+    total_tokens: sum('total_tokens'),
+    cost_usd: roundCost(sum('cost_usd')),
+    unpriced_leads: usages.filter(usage => usage.cost_usd === null).length
+  };
+}
+
+/**
+ * Summarize intent counts and average score of scored leads
+ */
+function summarizeScores(scoredLeads) {
+  return {
+    total_leads: scoredLeads.length,
+    high_intent: scoredLeads.filter(l => l.intent === 'High').length,
+    medium_intent: scoredLeads.filter(l => l.intent === 'Medium').length,
+    low_intent: scoredLeads.filter(l => l.intent === 'Low').length,
+    ai_fallbacks: scoredLeads.filter(l => ['fallback', 'none'].includes(l.details.ai_source)).length,
+    ai_cache_hits: scoredLeads.filter(l => l.details.ai_cache === 'hit').length,
+    ai_cache_misses: scoredLeads.filter(l => l.details.ai_cache === 'miss').length,
+    ai_budget_skipped: scoredLeads.filter(l => l.details.ai_source === 'skipped').length,
+    ai_usage: summarizeUsage(scoredLeads),
+    average_score: scoredLeads.length > 0
+      ? Math.round(scoredLeads.reduce((sum, l) => sum + l.score, 0) / scoredLeads.length)
+      : 0
+  };
+}
+
 module.exports = {
   scoreLead,
+  getEnrichmentSettings,
+  enrichmentEntries,
+  usageEntries,
   scoreAllLeads,
+  summarizeScores,
+  summarizeUsage,
+  toResultView,
   calculateRuleScore,
+  maxRuleScore,
   determineIntent
 };
\ No newline at end of file
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const storage = require('../storage/storage');
+const webhookConfig = require('../config/webhookConfig');
+const { retryWithBackoff, isTransientError } = require('../utils/retry');
+const { fetchWithTimeout, responseError } = require('../utils/http');
+const { runInWorkspace, getWorkspaceId } = require('../storage/workspaceContext');
+
+/**
+ * Outbound webhooks
+ * Subscriptions are stored; deliveries are queued in memory, signed with
+ * the webhook's secret and retried with backoff. The delivery log lives
+ * in memory like jobs do, so a restart drops pending deliveries. The
+ * queue and the log are capped, and scored leads are sent in batches
+ * rather than one event per lead.
+ * Deliveries belong to the workspace that emitted them.
+ */
+
+const WEBHOOK_EVENTS = ['scoring.completed', 'scoring.failed', 'lead.scored', 'lead.high_intent'];
+
+// Subscribes a webhook to every event
+const ALL_EVENTS = '*';
+
+// Sent by POST /api/webhooks/:id/test, whatever the webhook subscribes to
+const PING_EVENT = 'ping';
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signature of a delivery: HMAC-SHA256 of "<timestamp>.<body>" with the
+ * webhook's secret, hex encoded
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Webhook as returned by the API; the secret is only shown on creation
+ */
+function toWebhookView(webhook) {
+  const { secret, ...view } = webhook;
+  return view;
+}
+
+function subscribes(webhook, event) {
+  return webhook.active !== false && (webhook.events.includes(event) || webhook.events.includes(ALL_EVENTS));
+}
+
+class WebhookService {
+  constructor() {
+    this.deliveries = [];
+    this.nextDeliveryId = 1;
+    this.queue = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queue an event for every webhook subscribed to it
+   * Returns the queued deliveries
+   */
+  emit(event, data) {
+    const webhooks = storage.getWebhooks().filter(webhook => subscribes(webhook, event));
+    if (webhooks.length === 0) return [];
+
+    const payload = this.buildPayload(event, data);
+    return webhooks.map(webhook => this.enqueue(webhook, payload));
+  }
+
+  /**
+   * Emit lead.scored with the results and lead.high_intent with the
+   * High intent ones, WEBHOOK_BATCH_SIZE results per event
+   */
+  emitResults(results, { offerId = null, runId = null } = {}) {
+    this.emitBatches('lead.scored', results, { offerId, runId });
+    this.emitBatches('lead.high_intent', results.filter(result => result.intent === 'High'), { offerId, runId });
+  }
+
+  emitBatches(event, results, { offerId, runId }) {
+    if (results.length === 0 || !this.hasSubscribers(event)) return;
+
+    const size = webhookConfig.batchSize;
+    const batches = Math.ceil(results.length / size);
+    for (let index = 0; index < batches; index++) {
+      this.emit(event, {
+        offer_id: offerId,
+        run_id: runId,
+        batch: { index: index + 1, count: batches },
+        results: results.slice(index * size, (index + 1) * size)
+      });
+    }
+  }
+
+  hasSubscribers(event) {
+    return storage.getWebhooks().some(webhook => subscribes(webhook, event));
+  }
+
+  /**
+   * Send a ping event to a single webhook
+   */
+  ping(webhook) {
+    return this.enqueue(webhook, this.buildPayload(PING_EVENT, { webhook_id: webhook.id }));
+  }
+
+  /**
+   * Queue a new delivery of a logged delivery's payload
+   * Returns null when the delivery is not in the log
+   */
+  redeliver(webhook, deliveryId) {
+    const delivery = this.getDelivery(webhook.id, deliveryId);
+    if (!delivery) return null;
+    return this.enqueue(webhook, delivery.payload);
+  }
+
+  buildPayload(event, data) {
+    return {
+      id: crypto.randomUUID(),
+      event,
+      created_at: new Date().toISOString(),
+      data
+    };
+  }
+
+  enqueue(webhook, payload) {
+    const delivery = {
+      id: this.nextDeliveryId++,
+      workspace_id: getWorkspaceId(),
+      webhook_id: webhook.id,
+      event: payload.event,
+      event_id: payload.id,
+      url: webhook.url,
+      status: DELIVERY_STATUS.PENDING,
+      attempts: [],
+      response_status: null,
+      error: null,
+      payload,
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    };
+
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > webhookConfig.deliveryLogSize) {
+      this.deliveries.splice(0, this.deliveries.length - webhookConfig.deliveryLogSize);
+    }
+
+    // Drop rather than grow without bound when receivers fall behind; the
+    // delivery is logged as failed and can be redelivered later
+    if (this.queue.length >= webhookConfig.queueSize) {
+      delivery.status = DELIVERY_STATUS.FAILED;
+      delivery.error = 'Delivery queue is full';
+      delivery.completedAt = delivery.createdAt;
+      console.error(`Webhook delivery ${delivery.id} (${delivery.event}) to ${delivery.url} dropped: delivery queue is full`);
+      return this.toDeliveryView(delivery);
+    }
+
+    this.queue.push(delivery);
+    this.drain();
+    return this.toDeliveryView(delivery);
+  }
+
+  /**
+   * Start queued deliveries up to WEBHOOK_CONCURRENCY
+   */
+  drain() {
+    while (this.running < webhookConfig.concurrency && this.queue.length > 0) {
+      const delivery = this.queue.shift();
+      this.running++;
+      // The queue is shared, so run each delivery in its own workspace
+      runInWorkspace(delivery.workspace_id, () => this.deliver(delivery)).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  async deliver(delivery) {
+    const body = JSON.stringify(delivery.payload);
+
+    try {
+      await retryWithBackoff(async (attempt) => {
+        // The webhook may have been deleted, disabled or changed while retrying
+        const webhook = storage.getWebhookById(delivery.webhook_id);
+        if (!webhook || (webhook.active === false && delivery.event !== PING_EVENT)) {
+          throw new Error('Webhook was deleted or disabled');
+        }
+        await this.attempt(delivery, webhook, body, attempt + 1);
+      }, {
+        maxRetries: webhookConfig.maxRetries,
+        baseDelayMs: webhookConfig.retryBaseDelayMs,
+        maxDelayMs: webhookConfig.retryMaxDelayMs,
+        isRetryable: isTransientError
+      });
+      delivery.status = DELIVERY_STATUS.SUCCEEDED;
+      delivery.error = null;
+    } catch (error) {
+      delivery.status = DELIVERY_STATUS.FAILED;
+      delivery.error = error.message;
+      console.error(`Webhook delivery ${delivery.id} (${delivery.event}) to ${delivery.url} failed: ${error.message}`);
+    } finally {
+      delivery.completedAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Make one delivery attempt and record it; throws unless the receiver
+   * answered with a 2xx status
+   */
+  async attempt(delivery, webhook, body, number) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const record = { attempt: number, response_status: null, error: null, duration_ms: null, at: new Date(startedAt).toISOString() };
+    delivery.attempts.push(record);
+    delivery.url = webhook.url;
+
+    try {
+      const response = await fetchWithTimeout(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'kuvaku-webhooks',
+          'X-Kuvaku-Event': delivery.event,
+          'X-Kuvaku-Delivery': String(delivery.id),
+          'X-Kuvaku-Timestamp': String(timestamp),
+          'X-Kuvaku-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+        },
+        body
+      }, webhookConfig.timeoutMs);
+
+      record.response_status = response.status;
+      // The body is not used; read it so the connection can be reused
+      await response.text().catch(() => {});
+      if (!response.ok) {
+        throw responseError(`Receiver responded with HTTP ${response.status}`, response);
+      }
+    } catch (error) {
+      record.error = error.message;
+      delivery.error = error.message;
+      throw error;
+    } finally {
+      record.duration_ms = Date.now() - startedAt;
+      delivery.response_status = record.response_status;
+    }
+  }
+
+  /**
+   * Logged deliveries of a webhook, without their payloads
+   * Filters: status, event
+   */
+  getDeliveries(webhookId, { status, event } = {}) {
+    return this.deliveries
+      .filter(delivery => (
+        delivery.workspace_id === getWorkspaceId() &&
+        delivery.webhook_id === Number(webhookId) &&
+        (!status || delivery.status === status) &&
+        (!event || delivery.event === event)
+      ))
+      .map(delivery => this.toDeliveryView(delivery, { withPayload: false }));
+  }
+
+  getDelivery(webhookId, deliveryId) {
+    return this.deliveries.find(delivery => (
+      delivery.workspace_id === getWorkspaceId() &&
+      delivery.webhook_id === Number(webhookId) && delivery.id === Number(deliveryId)
+    )) || null;
+  }
+
+  toDeliveryView(delivery, { withPayload = true } = {}) {
+    const { payload, workspace_id, ...view } = delivery;
+    return {
+      ...view,
+      attempts: delivery.attempts.map(attempt => ({ ...attempt })),
+      ...(withPayload && { payload })
+    };
+  }
+}
+
+// Singleton instance
+const webhookService = new WebhookService();
+
+module.exports = webhookService;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.ALL_EVENTS = ALL_EVENTS;
+module.exports.DELIVERY_STATUS = DELIVERY_STATUS;
+module.exports.generateSecret = generateSecret;
+module.exports.signPayload = signPayload;
+module.exports.toWebhookView = toWebhookView;
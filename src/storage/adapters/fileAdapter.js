@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * JSON file persistence adapter
+ * Writes the full storage snapshot to disk. Changes made within
+ * `writeDelayMs` of each other are coalesced into one write, so bursts of
+ * small changes (API key use, AI usage, outcomes) do not each rewrite
+ * the file. Pending writes are flushed when the process exits.
+ */
+
+// Adapters with a write still to do, flushed on exit
+const unsaved = new Set();
+
+process.on('exit', () => {
+  unsaved.forEach(adapter => adapter.flush());
+});
+
+class FileAdapter {
+  constructor(filePath, { writeDelayMs = 1000 } = {}) {
+    this.name = 'file';
+    this.filePath = path.resolve(filePath);
+    this.writeDelayMs = writeDelayMs;
+    this.pending = null;
+    this.timer = null;
+    this.writing = null;
+    // Bumped by flush, so an older write still under way is discarded
+    this.generation = 0;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    if (content.trim().length === 0) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Storage file ${this.filePath} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Schedule a write of the snapshot; its collections are serialized when
+   * the write happens, so later changes to them are included
+   */
+  save(snapshot) {
+    this.pending = snapshot;
+    unsaved.add(this);
+    if (!this.timer && !this.writing) this.schedule();
+  }
+
+  schedule() {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.writing = this.write().finally(() => {
+        this.writing = null;
+        if (this.pending) this.schedule();
+      });
+    }, this.writeDelayMs);
+    // A pending write does not keep the process alive; exit flushes it
+    this.timer.unref();
+  }
+
+  async write() {
+    const snapshot = this.pending;
+    const generation = this.generation;
+    this.pending = null;
+    unsaved.delete(this);
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      // Write to a temp file first so a crash never leaves a half-written file
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(snapshot));
+      if (generation !== this.generation) return;
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      console.error(`Could not write storage file ${this.filePath}: ${error.message}`);
+      // Keep the data for the next write unless a newer snapshot replaced it
+      if (!this.pending) this.save(snapshot);
+    }
+  }
+
+  /**
+   * Write any pending snapshot now, synchronously
+   */
+  flush() {
+    if (!this.pending) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.generation++;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    // Its own temp file, as an asynchronous write may still be under way
+    const tempPath = `${this.filePath}.flush.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.pending));
+    fs.renameSync(tempPath, this.filePath);
+    this.pending = null;
+    unsaved.delete(this);
+  }
+}
+
+module.exports = FileAdapter;
@@ -0,0 +1,45 @@
+const path = require('path');
+const MemoryAdapter = require('./memoryAdapter');
+const FileAdapter = require('./fileAdapter');
+
+/**
+ * STORAGE_FILE with `suffix` added before the extension, e.g.
+ * data/kuvaku.json -> data/kuvaku.workspace-2.json
+ */
+function suffixedPath(filePath, suffix) {
+  if (!suffix) return filePath;
+  const { dir, name, ext } = path.parse(filePath);
+  return path.join(dir, `${name}.${suffix}${ext}`);
+}
+
+/**
+ * Create the persistence adapter selected by environment config
+ * STORAGE_ADAPTER: memory (default) | file
+ * STORAGE_FILE: path of the JSON file used by the file adapter
+ * STORAGE_WRITE_DELAY_MS: how long the file adapter gathers changes
+ * before writing them
+ * `suffix` selects a sibling file, so each workspace and the workspace
+ * registry get their own file
+ */
+function createAdapter(env = process.env, { suffix } = {}) {
+  const adapterName = (env.STORAGE_ADAPTER || 'memory').toLowerCase();
+
+  switch (adapterName) {
+    case 'memory':
+      return new MemoryAdapter();
+    case 'file': {
+      const writeDelayMs = parseInt(env.STORAGE_WRITE_DELAY_MS, 10);
+      return new FileAdapter(suffixedPath(env.STORAGE_FILE || './data/kuvaku.json', suffix), {
+        writeDelayMs: Number.isNaN(writeDelayMs) ? 1000 : writeDelayMs
+      });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_ADAPTER "${adapterName}". Use "memory" or "file".`);
+  }
+}
+
+module.exports = {
+  createAdapter,
+  MemoryAdapter,
+  FileAdapter
+};
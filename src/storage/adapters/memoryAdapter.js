@@ -0,0 +1,21 @@
+/**
+ * In-memory persistence adapter
+ * Nothing survives a restart; used by default and in tests
+ */
+
+class MemoryAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.snapshot = null;
+  }
+
+  load() {
+    return this.snapshot;
+  }
+
+  save(snapshot) {
+    this.snapshot = snapshot;
+  }
+}
+
+module.exports = MemoryAdapter;
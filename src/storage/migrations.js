@@ -0,0 +1,152 @@
+const { DEFAULT_SCORING_CONFIG } = require('../config/scoringConfig');
+
+/**
+ * Schema migrations for persisted storage snapshots
+ * Each migration upgrades a snapshot from `version - 1` to `version`
+ */
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move the single offer into an offers list with IDs',
+    up(data) {
+      const offers = data.offers || (data.offer ? [{ ...data.offer, id: 1 }] : []);
+      const offerId = offers.length > 0 ? offers[0].id : null;
+      const { offer, ...rest } = data;
+
+      return {
+        ...rest,
+        offers,
+        nextOfferId: offers.length + 1,
+        leads: data.leads || [],
+        scoredLeads: (data.scoredLeads || []).map(lead => ({
+          offer_id: offerId,
+          ...lead
+        })),
+        nextScoredLeadId: (data.scoredLeads || []).length + 1
+      };
+    }
+  },
+  {
+    version: 2,
+    description: 'Add versioned scoring configs, seeded with the defaults',
+    up(data) {
+      return {
+        ...data,
+        scoringConfigs: data.scoringConfigs || [{
+          ...DEFAULT_SCORING_CONFIG,
+          version: 1,
+          createdAt: new Date().toISOString()
+        }]
+      };
+    }
+  },
+  {
+    version: 3,
+    description: 'Add a lead ID counter so IDs stay stable across uploads',
+    up(data) {
+      const maxId = (data.leads || []).reduce((max, lead) => Math.max(max, lead.id || 0), 0);
+      return {
+        ...data,
+        nextLeadId: data.nextLeadId || maxId + 1
+      };
+    }
+  },
+  {
+    version: 4,
+    description: 'Add saved column mapping profiles for lead imports',
+    up(data) {
+      return {
+        ...data,
+        importMappings: data.importMappings || [],
+        nextImportMappingId: data.nextImportMappingId || 1
+      };
+    }
+  },
+  {
+    version: 5,
+    description: 'Add webhook subscriptions',
+    up(data) {
+      return {
+        ...data,
+        webhooks: data.webhooks || [],
+        nextWebhookId: data.nextWebhookId || 1
+      };
+    }
+  },
+  {
+    version: 6,
+    description: 'Add CRM integrations and per-lead sync status',
+    up(data) {
+      return {
+        ...data,
+        integrations: data.integrations || [],
+        nextIntegrationId: data.nextIntegrationId || 1,
+        crmSyncs: data.crmSyncs || []
+      };
+    }
+  },
+  {
+    version: 7,
+    description: 'Add daily AI usage ledger',
+    up(data) {
+      return {
+        ...data,
+        aiUsage: data.aiUsage || []
+      };
+    }
+  },
+  {
+    version: 8,
+    description: 'Add scoring run history',
+    up(data) {
+      return {
+        ...data,
+        runs: data.runs || [],
+        nextRunId: data.nextRunId || 1,
+        runResults: data.runResults || []
+      };
+    }
+  },
+  {
+    version: 9,
+    description: 'Add lead outcomes',
+    up(data) {
+      return {
+        ...data,
+        outcomes: data.outcomes || [],
+        nextOutcomeId: data.nextOutcomeId || 1
+      };
+    }
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Upgrade a snapshot to the latest schema version
+ */
+function migrate(snapshot) {
+  let data = { ...snapshot };
+  const currentVersion = data.schemaVersion || 0;
+
+  if (currentVersion > LATEST_VERSION) {
+    throw new Error(`Storage schema version ${currentVersion} is newer than supported version ${LATEST_VERSION}`);
+  }
+
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version > currentVersion) {
+      data = migration.up(data);
+      data.schemaVersion = migration.version;
+      applied.push(migration.version);
+    }
+  }
+
+  return { data, applied };
+}
+
+module.exports = {
+  migrate,
+  LATEST_VERSION
+};
@@ -1,39 +1,194 @@
+const { createAdapter } = require('./adapters');
+const { migrate, LATEST_VERSION } = require('./migrations');
+const { DEFAULT_WORKSPACE_ID, getWorkspaceId } = require('./workspaceContext');
+const { DEFAULT_SCORING_CONFIG } = require('../config/scoringConfig');
+const runConfig = require('../config/runConfig');
+
+function defaultScoringConfigs() {
+  return [{
+    ...DEFAULT_SCORING_CONFIG,
+    version: 1,
+    createdAt: new Date().toISOString()
+  }];
+}
+
 /**
- * In-memory storage for offer and leads data
- * In production, this would be replaced with a database
+ * Storage for offer and leads data
+ * Data is kept in memory and written through to a pluggable
+ * persistence adapter (see ./adapters) after every change
  */
 
 class Storage {
-  constructor() {
-    this.offer = null;
+  constructor(adapter = createAdapter()) {
+    this.adapter = adapter;
+    this.offers = [];
+    this.nextOfferId = 1;
     this.leads = [];
+    this.nextLeadId = 1;
     this.scoredLeads = [];
+    this.nextScoredLeadId = 1;
+    this.scoringConfigs = defaultScoringConfigs();
+    this.importMappings = [];
+    this.nextImportMappingId = 1;
+    this.webhooks = [];
+    this.nextWebhookId = 1;
+    this.integrations = [];
+    this.nextIntegrationId = 1;
+    this.crmSyncs = [];
+    this.aiUsage = [];
+    this.runs = [];
+    this.nextRunId = 1;
+    this.runResults = [];
+    this.outcomes = [];
+    this.nextOutcomeId = 1;
+    this.load();
+  }
+
+  // Persistence methods
+  load() {
+    const snapshot = this.adapter.load();
+    if (!snapshot) return;
+
+    const { data, applied } = migrate(snapshot);
+    this.offers = data.offers;
+    this.nextOfferId = data.nextOfferId;
+    this.leads = data.leads;
+    this.nextLeadId = data.nextLeadId;
+    this.scoredLeads = data.scoredLeads;
+    this.nextScoredLeadId = data.nextScoredLeadId;
+    this.scoringConfigs = data.scoringConfigs;
+    this.importMappings = data.importMappings;
+    this.nextImportMappingId = data.nextImportMappingId;
+    this.webhooks = data.webhooks;
+    this.nextWebhookId = data.nextWebhookId;
+    this.integrations = data.integrations;
+    this.nextIntegrationId = data.nextIntegrationId;
+    this.crmSyncs = data.crmSyncs;
+    this.aiUsage = data.aiUsage;
+    this.runs = data.runs;
+    this.nextRunId = data.nextRunId;
+    this.runResults = data.runResults;
+    this.outcomes = data.outcomes;
+    this.nextOutcomeId = data.nextOutcomeId;
+
+    if (applied.length > 0) {
+      console.log(`Applied storage migrations: ${applied.join(', ')}`);
+      this.persist();
+    }
+  }
+
+  snapshot() {
+    return {
+      schemaVersion: LATEST_VERSION,
+      offers: this.offers,
+      nextOfferId: this.nextOfferId,
+      leads: this.leads,
+      nextLeadId: this.nextLeadId,
+      scoredLeads: this.scoredLeads,
+      nextScoredLeadId: this.nextScoredLeadId,
+      scoringConfigs: this.scoringConfigs,
+      importMappings: this.importMappings,
+      nextImportMappingId: this.nextImportMappingId,
+      webhooks: this.webhooks,
+      nextWebhookId: this.nextWebhookId,
+      integrations: this.integrations,
+      nextIntegrationId: this.nextIntegrationId,
+      crmSyncs: this.crmSyncs,
+      aiUsage: this.aiUsage,
+      runs: this.runs,
+      nextRunId: this.nextRunId,
+      runResults: this.runResults,
+      outcomes: this.outcomes,
+      nextOutcomeId: this.nextOutcomeId
+    };
+  }
+
+  persist() {
+    this.adapter.save(this.snapshot());
   }
 
   // Offer methods
-  setOffer(offerData) {
-    this.offer = {
+  createOffer(offerData) {
+    const offer = {
       ...offerData,
+      id: this.nextOfferId++,
       createdAt: new Date().toISOString()
     };
-    return this.offer;
+    this.offers.push(offer);
+    this.persist();
+    return offer;
+  }
+
+  getOffers() {
+    return this.offers;
+  }
+
+  getOfferById(id) {
+    return this.offers.find(offer => offer.id === Number(id)) || null;
   }
 
+  updateOffer(id, offerData) {
+    const index = this.offers.findIndex(offer => offer.id === Number(id));
+    if (index === -1) return null;
+
+    this.offers[index] = {
+      ...this.offers[index],
+      ...offerData,
+      id: this.offers[index].id,
+      updatedAt: new Date().toISOString()
+    };
+    this.persist();
+    return this.offers[index];
+  }
+
+  deleteOffer(id) {
+    const index = this.offers.findIndex(offer => offer.id === Number(id));
+    if (index === -1) return false;
+
+    this.offers.splice(index, 1);
+    // Results scored against a deleted offer no longer have a context
+    this.scoredLeads = this.scoredLeads.filter(lead => lead.offer_id !== Number(id));
+    this.persist();
+    return true;
+  }
+
+  // Kept for the single-offer API: creates a new offer instead of overwriting
+  setOffer(offerData) {
+    return this.createOffer(offerData);
+  }
+
+  // Most recently created offer, used when no offer_id is given
   getOffer() {
-    return this.offer;
+    return this.offers.length > 0 ? this.offers[this.offers.length - 1] : null;
   }
 
   hasOffer() {
-    return this.offer !== null;
+    return this.offers.length > 0;
   }
 
   // Leads methods
+  // IDs come from a counter that never restarts, so an ID always
+  // refers to the same lead even after later uploads
   setLeads(leadsData) {
-    this.leads = leadsData.map((lead, index) => ({
+    const uploadedAt = new Date().toISOString();
+    this.leads = leadsData.map(lead => ({
       ...lead,
-      id: index + 1,
-      uploadedAt: new Date().toISOString()
+      id: this.nextLeadId++,
+      uploadedAt
     }));
+    this.persist();
+    return this.leads;
+  }
+
+  // Replaces the lead list, keeping the IDs of leads that already have one
+  saveLeads(leadsData) {
+    const uploadedAt = new Date().toISOString();
+    this.leads = leadsData.map(lead => (
+      lead.id !== undefined
+        ? lead
+        : { ...lead, id: this.nextLeadId++, uploadedAt }
+    ));
+    this.persist();
     return this.leads;
   }
 
@@ -41,41 +196,406 @@ class Storage {
     return this.leads;
   }
 
+  getLeadById(id) {
+    return this.leads.find(lead => lead.id === Number(id)) || null;
+  }
+
   hasLeads() {
     return this.leads.length > 0;
   }
 
+  // Stores enrichment results on their leads, apart from the raw fields
+  // entries: [{ lead_id, enrichment }]; unknown lead IDs are skipped
+  saveLeadEnrichments(entries) {
+    const byId = new Map(entries.map(entry => [entry.lead_id, entry.enrichment]));
+    this.leads = this.leads.map(lead => (
+      byId.has(lead.id) ? { ...lead, enrichment: byId.get(lead.id) } : lead
+    ));
+    this.persist();
+  }
+
   // Scored leads methods
-  setScoredLeads(scoredData) {
-    this.scoredLeads = scoredData.map((lead, index) => ({
+  // Replaces the results of a single offer, leaving other offers' results intact
+  setScoredLeads(scoredData, offerId) {
+    const scoredAt = new Date().toISOString();
+    const newResults = scoredData.map(lead => ({
       ...lead,
-      id: index + 1,
-      scoredAt: new Date().toISOString()
+      id: this.nextScoredLeadId++,
+      offer_id: offerId,
+      scoredAt
     }));
-    return this.scoredLeads;
+
+    this.scoredLeads = this.scoredLeads
+      .filter(lead => lead.offer_id !== offerId)
+      .concat(newResults);
+    this.persist();
+    return newResults;
   }
 
-  getScoredLeads() {
-    return this.scoredLeads;
+  // Replaces results only for the given leads of an offer; a re-scored
+  // lead keeps its result ID and all other results are left untouched
+  mergeScoredLeads(scoredData, offerId) {
+    const scoredAt = new Date().toISOString();
+    const offerResults = this.scoredLeads.filter(lead => lead.offer_id === offerId);
+
+    const merged = scoredData.map(lead => {
+      const existing = offerResults.find(result => result.lead_id === lead.lead_id);
+      return {
+        ...lead,
+        id: existing ? existing.id : this.nextScoredLeadId++,
+        offer_id: offerId,
+        scoredAt
+      };
+    });
+
+    const mergedLeadIds = merged.map(lead => lead.lead_id);
+    const updatedOfferResults = offerResults
+      .filter(result => !mergedLeadIds.includes(result.lead_id))
+      .concat(merged)
+      .sort((a, b) => b.score - a.score);
+
+    this.scoredLeads = this.scoredLeads
+      .filter(lead => lead.offer_id !== offerId)
+      .concat(updatedOfferResults);
+    this.persist();
+    return merged;
+  }
+
+  getScoredLeads(offerId) {
+    if (offerId === undefined || offerId === null) {
+      return this.scoredLeads;
+    }
+    return this.scoredLeads.filter(lead => lead.offer_id === Number(offerId));
+  }
+
+  getScoredLeadById(id) {
+    return this.scoredLeads.find(lead => lead.id === Number(id)) || null;
   }
 
   hasScoredLeads() {
     return this.scoredLeads.length > 0;
   }
 
+  // Scoring config methods
+  // Every save creates a new version; older versions are kept so
+  // results can be explained with the config they were scored with
+  getScoringConfig() {
+    return this.scoringConfigs[this.scoringConfigs.length - 1];
+  }
+
+  getScoringConfigVersions() {
+    return this.scoringConfigs;
+  }
+
+  getScoringConfigVersion(version) {
+    return this.scoringConfigs.find(config => config.version === Number(version)) || null;
+  }
+
+  saveScoringConfig(configData) {
+    const config = {
+      ...configData,
+      version: this.getScoringConfig().version + 1,
+      createdAt: new Date().toISOString()
+    };
+    this.scoringConfigs.push(config);
+    this.persist();
+    return config;
+  }
+
+  // Import mapping methods
+  createImportMapping(mappingData) {
+    const mapping = {
+      ...mappingData,
+      id: this.nextImportMappingId++,
+      createdAt: new Date().toISOString()
+    };
+    this.importMappings.push(mapping);
+    this.persist();
+    return mapping;
+  }
+
+  getImportMappings() {
+    return this.importMappings;
+  }
+
+  getImportMappingById(id) {
+    return this.importMappings.find(mapping => mapping.id === Number(id)) || null;
+  }
+
+  deleteImportMapping(id) {
+    const index = this.importMappings.findIndex(mapping => mapping.id === Number(id));
+    if (index === -1) return false;
+
+    this.importMappings.splice(index, 1);
+    this.persist();
+    return true;
+  }
+
+  // Webhook methods
+  createWebhook(webhookData) {
+    const webhook = {
+      ...webhookData,
+      id: this.nextWebhookId++,
+      createdAt: new Date().toISOString()
+    };
+    this.webhooks.push(webhook);
+    this.persist();
+    return webhook;
+  }
+
+  getWebhooks() {
+    return this.webhooks;
+  }
+
+  getWebhookById(id) {
+    return this.webhooks.find(webhook => webhook.id === Number(id)) || null;
+  }
+
+  updateWebhook(id, webhookData) {
+    const index = this.webhooks.findIndex(webhook => webhook.id === Number(id));
+    if (index === -1) return null;
+
+    this.webhooks[index] = {
+      ...this.webhooks[index],
+      ...webhookData,
+      id: this.webhooks[index].id,
+      updatedAt: new Date().toISOString()
+    };
+    this.persist();
+    return this.webhooks[index];
+  }
+
+  deleteWebhook(id) {
+    const index = this.webhooks.findIndex(webhook => webhook.id === Number(id));
+    if (index === -1) return false;
+
+    this.webhooks.splice(index, 1);
+    this.persist();
+    return true;
+  }
+
+  // CRM integration methods
+  createIntegration(integrationData) {
+    const integration = {
+      ...integrationData,
+      id: this.nextIntegrationId++,
+      createdAt: new Date().toISOString()
+    };
+    this.integrations.push(integration);
+    this.persist();
+    return integration;
+  }
+
+  getIntegrations() {
+    return this.integrations;
+  }
+
+  getIntegrationById(id) {
+    return this.integrations.find(integration => integration.id === Number(id)) || null;
+  }
+
+  updateIntegration(id, integrationData) {
+    const index = this.integrations.findIndex(integration => integration.id === Number(id));
+    if (index === -1) return null;
+
+    this.integrations[index] = {
+      ...this.integrations[index],
+      ...integrationData,
+      id: this.integrations[index].id,
+      updatedAt: new Date().toISOString()
+    };
+    this.persist();
+    return this.integrations[index];
+  }
+
+  deleteIntegration(id) {
+    const index = this.integrations.findIndex(integration => integration.id === Number(id));
+    if (index === -1) return false;
+
+    this.integrations.splice(index, 1);
+    this.crmSyncs = this.crmSyncs.filter(sync => sync.integration_id !== Number(id));
+    this.persist();
+    return true;
+  }
+
+  // CRM sync status methods
+  // One record per integration and lead, replaced on every push
+  saveCrmSyncs(syncs) {
+    const key = sync => `${sync.integration_id}:${sync.lead_id}`;
+    const updated = new Map(syncs.map(sync => [key(sync), sync]));
+    this.crmSyncs = this.crmSyncs
+      .filter(sync => !updated.has(key(sync)))
+      .concat([...updated.values()]);
+    this.persist();
+  }
+
+  getCrmSyncs(integrationId) {
+    return this.crmSyncs.filter(sync => sync.integration_id === Number(integrationId));
+  }
+
+  // Scoring run methods
+  // A run keeps its own copy of the results it produced, so later runs
+  // leave it unchanged. Past RUN_HISTORY_LIMIT the oldest runs and their
+  // results are dropped.
+  createRun(runData) {
+    const run = {
+      ...runData,
+      id: this.nextRunId++,
+      createdAt: new Date().toISOString()
+    };
+    this.runs.push(run);
+
+    const limit = runConfig.historyLimit;
+    if (limit > 0 && this.runs.length > limit) {
+      const dropped = new Set(this.runs.slice(0, this.runs.length - limit).map(old => old.id));
+      this.runs = this.runs.filter(old => !dropped.has(old.id));
+      this.runResults = this.runResults.filter(result => !dropped.has(result.run_id));
+    }
+    this.persist();
+    return run;
+  }
+
+  saveRunResults(runId, results) {
+    this.runResults = this.runResults.concat(results.map(result => ({ ...result, run_id: Number(runId) })));
+    this.persist();
+  }
+
+  getRuns() {
+    return this.runs;
+  }
+
+  getRunById(id) {
+    return this.runs.find(run => run.id === Number(id)) || null;
+  }
+
+  getRunResults(runId) {
+    return this.runResults.filter(result => result.run_id === Number(runId));
+  }
+
+  // Lead outcome methods
+  // Outcomes are kept when leads are uploaded again, as lead IDs are never
+  // reused; a lead can have several and the latest one counts
+  createOutcome(outcomeData) {
+    const outcome = {
+      ...outcomeData,
+      id: this.nextOutcomeId++,
+      recordedAt: new Date().toISOString()
+    };
+    this.outcomes.push(outcome);
+    this.persist();
+    return outcome;
+  }
+
+  getOutcomes() {
+    return this.outcomes;
+  }
+
+  getLeadOutcomes(leadId) {
+    return this.outcomes.filter(outcome => outcome.lead_id === Number(leadId));
+  }
+
+  // AI usage methods
+  // One row per UTC day, provider and model, added to as leads are scored
+  recordAiUsage(entries) {
+    if (entries.length === 0) return;
+
+    const date = new Date().toISOString().slice(0, 10);
+    entries.forEach(entry => {
+      let row = this.aiUsage.find(usage =>
+        usage.date === date && usage.provider === entry.provider && usage.model === entry.model);
+      if (!row) {
+        row = {
+          date,
+          provider: entry.provider,
+          model: entry.model,
+          leads: 0,
+          prompt_tokens: 0,
+          completion_tokens: 0,
+          cost_usd: 0,
+          unpriced_leads: 0
+        };
+        this.aiUsage.push(row);
+      }
+      row.leads++;
+      row.prompt_tokens += entry.prompt_tokens;
+      row.completion_tokens += entry.completion_tokens;
+      if (entry.cost_usd === null) {
+        row.unpriced_leads++;
+      } else {
+        row.cost_usd = Math.round((row.cost_usd + entry.cost_usd) * 1e6) / 1e6;
+      }
+    });
+    this.persist();
+  }
+
+  // Rows from one date to another (YYYY-MM-DD, both included)
+  getAiUsage({ from, to }) {
+    return this.aiUsage.filter(usage => usage.date >= from && usage.date <= to);
+  }
+
   // Reset methods
+  // The AI usage ledger records money already spent and is kept
   reset() {
-    this.offer = null;
+    this.offers = [];
+    this.nextOfferId = 1;
     this.leads = [];
+    this.nextLeadId = 1;
     this.scoredLeads = [];
+    this.nextScoredLeadId = 1;
+    this.scoringConfigs = defaultScoringConfigs();
+    this.importMappings = [];
+    this.nextImportMappingId = 1;
+    this.webhooks = [];
+    this.nextWebhookId = 1;
+    this.integrations = [];
+    this.nextIntegrationId = 1;
+    this.crmSyncs = [];
+    this.runs = [];
+    this.nextRunId = 1;
+    this.runResults = [];
+    this.outcomes = [];
+    this.nextOutcomeId = 1;
+    this.persist();
   }
 
-  resetScores() {
-    this.scoredLeads = [];
+  resetScores(offerId) {
+    if (offerId === undefined || offerId === null) {
+      this.scoredLeads = [];
+    } else {
+      this.scoredLeads = this.scoredLeads.filter(lead => lead.offer_id !== Number(offerId));
+    }
+    this.persist();
   }
 }
 
-// Singleton instance
-const storage = new Storage();
+// One Storage per workspace, created on first use
+const workspaceStorages = new Map();
+
+/**
+ * Storage of a workspace; the default workspace keeps STORAGE_FILE so
+ * data stored before workspaces existed stays where it was
+ */
+function getWorkspaceStorage(workspaceId) {
+  if (!workspaceStorages.has(workspaceId)) {
+    const suffix = workspaceId === DEFAULT_WORKSPACE_ID ? undefined : `workspace-${workspaceId}`;
+    workspaceStorages.set(workspaceId, new Storage(createAdapter(process.env, { suffix })));
+  }
+  return workspaceStorages.get(workspaceId);
+}
+
+// Singleton instance, bound to the workspace of the running request or job
+// (see ./workspaceContext) on every call
+const storage = new Proxy({}, {
+  get(target, property) {
+    // Module exports such as Storage are kept on the proxy itself
+    if (Reflect.has(target, property)) return target[property];
+
+    const current = getWorkspaceStorage(getWorkspaceId());
+    const value = current[property];
+    return typeof value === 'function' ? value.bind(current) : value;
+  }
+});
 
-module.exports = storage;
\ No newline at end of file
+module.exports = storage;
+module.exports.Storage = Storage;
+module.exports.getWorkspaceStorage = getWorkspaceStorage;
@@ -0,0 +1,29 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Workspace of the code that is running
+ * Requests enter their API key's workspace in the auth middleware; jobs
+ * and other work started from a request stay in it. Code running outside
+ * any workspace (startup, requests without a key while auth is off) uses
+ * the default workspace.
+ */
+
+// Workspace that owns the data stored before workspaces existed
+const DEFAULT_WORKSPACE_ID = 1;
+
+const context = new AsyncLocalStorage();
+
+function runInWorkspace(workspaceId, fn) {
+  return context.run({ workspaceId }, fn);
+}
+
+function getWorkspaceId() {
+  const store = context.getStore();
+  return store ? store.workspaceId : DEFAULT_WORKSPACE_ID;
+}
+
+module.exports = {
+  DEFAULT_WORKSPACE_ID,
+  runInWorkspace,
+  getWorkspaceId
+};
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { createAdapter } = require('./adapters');
+const { DEFAULT_WORKSPACE_ID } = require('./workspaceContext');
+
+/**
+ * Registry of workspaces and their API keys
+ * Each workspace's offers, leads, results and config live in their own
+ * Storage (see ./storage.js); this registry only knows who owns what.
+ * Keys are stored as SHA-256 hashes, so a lost key cannot be recovered,
+ * only revoked and replaced.
+ */
+
+const API_KEY_PREFIX = 'kvk_';
+
+// Characters of a key kept in clear to tell keys apart in listings
+const KEY_HINT_LENGTH = API_KEY_PREFIX.length + 6;
+
+// lastUsedAt is written at most this often per key, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateApiKey() {
+  return `${API_KEY_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+}
+
+/**
+ * API key as returned by the API, without its hash
+ */
+function toApiKeyView(apiKey) {
+  const { key_hash, ...view } = apiKey;
+  return view;
+}
+
+function defaultWorkspaces() {
+  return [{
+    id: DEFAULT_WORKSPACE_ID,
+    name: 'Default',
+    createdAt: new Date().toISOString()
+  }];
+}
+
+class WorkspaceRegistry {
+  constructor(adapter = createAdapter(process.env, { suffix: 'workspaces' })) {
+    this.adapter = adapter;
+    this.workspaces = defaultWorkspaces();
+    this.nextWorkspaceId = DEFAULT_WORKSPACE_ID + 1;
+    this.apiKeys = [];
+    this.nextApiKeyId = 1;
+    this.load();
+  }
+
+  // Persistence methods
+  load() {
+    const snapshot = this.adapter.load();
+    if (!snapshot) return;
+
+    this.workspaces = snapshot.workspaces;
+    this.nextWorkspaceId = snapshot.nextWorkspaceId;
+    this.apiKeys = snapshot.apiKeys;
+    this.nextApiKeyId = snapshot.nextApiKeyId;
+  }
+
+  persist() {
+    this.adapter.save({
+      workspaces: this.workspaces,
+      nextWorkspaceId: this.nextWorkspaceId,
+      apiKeys: this.apiKeys,
+      nextApiKeyId: this.nextApiKeyId
+    });
+  }
+
+  // Workspace methods
+  createWorkspace(workspaceData) {
+    const workspace = {
+      ...workspaceData,
+      id: this.nextWorkspaceId++,
+      createdAt: new Date().toISOString()
+    };
+    this.workspaces.push(workspace);
+    this.persist();
+    return workspace;
+  }
+
+  getWorkspaces() {
+    return this.workspaces;
+  }
+
+  getWorkspaceById(id) {
+    return this.workspaces.find(workspace => workspace.id === Number(id)) || null;
+  }
+
+  updateWorkspace(id, workspaceData) {
+    const workspace = this.getWorkspaceById(id);
+    if (!workspace) return null;
+
+    Object.assign(workspace, workspaceData, { id: workspace.id, updatedAt: new Date().toISOString() });
+    this.persist();
+    return workspace;
+  }
+
+  // API key methods
+  // Returns the stored key and, only here, the plain key
+  createApiKey(workspaceId, keyData) {
+    const key = generateApiKey();
+    const apiKey = {
+      ...keyData,
+      id: this.nextApiKeyId++,
+      workspace_id: Number(workspaceId),
+      key_hint: key.slice(0, KEY_HINT_LENGTH),
+      key_hash: hashApiKey(key),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+    this.apiKeys.push(apiKey);
+    this.persist();
+    return { apiKey, key };
+  }
+
+  getApiKeys(workspaceId) {
+    return this.apiKeys.filter(apiKey => apiKey.workspace_id === Number(workspaceId));
+  }
+
+  getApiKeyById(id) {
+    return this.apiKeys.find(apiKey => apiKey.id === Number(id)) || null;
+  }
+
+  // Active (not revoked) key matching a plain key, or null
+  findActiveApiKey(key) {
+    const keyHash = hashApiKey(key);
+    return this.apiKeys.find(apiKey => apiKey.key_hash === keyHash && !apiKey.revokedAt) || null;
+  }
+
+  updateApiKey(id, keyData) {
+    const apiKey = this.getApiKeyById(id);
+    if (!apiKey) return null;
+
+    Object.assign(apiKey, keyData, { updatedAt: new Date().toISOString() });
+    this.persist();
+    return apiKey;
+  }
+
+  revokeApiKey(id) {
+    const apiKey = this.getApiKeyById(id);
+    if (!apiKey) return null;
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date().toISOString();
+      this.persist();
+    }
+    return apiKey;
+  }
+
+  recordApiKeyUse(apiKey) {
+    const now = Date.now();
+    if (apiKey.lastUsedAt && now - new Date(apiKey.lastUsedAt).getTime() < LAST_USED_RESOLUTION_MS) return;
+
+    apiKey.lastUsedAt = new Date(now).toISOString();
+    this.persist();
+  }
+}
+
+// Singleton instance
+const workspaces = new WorkspaceRegistry();
+
+module.exports = workspaces;
+module.exports.WorkspaceRegistry = WorkspaceRegistry;
+module.exports.toApiKeyView = toApiKeyView;
+module.exports.hashApiKey = hashApiKey;
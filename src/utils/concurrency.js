@@ -0,0 +1,30 @@
+/**
+ * Map items through an async worker with at most `limit` running at once
+ * Stops picking up new items once `signal` is aborted; results of items
+ * that were never started are left out
+ */
+async function mapWithConcurrency(items, limit, worker, options = {}) {
+  const { signal } = options;
+  const results = new Array(items.length);
+  const started = new Array(items.length).fill(false);
+  let nextIndex = 0;
+
+  async function runWorker() {
+    while (nextIndex < items.length) {
+      if (signal && signal.aborted) return;
+
+      const index = nextIndex++;
+      started[index] = true;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  return results.filter((_, index) => started[index]);
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,39 @@
+/**
+ * CSV writing helpers
+ */
+
+/**
+ * Quote a value when it contains a delimiter, quote or line break
+ */
+function escapeCsvValue(value, delimiter = ',') {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+
+  if (text.includes(delimiter) || text.includes('"') || /[\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Leading characters that make spreadsheet apps treat a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Neutralize text a spreadsheet would run as a formula by prefixing a
+ * quote. Numbers (including negative ones) are left as they are.
+ */
+function sanitizeFormula(value) {
+  if (typeof value !== 'string' || !FORMULA_PREFIX.test(value)) return value;
+  if (/^[-+]?\d+(\.\d+)?$/.test(value.trim())) return value;
+  return `'${value}`;
+}
+
+function toCsvRow(values, delimiter = ',') {
+  return values.map(value => escapeCsvValue(value, delimiter)).join(delimiter);
+}
+
+module.exports = {
+  escapeCsvValue,
+  sanitizeFormula,
+  toCsvRow
+};
@@ -0,0 +1,183 @@
+const dns = require('dns').promises;
+const net = require('net');
+const networkConfig = require('../config/networkConfig');
+
+/**
+ * HTTP helpers for outbound calls (enrichers, CRM pushes, webhooks)
+ */
+
+// Loopback, link-local (cloud metadata), private, shared and unspecified
+// addresses; enricher, CRM and webhook URLs are set by workspaces but
+// called from the server, so these are refused unless allowed
+const BLOCKED_RANGES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+  .forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+  .forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// OUTBOUND_ALLOWED_HOSTS split into addresses/ranges and host names
+const ALLOWED_RANGES = new net.BlockList();
+const ALLOWED_NAMES = new Set();
+networkConfig.allowedHosts.forEach(entry => {
+  const [address, prefix] = entry.split('/');
+  const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  if (!family) {
+    ALLOWED_NAMES.add(entry);
+  } else if (prefix !== undefined) {
+    ALLOWED_RANGES.addSubnet(address, Number(prefix), family);
+  } else {
+    ALLOWED_RANGES.addAddress(address, family);
+  }
+});
+
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+  const mapped = /^::ffff:/i.test(address) && net.isIPv4(address.slice(7)) ? address.slice(7) : address;
+  const family = net.isIPv4(mapped) ? 'ipv4' : 'ipv6';
+  return BLOCKED_RANGES.check(mapped, family) && !ALLOWED_RANGES.check(mapped, family);
+}
+
+function urlHost(url) {
+  // [::1] is written with brackets, and example.com. means example.com
+  return new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+}
+
+/**
+ * Problem with calling a URL's host that shows without a DNS lookup
+ * (localhost or a loopback, link-local or private address), or null
+ */
+function blockedHostError(url, path) {
+  const host = urlHost(url);
+  if (ALLOWED_NAMES.has(host)) return null;
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isBlockedAddress(host))) {
+    return `${path} must not point to a local or private address unless OUTBOUND_ALLOWED_HOSTS allows it (found ${host})`;
+  }
+  return null;
+}
+
+/**
+ * Resolve a URL's host and throw unless every address it resolves to may
+ * be called
+ * Checked before each request, as a name can resolve to another address
+ * than when the URL was saved
+ */
+async function assertAllowedHost(url) {
+  const host = urlHost(url);
+  if (ALLOWED_NAMES.has(host)) return;
+
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.lookup(host, { all: true })).map(entry => entry.address);
+  if (host === 'localhost' || addresses.some(isBlockedAddress)) {
+    const error = new Error(`Requests to ${host} are not allowed: it resolves to a local or private address`);
+    error.code = 'EHOSTBLOCKED';
+    throw error;
+  }
+}
+
+/**
+ * fetch with a timeout
+ * Timeouts and network failures are rethrown with the error codes
+ * isTransientError retries; HTTP error statuses are left to the caller.
+ * The host must pass assertAllowedHost, and redirects are not followed
+ * since they could lead to one that does not.
+ */
+async function fetchWithTimeout(url, options, timeoutMs) {
+  await assertAllowedHost(url).catch(error => {
+    if (error.code === 'EHOSTBLOCKED') throw error;
+    const failure = new Error(`Request failed: ${error.message}`);
+    failure.code = error.code;
+    throw failure;
+  });
+
+  try {
+    return await fetch(url, { ...options, redirect: 'error', signal: AbortSignal.timeout(timeoutMs) });
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError';
+    const failure = new Error(timedOut
+      ? `Request timed out after ${timeoutMs}ms`
+      : `Request failed: ${(error.cause && error.cause.message) || error.message}`);
+    failure.code = timedOut ? 'ETIMEDOUT' : (error.cause && error.cause.code);
+    throw failure;
+  }
+}
+
+/**
+ * Error for a non-2xx response, carrying its status and headers so
+ * retries honor Retry-After
+ */
+function responseError(message, response) {
+  const error = new Error(message);
+  error.status = response.status;
+  error.headers = response.headers;
+  return error;
+}
+
+const PLACEHOLDER_PATTERN = /\$\{(\w+)\}/g;
+
+/**
+ * Problems with the ${NAME} placeholders of a setting
+ * Settings are written by workspace users, so a placeholder may only name
+ * a variable starting with `prefix` (e.g. CRM_SECRET_); anything else,
+ * such as ADMIN_API_KEY, would hand server secrets to whoever controls
+ * the request's URL. The variable must also be set.
+ */
+function placeholderErrors(value, prefix, path) {
+  return [...String(value).matchAll(PLACEHOLDER_PATTERN)].map(([, variable]) => {
+    if (!variable.startsWith(prefix)) {
+      return `${path} may only reference environment variables starting with ${prefix} (found \${${variable}})`;
+    }
+    if (process.env[variable] === undefined) {
+      return `${path} references \${${variable}}, which is not set`;
+    }
+    return null;
+  }).filter(Boolean);
+}
+
+/**
+ * Problems with the placeholders of a headers object's values
+ */
+function headerPlaceholderErrors(headers, prefix, path) {
+  return Object.entries(headers || {})
+    .flatMap(([name, value]) => placeholderErrors(value, prefix, `${path}.${name}`));
+}
+
+/**
+ * Replace ${NAME} placeholders with environment variables, so secrets in
+ * headers and tokens stay out of stored settings
+ * Throws for a variable without `prefix` or that is not set, e.g. in
+ * settings stored before the variable was removed.
+ */
+function resolveEnvPlaceholders(value, prefix) {
+  return String(value).replace(PLACEHOLDER_PATTERN, (_match, variable) => {
+    if (!variable.startsWith(prefix)) {
+      throw new Error(`\${${variable}} cannot be used; placeholders must start with ${prefix}`);
+    }
+    if (process.env[variable] === undefined) {
+      throw new Error(`Environment variable ${variable} is not set`);
+    }
+    return process.env[variable];
+  });
+}
+
+/**
+ * Headers with their values' placeholders resolved
+ */
+function resolveHeaders(headers = {}, prefix) {
+  const resolved = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    resolved[name] = resolveEnvPlaceholders(value, prefix);
+  });
+  return resolved;
+}
+
+module.exports = {
+  blockedHostError,
+  assertAllowedHost,
+  fetchWithTimeout,
+  responseError,
+  placeholderErrors,
+  headerPlaceholderErrors,
+  resolveEnvPlaceholders,
+  resolveHeaders
+};
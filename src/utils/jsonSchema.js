@@ -0,0 +1,69 @@
+/**
+ * Minimal JSON Schema validator covering the keywords used in this
+ * project: type, enum, properties, required, additionalProperties,
+ * minimum, maximum and minLength
+ * Returns a list of error strings (empty when valid)
+ */
+function validateSchema(value, schema, path = 'value') {
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    return errors;
+  }
+
+  switch (schema.type) {
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} must be an object`);
+        return errors;
+      }
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+      });
+      Object.keys(value).forEach(key => {
+        const propertySchema = schema.properties && schema.properties[key];
+        if (propertySchema) {
+          errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key} is not allowed`);
+        }
+      });
+      break;
+    }
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be an array`);
+      } else if (schema.items) {
+        value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+      }
+      break;
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${path} must be a string`);
+      } else if (schema.minLength && value.trim().length < schema.minLength) {
+        errors.push(`${path} must be at least ${schema.minLength} characters`);
+      }
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || Number.isNaN(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+        errors.push(`${path} must be a ${schema.type}`);
+      } else {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push(`${path} must be a boolean`);
+      break;
+    default:
+      break;
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateSchema
+};
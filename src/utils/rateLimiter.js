@@ -0,0 +1,62 @@
+const { sleep } = require('./retry');
+
+/**
+ * Sliding-window limiter for requests and tokens per minute
+ * A limit of 0 disables that dimension
+ */
+class RateLimiter {
+  constructor({ requestsPerMinute = 0, tokensPerMinute = 0, windowMs = 60000 } = {}) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.tokensPerMinute = tokensPerMinute;
+    this.windowMs = windowMs;
+    this.events = [];
+    this.pausedUntil = 0;
+  }
+
+  prune(now) {
+    while (this.events.length > 0 && now - this.events[0].time >= this.windowMs) {
+      this.events.shift();
+    }
+  }
+
+  /**
+   * Milliseconds until a request of `tokens` fits, or 0 if it fits now
+   */
+  waitTime(tokens, now) {
+    if (now < this.pausedUntil) return this.pausedUntil - now;
+
+    this.prune(now);
+    if (this.events.length === 0) return 0;
+
+    const requestsOk = !this.requestsPerMinute || this.events.length < this.requestsPerMinute;
+    const usedTokens = this.events.reduce((sum, event) => sum + event.tokens, 0);
+    const tokensOk = !this.tokensPerMinute || usedTokens + tokens <= this.tokensPerMinute;
+    if (requestsOk && tokensOk) return 0;
+
+    return this.events[0].time + this.windowMs - now;
+  }
+
+  /**
+   * Wait until a request using `tokens` is allowed, then record it
+   */
+  async acquire(tokens = 0) {
+    for (;;) {
+      const now = Date.now();
+      const wait = this.waitTime(tokens, now);
+      if (wait <= 0) {
+        this.events.push({ time: now, tokens });
+        return;
+      }
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Hold back all callers, e.g. after a 429 with Retry-After
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,90 @@
+/**
+ * Retry helpers with exponential backoff
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Whether an error is worth retrying (rate limit, server error, network)
+ */
+function isTransientError(error) {
+  if (!error) return false;
+
+  const status = error.status || (error.response && error.response.status);
+  if (status) {
+    return status === 429 || status === 408 || status >= 500;
+  }
+
+  return TRANSIENT_ERROR_CODES.includes(error.code) ||
+    ['APIConnectionError', 'APIConnectionTimeoutError'].includes(error.constructor && error.constructor.name);
+}
+
+function readHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name];
+}
+
+/**
+ * Delay requested by the server via Retry-After / retry-after-ms, in ms
+ */
+function getRetryAfterMs(error) {
+  const headers = error && (error.headers || (error.response && error.response.headers));
+
+  const retryAfterMs = parseFloat(readHeader(headers, 'retry-after-ms'));
+  if (!Number.isNaN(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = readHeader(headers, 'retry-after');
+  if (!retryAfter) return null;
+
+  const seconds = parseFloat(retryAfter);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  // Retry-After may also be an HTTP date
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Run `fn` and retry transient failures with exponential backoff and jitter
+ * Honors Retry-After when the error carries it
+ */
+async function retryWithBackoff(fn, options = {}) {
+  const {
+    maxRetries = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    isRetryable = isTransientError,
+    onRetry
+  } = options;
+
+  let attempt = 0;
+  for (;;) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryable(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const jitter = Math.random() * backoff * 0.2;
+      const retryAfter = getRetryAfterMs(error);
+      const delay = retryAfter !== null ? Math.min(maxDelayMs, retryAfter) : backoff + jitter;
+
+      if (onRetry) onRetry(error, attempt + 1, delay);
+      await sleep(delay);
+      attempt++;
+    }
+  }
+}
+
+module.exports = {
+  sleep,
+  isTransientError,
+  getRetryAfterMs,
+  retryWithBackoff
+};
@@ -1,3 +1,13 @@
+const { validateCustomRules, maxCustomRuleScore } = require('../services/rules');
+const { validateEnrichmentConfig } = require('../services/enrichers');
+const { LEAD_FILTER_FIELDS, MAX_PAGE_SIZE, normalizeIntent, parseSort, decodeCursor } = require('../services/leadQuery');
+const { LEAD_FIELDS } = require('../config/importAliases');
+const { WEBHOOK_EVENTS, ALL_EVENTS } = require('../services/webhookService');
+const { validateAdapterSettings } = require('../services/crm');
+const { SEGMENT_FIELDS } = require('../services/analyticsService');
+const { OUTCOMES } = require('../services/calibrationService');
+const { blockedHostError } = require('../utils/http');
+
 /**
  * Validation functions for API inputs
  */
@@ -54,7 +64,518 @@ function validateLead(data) {
   };
 }
 
+/**
+ * Validate a non-negative number field
+ */
+function checkPoints(value, path, errors) {
+  if (!Number.isFinite(value) || value < 0) {
+    errors.push(`${path} must be a non-negative number`);
+  }
+}
+
+/**
+ * Validate a points table: exactly `keys`, each a non-negative number,
+ * since the maximum score is taken over all of its values
+ */
+function checkPointsTable(points, keys, path, errors) {
+  if (typeof points !== 'object' || Array.isArray(points)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  keys.forEach(key => checkPoints(points[key], `${path}.${key}`, errors));
+  Object.keys(points).filter(key => !keys.includes(key)).forEach(key => {
+    errors.push(`${path}.${key} is not supported. Use ${keys.join(', ')}`);
+  });
+}
+
+/**
+ * Validate a non-empty array of non-empty strings
+ */
+function checkStringList(value, path, errors) {
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push(`${path} must be a non-empty array`);
+  } else if (!value.every(item => typeof item === 'string' && item.trim().length > 0)) {
+    errors.push(`all ${path} must be non-empty strings`);
+  }
+}
+
+/**
+ * Validate scoring configuration
+ */
+function validateScoringConfig(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return { valid: false, errors: ['config must be an object'] };
+  }
+
+  const rules = data.rules || {};
+  const { role, industry, completeness } = rules;
+
+  if (!role || !role.points) {
+    errors.push('rules.role.points is required');
+  } else {
+    checkPointsTable(role.points, ['decision_maker', 'influencer', 'other'], 'rules.role.points', errors);
+    checkStringList(role.decision_maker_keywords, 'rules.role.decision_maker_keywords', errors);
+    checkStringList(role.influencer_keywords, 'rules.role.influencer_keywords', errors);
+  }
+
+  if (!industry || !industry.points) {
+    errors.push('rules.industry.points is required');
+  } else {
+    checkPointsTable(industry.points, ['exact_match', 'adjacent', 'no_match'], 'rules.industry.points', errors);
+    checkStringList(industry.adjacent_keywords, 'rules.industry.adjacent_keywords', errors);
+  }
+
+  if (!completeness) {
+    errors.push('rules.completeness is required');
+  } else {
+    checkPoints(completeness.points, 'rules.completeness.points', errors);
+    checkStringList(completeness.fields, 'rules.completeness.fields', errors);
+  }
+
+  if (data.custom_rules !== undefined) {
+    errors.push(...validateCustomRules(data.custom_rules));
+  }
+
+  if (data.enrichment !== undefined) {
+    errors.push(...validateEnrichmentConfig(data.enrichment));
+  }
+
+  if (!data.ai_scores) {
+    errors.push('ai_scores is required');
+  } else {
+    ['high', 'medium', 'low'].forEach(key => checkPoints(data.ai_scores[key], `ai_scores.${key}`, errors));
+    if (!(data.ai_scores.high >= data.ai_scores.medium && data.ai_scores.medium >= data.ai_scores.low)) {
+      errors.push('ai_scores must satisfy high >= medium >= low');
+    }
+  }
+
+  if (!data.thresholds) {
+    errors.push('thresholds is required');
+  } else {
+    checkPoints(data.thresholds.high, 'thresholds.high', errors);
+    checkPoints(data.thresholds.medium, 'thresholds.medium', errors);
+    if (!(data.thresholds.high > data.thresholds.medium)) {
+      errors.push('thresholds.high must be greater than thresholds.medium');
+    }
+  }
+
+  if (errors.length === 0) {
+    const maxScore = Math.max(...Object.values(role.points)) +
+      Math.max(...Object.values(industry.points)) +
+      completeness.points +
+      maxCustomRuleScore(data.custom_rules) +
+      data.ai_scores.high;
+    if (data.thresholds.high > maxScore) {
+      errors.push(`thresholds.high exceeds the maximum possible score (${maxScore})`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Validate the lead selection of a scoring request
+ */
+function validateScoreRequest(data) {
+  const errors = [];
+
+  if (data.lead_ids !== undefined) {
+    if (!Array.isArray(data.lead_ids) || data.lead_ids.length === 0) {
+      errors.push('lead_ids must be a non-empty array');
+    } else if (!data.lead_ids.every(id => Number.isInteger(Number(id)) && Number(id) > 0)) {
+      errors.push('all lead_ids must be positive integers');
+    }
+  }
+
+  if (data.filter !== undefined) {
+    if (!data.filter || typeof data.filter !== 'object' || Array.isArray(data.filter)) {
+      errors.push('filter must be an object');
+    } else {
+      Object.keys(data.filter).forEach(key => {
+        if (!LEAD_FILTER_FIELDS.includes(key)) {
+          errors.push(`filter.${key} is not supported. Use ${LEAD_FILTER_FIELDS.join(', ')}`);
+        } else if (typeof data.filter[key] !== 'string') {
+          errors.push(`filter.${key} must be a string`);
+        }
+      });
+    }
+  }
+
+  if (data.budget_usd !== undefined && data.budget_usd !== null &&
+      (typeof data.budget_usd !== 'number' || !(data.budget_usd > 0))) {
+    errors.push('budget_usd must be a positive number');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Validate an import column mapping profile
+ * columns: { "<file header>": "<lead field>" | null }, null ignores the column
+ */
+function validateImportMapping(data) {
+  const errors = [];
+
+  if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+    errors.push('name is required and must be a non-empty string');
+  }
+
+  if (!data.columns || typeof data.columns !== 'object' || Array.isArray(data.columns)) {
+    errors.push('columns is required and must be an object of column -> field');
+  } else if (Object.keys(data.columns).length === 0) {
+    errors.push('columns must map at least one column');
+  } else {
+    Object.entries(data.columns).forEach(([column, field]) => {
+      if (field !== null && !LEAD_FIELDS.includes(field)) {
+        errors.push(`columns["${column}"] must be null or one of ${LEAD_FIELDS.join(', ')}`);
+      }
+    });
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
+// Shortest secret accepted for signing webhook payloads
+const MIN_WEBHOOK_SECRET_LENGTH = 16;
+
+/**
+ * Validate a webhook subscription
+ * events: list of WEBHOOK_EVENTS, or ["*"] for all of them
+ */
+function validateWebhook(data) {
+  const errors = [];
+
+  let url = null;
+  try {
+    url = new URL(data.url);
+  } catch (error) {
+    errors.push('url is required and must be a valid URL');
+  }
+  if (url && !['http:', 'https:'].includes(url.protocol)) {
+    errors.push('url must use http or https');
+  } else if (url) {
+    const blocked = blockedHostError(data.url, 'url');
+    if (blocked) errors.push(blocked);
+  }
+
+  if (!Array.isArray(data.events) || data.events.length === 0) {
+    errors.push('events is required and must be a non-empty array');
+  } else {
+    data.events.forEach((event, index) => {
+      if (event !== ALL_EVENTS && !WEBHOOK_EVENTS.includes(event)) {
+        errors.push(`events[${index}] must be one of ${WEBHOOK_EVENTS.join(', ')} or "${ALL_EVENTS}"`);
+      }
+    });
+  }
+
+  if (data.secret !== undefined && (typeof data.secret !== 'string' || data.secret.length < MIN_WEBHOOK_SECRET_LENGTH)) {
+    errors.push(`secret must be a string of at least ${MIN_WEBHOOK_SECRET_LENGTH} characters`);
+  }
+
+  if (data.description !== undefined && typeof data.description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  if (data.active !== undefined && typeof data.active !== 'boolean') {
+    errors.push('active must be a boolean');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Validate a CRM integration
+ * field_mapping: { "<CRM property>": "<source field>" }, sources being
+ * result fields (score, intent, reasoning, details.*, ...) or lead fields
+ * external_id: { source, property } matching leads to CRM records
+ * filter: { intents, min_score } limiting which results are pushed
+ */
+function validateIntegration(data) {
+  const errors = [];
+  const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+  const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+  if (!isNonEmptyString(data.name)) {
+    errors.push('name is required and must be a non-empty string');
+  }
+
+  errors.push(...validateAdapterSettings(data.adapter, data.settings));
+
+  if (data.field_mapping !== undefined) {
+    if (!isObject(data.field_mapping) || Object.keys(data.field_mapping).length === 0) {
+      errors.push('field_mapping must be a non-empty object of CRM property -> source field');
+    } else {
+      Object.entries(data.field_mapping).forEach(([property, source]) => {
+        if (!isNonEmptyString(source)) {
+          errors.push(`field_mapping["${property}"] must be a non-empty string`);
+        }
+      });
+    }
+  }
+
+  if (data.external_id !== undefined) {
+    if (!isObject(data.external_id)) {
+      errors.push('external_id must be an object with source and property');
+    } else {
+      ['source', 'property'].forEach(key => {
+        if (!isNonEmptyString(data.external_id[key])) {
+          errors.push(`external_id.${key} is required and must be a non-empty string`);
+        }
+      });
+    }
+  }
+
+  if (data.filter !== undefined) {
+    if (!isObject(data.filter)) {
+      errors.push('filter must be an object');
+    } else {
+      const { intents, min_score: minScore } = data.filter;
+      if (intents !== undefined && (!Array.isArray(intents) || intents.length === 0 ||
+        !intents.every(intent => typeof intent === 'string' && normalizeIntent(intent)))) {
+        errors.push('filter.intents must be a non-empty array of high, medium, low');
+      }
+      if (minScore !== undefined && !Number.isFinite(minScore)) {
+        errors.push('filter.min_score must be a number');
+      }
+    }
+  }
+
+  ['push_after_scoring', 'active'].forEach(field => {
+    if (data[field] !== undefined && typeof data[field] !== 'boolean') {
+      errors.push(`${field} must be a boolean`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Validate a workspace
+ */
+function validateWorkspace(data) {
+  const errors = [];
+
+  if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+    errors.push('name is required and must be a non-empty string');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Validate an API key's name and CORS origins
+ * allowed_origins: origins such as "https://app.example.com"; empty
+ * allows every origin
+ */
+function validateApiKey(data) {
+  const errors = [];
+
+  if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+    errors.push('name is required and must be a non-empty string');
+  }
+
+  if (data.allowed_origins !== undefined) {
+    if (!Array.isArray(data.allowed_origins)) {
+      errors.push('allowed_origins must be an array');
+    } else {
+      data.allowed_origins.forEach((origin, index) => {
+        let url = null;
+        try {
+          url = new URL(origin);
+        } catch (error) {
+          // Reported below
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol) || url.origin !== origin) {
+          errors.push(`allowed_origins[${index}] must be an origin such as https://app.example.com, without a path or trailing slash`);
+        }
+      });
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Validate a lead outcome
+ * occurred_at: when it happened (ISO 8601), not in the future
+ */
+function validateOutcome(data) {
+  const errors = [];
+
+  if (!OUTCOMES.includes(data.outcome)) {
+    errors.push(`outcome must be one of ${OUTCOMES.join(', ')}`);
+  }
+
+  if (data.notes !== undefined && typeof data.notes !== 'string') {
+    errors.push('notes must be a string');
+  }
+
+  if (data.occurred_at !== undefined) {
+    const time = typeof data.occurred_at === 'string' ? Date.parse(data.occurred_at) : NaN;
+    if (Number.isNaN(time)) {
+      errors.push('occurred_at must be a date (ISO 8601)');
+    } else if (time > Date.now()) {
+      errors.push('occurred_at must not be in the future');
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Validate the filter, sort and pagination query of a list endpoint
+ * `defaultSort` is the sort applied when none is given, needed to check
+ * that a cursor matches it
+ */
+function validateListQuery(query, { defaultSort = 'id' } = {}) {
+  const errors = [];
+  const isBlank = value => value === undefined || value === '';
+
+  // A repeated parameter (?intent=High&intent=Low) arrives as an array
+  const multiple = Object.keys(query).filter(field => query[field] !== undefined && typeof query[field] !== 'string');
+  if (multiple.length > 0) {
+    return {
+      valid: false,
+      errors: multiple.map(field => `${field} must be a single value`)
+    };
+  }
+
+  ['min_score', 'max_score'].forEach(field => {
+    if (!isBlank(query[field]) && !Number.isFinite(Number(query[field]))) {
+      errors.push(`${field} must be a number`);
+    }
+  });
+  if (!isBlank(query.min_score) && !isBlank(query.max_score) && Number(query.min_score) > Number(query.max_score)) {
+    errors.push('min_score must not be greater than max_score');
+  }
+
+  if (!isBlank(query.intent) && !normalizeIntent(query.intent)) {
+    errors.push('intent must be one of high, medium, low');
+  }
+
+  if (!isBlank(query.limit)) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+  }
+  if (!isBlank(query.offset)) {
+    const offset = Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      errors.push('offset must be a non-negative integer');
+    }
+  }
+
+  const sortFields = parseSort(query.sort, defaultSort);
+  sortFields.forEach(({ field }) => {
+    if (!/^[A-Za-z_][\w]*(\.[A-Za-z_][\w]*)*$/.test(field)) {
+      errors.push(`sort field "${field}" is not valid`);
+    }
+  });
+  if (!isBlank(query.cursor) && !decodeCursor(query.cursor, sortFields)) {
+    errors.push('cursor is not valid for this sort');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Validate the query of GET /api/results/analytics: the filters of
+ * GET /api/results plus group_by (comma-separated segment fields),
+ * bin_size and segment_limit
+ */
+function validateAnalyticsQuery(query) {
+  const { errors } = validateListQuery(query);
+  const isBlank = value => value === undefined || value === '';
+
+  if (!isBlank(query.group_by)) {
+    String(query.group_by).split(',').map(field => field.trim()).forEach(field => {
+      if (!SEGMENT_FIELDS.includes(field)) {
+        errors.push(`group_by field "${field}" is not supported. Use ${SEGMENT_FIELDS.join(', ')}`);
+      }
+    });
+  }
+
+  [['bin_size', 100], ['segment_limit', MAX_PAGE_SIZE]].forEach(([field, max]) => {
+    if (!isBlank(query[field])) {
+      const value = Number(query[field]);
+      if (!Number.isInteger(value) || value < 1 || value > max) {
+        errors.push(`${field} must be an integer between 1 and ${max}`);
+      }
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Validate the date range of GET /api/usage
+ * from and to are optional UTC dates (YYYY-MM-DD)
+ */
+function validateUsageQuery(query) {
+  const errors = [];
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().slice(0, 10) === value;
+
+  ['from', 'to'].forEach(field => {
+    if (query[field] !== undefined && !isDate(query[field])) {
+      errors.push(`${field} must be a date (YYYY-MM-DD)`);
+    }
+  });
+  if (errors.length === 0 && query.from && query.to && query.from > query.to) {
+    errors.push('from must not be after to');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
 module.exports = {
   validateOffer,
-  validateLead
+  validateLead,
+  validateImportMapping,
+  validateWebhook,
+  validateIntegration,
+  validateWorkspace,
+  validateApiKey,
+  validateOutcome,
+  validateScoreRequest,
+  validateScoringConfig,
+  validateListQuery,
+  validateAnalyticsQuery,
+  validateUsageQuery
 };
\ No newline at end of file
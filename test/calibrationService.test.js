@@ -0,0 +1,123 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+process.env.STORAGE_ADAPTER = 'memory';
+process.env.AI_PROVIDER = 'heuristic';
+
+const { buildCalibration, MIN_OUTCOMES } = require('../src/services/calibrationService');
+const { scoreLead, determineIntent } = require('../src/services/scoringService');
+const { DEFAULT_SCORING_CONFIG } = require('../src/config/scoringConfig');
+const { validateScoringConfig } = require('../src/validators/validators');
+
+const offer = {
+  id: 1,
+  name: 'AI Outreach Automation',
+  value_props: ['24/7 outreach', '6x more meetings'],
+  ideal_use_cases: ['B2B SaaS mid-market']
+};
+const config = { ...DEFAULT_SCORING_CONFIG, version: 1 };
+
+const ROLES = ['VP Sales', 'Marketing Manager', 'Intern'];
+const INDUSTRIES = ['B2B SaaS mid-market', 'Software', 'Retail'];
+
+// Decision makers buy, influencers sometimes book meetings, the rest
+// rarely answer; industry makes no difference
+function outcomeFor(index) {
+  const role = index % 3;
+  if (role === 0) return index % 4 === 0 ? 'lost' : 'won';
+  if (role === 1) return index % 2 === 0 ? 'meeting_booked' : 'no_response';
+  return index % 7 === 0 ? 'lost' : 'no_response';
+}
+
+const leads = Array.from({ length: 60 }, (_, index) => ({
+  id: index + 1,
+  name: `Lead ${index}`,
+  role: ROLES[index % 3],
+  company: `Co${index}`,
+  industry: INDUSTRIES[Math.floor(index / 3) % 3],
+  location: 'Berlin',
+  linkedin_bio: index % 5 === 0 ? '' : 'Grows revenue teams'
+}));
+const outcomes = leads.map((lead, index) => ({
+  id: index + 1,
+  lead_id: lead.id,
+  outcome: outcomeFor(index),
+  occurredAt: '2026-10-01T00:00:00.000Z'
+}));
+
+let results;
+
+before(async () => {
+  results = [];
+  for (const lead of leads) {
+    results.push({ ...(await scoreLead(lead, offer, config)), scoring_config_version: 1 });
+  }
+});
+
+test('the report measures each intent against the outcomes', () => {
+  const report = buildCalibration(results, outcomes, config);
+
+  assert.strictEqual(report.sample.scored, leads.length);
+  const predicted = Object.values(report.intents).reduce((sum, intent) => sum + intent.predicted, 0);
+  assert.strictEqual(predicted, leads.length);
+  const matrixTotal = Object.values(report.confusion_matrix)
+    .flatMap(row => Object.values(row))
+    .reduce((sum, count) => sum + count, 0);
+  assert.strictEqual(matrixTotal, leads.length);
+});
+
+test('no suggestions below the minimum number of outcomes', () => {
+  const report = buildCalibration(results.slice(0, MIN_OUTCOMES - 1), outcomes, config);
+  assert.strictEqual(report.suggestions, null);
+  assert.match(report.message, new RegExp(`at least ${MIN_OUTCOMES}`));
+});
+
+test('rule weights move points to the category that separates outcomes', () => {
+  const { rule_weights: weights } = buildCalibration(results, outcomes, config).suggestions;
+  const role = weights.find(weight => weight.id === 'role');
+  const industry = weights.find(weight => weight.id === 'industry');
+
+  assert.ok(role.suggested_max > role.current_max);
+  assert.ok(industry.suggested_max < industry.current_max);
+  const total = weights.reduce((sum, weight) => sum + weight.suggested_max, 0);
+  assert.ok(Math.abs(total - 50) <= 1);
+});
+
+test('the suggested config\'s thresholds fit the scores its weights give', async () => {
+  const { suggestions } = buildCalibration(results, outcomes, config);
+  const suggested = { ...suggestions.scoring_config, version: 2 };
+  assert.deepStrictEqual(validateScoringConfig(suggestions.scoring_config).errors, []);
+  assert.deepStrictEqual(suggested.thresholds, {
+    high: suggestions.weighted_thresholds.suggested.high,
+    medium: suggestions.weighted_thresholds.suggested.medium
+  });
+
+  // Re-score the leads with the suggested config and measure it
+  const expected = new Map(outcomes.map(outcome => [
+    outcome.lead_id,
+    { won: 'High', meeting_booked: 'High', lost: 'Medium', no_response: 'Low' }[outcome.outcome]
+  ]));
+  let correct = 0;
+  for (const lead of leads) {
+    const rescored = await scoreLead(lead, offer, suggested);
+    if (determineIntent(rescored.score, suggested) === expected.get(lead.id)) correct++;
+  }
+
+  assert.strictEqual(Math.round((correct / leads.length) * 1000) / 1000, suggestions.weighted_thresholds.suggested.accuracy);
+});
+
+test('thresholds for the current weights are suggested on their own', () => {
+  const { suggestions } = buildCalibration(results, outcomes, config);
+  assert.ok(suggestions.thresholds.suggested.accuracy >= suggestions.thresholds.current.accuracy);
+  assert.strictEqual(suggestions.thresholds.current.high, config.thresholds.high);
+});
+
+test('lost leads can count as Low intent', () => {
+  const report = buildCalibration(results, outcomes, config, { lostIntent: 'Low' });
+  assert.strictEqual(report.outcome_intents.lost, 'Low');
+
+  const lost = outcomes.filter(outcome => outcome.outcome === 'lost').length;
+  const noResponse = outcomes.filter(outcome => outcome.outcome === 'no_response').length;
+  const expectedLow = Object.values(report.confusion_matrix).reduce((sum, row) => sum + row.Low, 0);
+  assert.strictEqual(expectedLow, lost + noResponse);
+});
@@ -0,0 +1,169 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startMockCrm } = require('./mockCrm');
+
+process.env.STORAGE_ADAPTER = 'memory';
+// The mock servers listen on loopback
+process.env.OUTBOUND_ALLOWED_HOSTS = '127.0.0.1';
+process.env.CRM_SECRET_TEST_TOKEN = 'crm-token';
+process.env.CRM_MAX_RETRIES = '2';
+process.env.CRM_RETRY_BASE_DELAY_MS = '1';
+process.env.CRM_CONCURRENCY = '2';
+
+const storage = require('../src/storage/storage');
+const { pushResults } = require('../src/services/crmSyncService');
+
+const LEAD_COUNT = 150;
+
+let crm;
+let results;
+
+before(async () => {
+  crm = await startMockCrm();
+
+  const leads = storage.setLeads(Array.from({ length: LEAD_COUNT }, (_, index) => ({
+    name: `Lead ${index}`,
+    role: 'CTO',
+    company: `Co${index}`,
+    industry: 'SaaS',
+    location: 'Berlin',
+    // The last lead has no email and cannot be matched to a CRM record
+    ...(index < LEAD_COUNT - 1 && { email: `lead${index}@example.com` })
+  })));
+  results = leads.map(lead => ({
+    id: lead.id,
+    lead_id: lead.id,
+    offer_id: 1,
+    name: lead.name,
+    score: 80,
+    intent: 'High',
+    reasoning: 'Decision maker in a target industry',
+    scoredAt: '2026-10-01T00:00:00.000Z'
+  }));
+});
+
+after(() => crm.close());
+
+beforeEach(() => {
+  crm.mock.requests = [];
+  crm.mock.failures = [];
+  crm.mock.rejected = new Set();
+});
+
+function syncsByLead(integrationId) {
+  return new Map(storage.getCrmSyncs(integrationId).map(sync => [sync.lead_id, sync]));
+}
+
+test('rest: one request per lead with the mapped properties, retrying 429 and 5xx', async () => {
+  const integration = {
+    id: 1,
+    adapter: 'rest',
+    settings: { base_url: crm.baseUrl, headers: { Authorization: 'Bearer ${CRM_SECRET_TEST_TOKEN}' } }
+  };
+  crm.mock.failures = [{ status: 429, headers: { 'Retry-After': '0' } }, { status: 503 }];
+  crm.mock.rejected.add('lead3@example.com');
+
+  const summary = await pushResults(integration, results.slice(0, 5));
+  assert.deepStrictEqual(summary, { total: 5, synced: 4, failed: 1, skipped: 0, unchanged: 0 });
+  // Five leads and the two retried responses
+  assert.strictEqual(crm.mock.requests.length, 7);
+
+  const request = crm.mock.requests.find(item => item.path === '/contacts/lead0@example.com' && item.body);
+  assert.strictEqual(request.method, 'PUT');
+  assert.strictEqual(request.headers.authorization, 'Bearer crm-token');
+  assert.deepStrictEqual(request.body, {
+    email: 'lead0@example.com',
+    lead_score: 80,
+    lead_intent: 'High',
+    lead_score_reasoning: 'Decision maker in a target industry'
+  });
+
+  const syncs = syncsByLead(1);
+  assert.strictEqual(syncs.get(results[0].lead_id).status, 'synced');
+  assert.strictEqual(syncs.get(results[0].lead_id).crm_id, 'rest-lead0@example.com');
+  assert.strictEqual(syncs.get(results[3].lead_id).status, 'failed');
+  assert.match(syncs.get(results[3].lead_id).error, /HTTP 400/);
+});
+
+test('rest: a lead already synced with the same result is not sent again', async () => {
+  const integration = { id: 2, adapter: 'rest', settings: { base_url: crm.baseUrl } };
+  await pushResults(integration, results.slice(0, 2));
+  crm.mock.requests = [];
+
+  const summary = await pushResults(integration, results.slice(0, 2));
+  assert.strictEqual(summary.unchanged, 2);
+  assert.strictEqual(crm.mock.requests.length, 0);
+});
+
+test('hubspot: leads are upserted in batches of 100 and matched on the ID property', async () => {
+  const integration = {
+    id: 3,
+    adapter: 'hubspot',
+    settings: { access_token: '${CRM_SECRET_TEST_TOKEN}', base_url: crm.baseUrl },
+    field_mapping: { lead_score: 'score' }
+  };
+  crm.mock.failures = [{ status: 500 }];
+
+  const summary = await pushResults(integration, results);
+  assert.deepStrictEqual(summary, { total: LEAD_COUNT, synced: LEAD_COUNT - 1, failed: 0, skipped: 1, unchanged: 0 });
+
+  const batches = crm.mock.requests.filter(item => item.body);
+  // The first batch failed once with a 500 and was retried
+  assert.deepStrictEqual(batches.map(item => item.body.inputs.length), [100, 100, LEAD_COUNT - 101]);
+  batches.forEach(item => {
+    assert.strictEqual(item.path, '/crm/v3/objects/contacts/batch/upsert');
+    assert.strictEqual(item.headers.authorization, 'Bearer crm-token');
+  });
+  assert.deepStrictEqual(batches[0].body.inputs[0], {
+    id: 'lead0@example.com',
+    idProperty: 'email',
+    properties: { lead_score: 80 }
+  });
+
+  const syncs = syncsByLead(3);
+  assert.strictEqual(syncs.get(results[0].lead_id).crm_id, 'hs-lead0@example.com');
+  assert.strictEqual(syncs.get(results[120].lead_id).crm_id, 'hs-lead120@example.com');
+  const skipped = syncs.get(results[LEAD_COUNT - 1].lead_id);
+  assert.strictEqual(skipped.status, 'skipped');
+  assert.strictEqual(skipped.error, 'Lead has no email to use as external ID');
+});
+
+test('hubspot: a batch that keeps failing marks each of its leads failed', async () => {
+  const integration = {
+    id: 4,
+    adapter: 'hubspot',
+    settings: { access_token: '${CRM_SECRET_TEST_TOKEN}', base_url: crm.baseUrl }
+  };
+  crm.mock.failures = [{ status: 502 }, { status: 502 }, { status: 502 }];
+
+  const summary = await pushResults(integration, results.slice(0, 3));
+  assert.strictEqual(summary.failed, 3);
+  // The first try and CRM_MAX_RETRIES retries
+  assert.strictEqual(crm.mock.requests.length, 3);
+  assert.ok([...syncsByLead(4).values()].every(sync => sync.status === 'failed' && /HTTP 502/.test(sync.error)));
+});
+
+test('salesforce: one PATCH per lead to the External ID URL', async () => {
+  const integration = {
+    id: 5,
+    adapter: 'salesforce',
+    settings: { instance_url: crm.baseUrl, access_token: '${CRM_SECRET_TEST_TOKEN}', object: 'Lead' },
+    external_id: { source: 'email', property: 'Email' }
+  };
+  crm.mock.failures = [{ status: 429 }];
+  crm.mock.rejected.add('lead1@example.com');
+
+  const summary = await pushResults(integration, results.slice(0, 3));
+  assert.deepStrictEqual(summary, { total: 3, synced: 2, failed: 1, skipped: 0, unchanged: 0 });
+
+  const request = crm.mock.requests.find(item => item.path.endsWith('/lead0@example.com') && item.body);
+  assert.strictEqual(request.method, 'PATCH');
+  assert.strictEqual(request.path, '/services/data/v59.0/sobjects/Lead/Email/lead0@example.com');
+  assert.strictEqual(request.headers.authorization, 'Bearer crm-token');
+  assert.strictEqual(request.body.lead_intent, 'High');
+
+  const syncs = syncsByLead(5);
+  assert.strictEqual(syncs.get(results[0].lead_id).crm_id, 'sf-lead0@example.com');
+  assert.strictEqual(syncs.get(results[1].lead_id).status, 'failed');
+  assert.match(syncs.get(results[1].lead_id).error, /INVALID_FIELD/);
+});
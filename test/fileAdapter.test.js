@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const FileAdapter = require('../src/storage/adapters/fileAdapter');
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kuvaku-storage-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function waitFor(condition) {
+  return new Promise(resolve => {
+    const check = () => (condition() ? resolve() : setTimeout(check, 5));
+    check();
+  });
+}
+
+test('changes made close together are written once', async () => {
+  const filePath = path.join(dir, 'burst.json');
+  const adapter = new FileAdapter(filePath, { writeDelayMs: 20 });
+  const writeFile = fs.promises.writeFile;
+  let writes = 0;
+  fs.promises.writeFile = (...args) => {
+    writes++;
+    return writeFile(...args);
+  };
+
+  try {
+    const items = [];
+    for (let i = 0; i < 50; i++) {
+      items.push(i);
+      adapter.save({ items });
+    }
+    assert.strictEqual(fs.existsSync(filePath), false);
+
+    await waitFor(() => !adapter.pending && !adapter.timer && !adapter.writing);
+    assert.strictEqual(writes, 1);
+    assert.strictEqual(adapter.load().items.length, 50);
+  } finally {
+    fs.promises.writeFile = writeFile;
+  }
+});
+
+test('a change made during a write is written after it', async () => {
+  const filePath = path.join(dir, 'during.json');
+  const adapter = new FileAdapter(filePath, { writeDelayMs: 5 });
+
+  adapter.save({ version: 1 });
+  await waitFor(() => adapter.writing);
+  adapter.save({ version: 2 });
+
+  await waitFor(() => !adapter.pending && !adapter.timer && !adapter.writing);
+  assert.deepStrictEqual(adapter.load(), { version: 2 });
+});
+
+test('pending changes are written when the process exits', () => {
+  const filePath = path.join(dir, 'exit.json');
+  const script = `
+    const FileAdapter = require(${JSON.stringify(path.resolve(__dirname, '../src/storage/adapters/fileAdapter'))});
+    new FileAdapter(${JSON.stringify(filePath)}, { writeDelayMs: 60000 }).save({ saved: true });
+  `;
+  execFileSync(process.execPath, ['-e', script], { timeout: 10000 });
+
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { saved: true });
+});
@@ -0,0 +1,72 @@
+const http = require('http');
+
+/**
+ * Shared test helpers
+ */
+
+/**
+ * Listen on a free port; resolves to { baseUrl, close }
+ */
+function listen(handler) {
+  const server = http.createServer(handler);
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Send the headers, then the body a moment later, as clients such as
+ * curl do for larger uploads, so the server reads the body in later
+ * socket events
+ */
+async function sendLater(url, method, headers, encoded) {
+  const bytes = Buffer.from(await encoded.arrayBuffer());
+
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, {
+      method,
+      headers: {
+        ...headers,
+        'Content-Type': encoded.headers.get('content-type'),
+        'Content-Length': bytes.length
+      }
+    }, res => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null }));
+    });
+    req.on('error', reject);
+    req.flushHeaders();
+    setTimeout(() => req.end(bytes), 50);
+  });
+}
+
+/**
+ * Request the API, resolving to { status, body } with the body parsed as
+ * JSON. form (FormData) bodies are sent with sendLater.
+ */
+async function request(baseUrl, path, { method = 'GET', key, json, form } = {}) {
+  const headers = {};
+  if (key) headers['X-API-Key'] = key;
+  let body;
+  if (json !== undefined) {
+    headers['Content-Type'] = 'application/json';
+    body = JSON.stringify(json);
+  } else if (form) {
+    return sendLater(`${baseUrl}${path}`, method, headers, new Response(form));
+  }
+
+  const response = await fetch(`${baseUrl}${path}`, { method, headers, body });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+module.exports = {
+  listen,
+  request
+};
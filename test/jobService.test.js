@@ -0,0 +1,79 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.STORAGE_ADAPTER = 'memory';
+process.env.AI_PROVIDER = 'heuristic';
+process.env.JOB_HISTORY_LIMIT = '3';
+
+const storage = require('../src/storage/storage');
+const jobService = require('../src/services/jobService');
+const { JOB_STATUS } = require('../src/services/jobService');
+const { DEFAULT_SCORING_CONFIG } = require('../src/config/scoringConfig');
+
+const offer = {
+  id: 1,
+  name: 'AI Outreach Automation',
+  value_props: ['24/7 outreach'],
+  ideal_use_cases: ['B2B SaaS mid-market']
+};
+const config = { ...DEFAULT_SCORING_CONFIG, version: 1 };
+
+function leads() {
+  return storage.setLeads([
+    { name: 'Ava Patel', role: 'Head of Growth', company: 'FlowMetrics', industry: 'SaaS', location: 'Berlin', linkedin_bio: '' },
+    { name: 'Sam Lee', role: 'Intern', company: 'ShopCo', industry: 'Retail', location: 'Tokyo', linkedin_bio: '' }
+  ]);
+}
+
+afterEach(() => {
+  delete storage.recordAiUsage;
+});
+
+test('a scoring job completes and stores its results', async () => {
+  const job = jobService.startScoringJob(leads(), offer, config);
+  const finished = await jobService.waitForJob(job.id);
+
+  assert.strictEqual(finished.status, JOB_STATUS.COMPLETED);
+  assert.strictEqual(storage.getScoredLeads(offer.id).length, 2);
+});
+
+test('an error after the job\'s own error handling fails the job instead of the process', async () => {
+  storage.recordAiUsage = () => {
+    throw new Error('disk full');
+  };
+  const unhandled = [];
+  const onUnhandled = reason => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+
+  const job = jobService.startScoringJob(leads(), offer, config);
+  const finished = await jobService.waitForJob(job.id);
+  await new Promise(resolve => setImmediate(resolve));
+  process.off('unhandledRejection', onUnhandled);
+
+  assert.deepStrictEqual(unhandled, []);
+  assert.strictEqual(finished.status, JOB_STATUS.FAILED);
+  assert.deepStrictEqual(finished.errors.map(error => error.message), ['disk full']);
+  assert.ok(finished.completedAt);
+});
+
+test('a completed job\'s results are served from its run instead of memory', async () => {
+  const job = jobService.startScoringJob(leads(), offer, config);
+  const finished = await jobService.waitForJob(job.id);
+
+  assert.strictEqual(jobService.jobs.get(job.id).results, null);
+  const results = jobService.getJobResults(job.id);
+  assert.strictEqual(results.length, 2);
+  assert.ok(results.every(result => result.run_id === finished.run_id && !result.explanation));
+});
+
+test('finished jobs past JOB_HISTORY_LIMIT are dropped, oldest first', async () => {
+  const ids = [];
+  for (let index = 0; index < 4; index++) {
+    const job = jobService.startScoringJob(leads(), offer, config);
+    await jobService.waitForJob(job.id);
+    ids.push(job.id);
+  }
+
+  const kept = ids.filter(id => jobService.getJob(id));
+  assert.deepStrictEqual(kept, ids.slice(-3));
+});
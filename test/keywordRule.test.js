@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const keywordRule = require('../src/services/rules/keywordRule');
+
+function patternErrors(pattern) {
+  return keywordRule.validate({ id: 'hiring', type: 'keyword', pattern, points: 10 }, 'rules[0]');
+}
+
+test('patterns prone to catastrophic backtracking are rejected', () => {
+  ['(a+)+$', '(\\w+\\s?)*$', '((ab)*c)+', '(x{1,}y?){2,}'].forEach(pattern => {
+    assert.match(patternErrors(pattern).join(), /must not repeat a group that contains a repeat/, pattern);
+  });
+  assert.match(patternErrors('(sdr)\\s\\1').join(), /backreferences/);
+  assert.match(patternErrors('a'.repeat(201)).join(), /at most 200 characters/);
+});
+
+test('ordinary patterns are accepted', () => {
+  ['hiring\\s+sdrs?', '(vp|head) of sales', '(sales)+ ops', '[(+]+\\)*', '(\\d{2,3})?k arr'].forEach(pattern => {
+    assert.deepStrictEqual(patternErrors(pattern), [], pattern);
+  });
+});
+
+test('a pattern that runs too long does not match instead of stalling', () => {
+  const started = Date.now();
+  const result = keywordRule.evaluate({ linkedin_bio: `${'a'.repeat(40)}!` }, { pattern: '(a+)+$', points: 10 });
+
+  assert.strictEqual(result.matched, false);
+  assert.match(result.reason, /took longer than/);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('patterns still match within the budget', () => {
+  const result = keywordRule.evaluate({ linkedin_bio: 'We are hiring SDRs' }, { pattern: 'hiring\\s+sdrs?', points: 10 });
+  assert.strictEqual(result.matched, true);
+  assert.strictEqual(result.matched_value, 'hiring SDRs');
+});
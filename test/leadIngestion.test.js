@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { buildErrorCsv } = require('../src/services/leadIngestionService');
+
+test('the rejected-rows CSV neutralizes formulas from the upload', () => {
+  const csv = buildErrorCsv([
+    {
+      line: 2,
+      errors: ['name is required'],
+      row: { name: '', company: '=HYPERLINK("https://evil.example","Click")', '@cmd': '-42', linkedin_bio: '+SUM(A1:A9)' }
+    }
+  ], ['name', 'company', '@cmd', 'linkedin_bio']);
+
+  const [header, row] = csv.split('\n');
+  assert.strictEqual(header, "line,errors,name,company,'@cmd,linkedin_bio");
+  assert.strictEqual(row, `2,name is required,,"'=HYPERLINK(""https://evil.example"",""Click"")",-42,'+SUM(A1:A9)`);
+});
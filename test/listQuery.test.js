@@ -0,0 +1,51 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { listen, request } = require('./helpers');
+
+process.env.AUTH_DISABLED = 'true';
+process.env.STORAGE_ADAPTER = 'memory';
+
+const app = require('../server');
+const storage = require('../src/storage/storage');
+const { validateListQuery } = require('../src/validators/validators');
+
+let server;
+
+before(async () => {
+  server = await listen(app);
+  const [lead] = storage.setLeads([
+    { name: 'Ava Patel', role: 'Head of Growth', company: 'FlowMetrics', industry: 'SaaS', location: 'Berlin', linkedin_bio: '' }
+  ]);
+  storage.mergeScoredLeads([{ ...lead, lead_id: lead.id, score: 80, intent: 'High', details: {} }], 1);
+});
+
+after(() => server.close());
+
+test('repeated query parameters are rejected with a 400', async () => {
+  const paths = [
+    '/api/leads?intent=High&intent=Low',
+    '/api/results?intent=High&intent=Low',
+    '/api/results?sort=score&sort=-score',
+    '/api/results?limit=1&limit=2',
+    '/api/results?cursor=a&cursor=b',
+    '/api/leads?name=Ava&name=Sam'
+  ];
+
+  for (const path of paths) {
+    const response = await request(server.baseUrl, path);
+    assert.strictEqual(response.status, 400, path);
+    assert.match(response.body.error.details[0], /must be a single value$/, path);
+  }
+});
+
+test('nested query parameters are rejected too', () => {
+  const { valid, errors } = validateListQuery({ intent: { high: '1' }, sort: 'name' });
+  assert.strictEqual(valid, false);
+  assert.deepStrictEqual(errors, ['intent must be a single value']);
+});
+
+test('single values are still accepted', async () => {
+  const response = await request(server.baseUrl, '/api/results?intent=high&sort=-score&limit=10');
+  assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+  assert.strictEqual(response.body.data.length, 1);
+});
@@ -0,0 +1,68 @@
+const { listen } = require('./helpers');
+
+/**
+ * Local HTTP server standing in for the REST, HubSpot and Salesforce
+ * APIs the CRM adapters call
+ * - PUT /contacts/:id (rest) replies { id }
+ * - POST /crm/v3/objects/:type/batch/upsert (hubspot) replies { results }
+ * - PATCH /services/data/:version/sobjects/:object/:field/:value
+ *   (salesforce) replies 201 { id }
+ * Every request is kept in `requests`. Responses queued in `failures`
+ * ({ status, headers }) are sent first, one per request; external IDs in
+ * `rejected` always get a 400.
+ */
+async function startMockCrm() {
+  const mock = {
+    requests: [],
+    failures: [],
+    rejected: new Set()
+  };
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  };
+
+  const server = await listen((req, res) => {
+    let text = '';
+    req.on('data', chunk => { text += chunk; });
+    req.on('end', () => {
+      const body = text ? JSON.parse(text) : null;
+      const path = decodeURIComponent(req.url);
+      mock.requests.push({ method: req.method, path, headers: req.headers, body });
+
+      const failure = mock.failures.shift();
+      if (failure) return send(res, failure.status, { message: 'try again' }, failure.headers);
+
+      let match = path.match(/^\/contacts\/(.+)$/);
+      if (match && req.method === 'PUT') {
+        if (mock.rejected.has(match[1])) return send(res, 400, { message: 'invalid contact' });
+        return send(res, 200, { id: `rest-${match[1]}` });
+      }
+
+      match = path.match(/^\/crm\/v3\/objects\/\w+\/batch\/upsert$/);
+      if (match && req.method === 'POST') {
+        // Replied out of order, as HubSpot may
+        const results = body.inputs.map(input => ({
+          id: `hs-${input.id}`,
+          properties: { [input.idProperty]: input.id }
+        })).reverse();
+        return send(res, 200, { status: 'COMPLETE', results });
+      }
+
+      match = path.match(/^\/services\/data\/v[\d.]+\/sobjects\/\w+\/\w+\/(.+)$/);
+      if (match && req.method === 'PATCH') {
+        if (mock.rejected.has(match[1])) return send(res, 400, [{ errorCode: 'INVALID_FIELD' }]);
+        return send(res, 201, { id: `sf-${match[1]}`, success: true });
+      }
+
+      send(res, 404, { message: 'not found' });
+    });
+  });
+
+  return { ...server, mock };
+}
+
+module.exports = {
+  startMockCrm
+};
@@ -0,0 +1,85 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns').promises;
+
+process.env.STORAGE_ADAPTER = 'memory';
+process.env.OUTBOUND_ALLOWED_HOSTS = 'crm.internal, 10.20.0.0/16, 192.168.1.5';
+
+const { blockedHostError, fetchWithTimeout } = require('../src/utils/http');
+const { validateEnrichmentConfig } = require('../src/services/enrichers');
+const { validateWebhook } = require('../src/validators/validators');
+const { validateAdapterSettings } = require('../src/services/crm');
+
+const lookup = dns.lookup;
+
+afterEach(() => {
+  dns.lookup = lookup;
+});
+
+test('loopback, link-local and private hosts are refused when saved', () => {
+  [
+    'http://127.0.0.1:8080/hook',
+    'http://localhost/hook',
+    'http://api.localhost/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://10.0.0.7/',
+    'http://172.16.3.4/',
+    'http://192.168.0.1/',
+    'http://[::1]/',
+    'http://[fd00::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://0.0.0.0/'
+  ].forEach(url => {
+    assert.match(blockedHostError(url, 'url') || '', /must not point to a local or private address/, url);
+  });
+});
+
+test('public hosts and the operator allowlist are accepted', () => {
+  [
+    'https://hooks.example.com/leads',
+    'http://8.8.8.8/',
+    'http://crm.internal:8443/api',
+    'http://10.20.5.6/',
+    'http://192.168.1.5/'
+  ].forEach(url => {
+    assert.strictEqual(blockedHostError(url, 'url'), null, url);
+  });
+});
+
+test('enricher URLs are checked', () => {
+  assert.match(
+    validateEnrichmentConfig({ enrichers: [{ type: 'http', name: 'firmo', url: 'http://10.1.2.3/enrich' }] }).join(),
+    /enrichment\.enrichers\[0\]\.url must not point/
+  );
+});
+
+test('webhook URLs are checked', () => {
+  assert.match(validateWebhook({ url: 'http://169.254.169.254/', events: ['*'] }).errors.join(), /^url must not point/);
+});
+
+test('CRM URLs are checked', () => {
+  assert.match(
+    validateAdapterSettings('rest', { base_url: 'http://127.0.0.1:9000' }).join(),
+    /settings\.base_url must not point/
+  );
+  assert.match(
+    validateAdapterSettings('salesforce', { instance_url: 'http://[::1]', access_token: 'x', object: 'Lead' }).join(),
+    /settings\.instance_url must not point/
+  );
+});
+
+test('a host that resolves to a private address is refused before connecting', async () => {
+  dns.lookup = async () => [{ address: '93.184.216.34', family: 4 }, { address: '169.254.169.254', family: 4 }];
+
+  await assert.rejects(
+    fetchWithTimeout('http://metadata.example.com/latest', {}, 1000),
+    error => error.code === 'EHOSTBLOCKED' && /metadata\.example\.com/.test(error.message)
+  );
+});
+
+test('a literal private address is refused at request time too', async () => {
+  await assert.rejects(
+    fetchWithTimeout('http://127.0.0.1:1/', {}, 1000),
+    error => error.code === 'EHOSTBLOCKED'
+  );
+});
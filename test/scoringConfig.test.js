@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { validateScoringConfig } = require('../src/validators/validators');
+const { DEFAULT_SCORING_CONFIG } = require('../src/config/scoringConfig');
+
+function withPoints(rule, points) {
+  const config = JSON.parse(JSON.stringify(DEFAULT_SCORING_CONFIG));
+  config.rules[rule].points = { ...config.rules[rule].points, ...points };
+  return config;
+}
+
+test('the default config is valid', () => {
+  assert.deepStrictEqual(validateScoringConfig(DEFAULT_SCORING_CONFIG).errors, []);
+});
+
+test('unknown point keys are rejected instead of reaching the maximum score', () => {
+  const { valid, errors } = validateScoringConfig(withPoints('role', { director: 'ten' }));
+  assert.strictEqual(valid, false);
+  assert.deepStrictEqual(errors, ['rules.role.points.director is not supported. Use decision_maker, influencer, other']);
+
+  assert.match(
+    validateScoringConfig(withPoints('industry', { partner: 5 })).errors.join(),
+    /rules\.industry\.points\.partner is not supported/
+  );
+});
+
+test('point values must be finite numbers', () => {
+  [{ influencer: '10' }, { influencer: Infinity }, { influencer: null }, { influencer: -1 }].forEach(points => {
+    assert.deepStrictEqual(
+      validateScoringConfig(withPoints('role', points)).errors,
+      ['rules.role.points.influencer must be a non-negative number'],
+      JSON.stringify(points)
+    );
+  });
+});
+
+test('points must be an object', () => {
+  const config = JSON.parse(JSON.stringify(DEFAULT_SCORING_CONFIG));
+  config.rules.industry.points = [10, 5, 0];
+  assert.deepStrictEqual(validateScoringConfig(config).errors, ['rules.industry.points must be an object']);
+});
@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { listen, request } = require('./helpers');
+
+process.env.AUTH_DISABLED = 'true';
+process.env.STORAGE_ADAPTER = 'memory';
+process.env.AI_PROVIDER = 'local';
+process.env.AI_MAX_RETRIES = '0';
+process.env.AI_CACHE_ENABLED = 'false';
+
+// Holds the model calls until released, so the scoring job stays running
+const held = [];
+let model;
+let server;
+let storage;
+let jobService;
+
+before(async () => {
+  model = await listen((req, res) => {
+    req.resume();
+    held.push(res);
+  });
+  // The provider reads its base URL when first required
+  process.env.AI_BASE_URL = `${model.baseUrl}/v1`;
+  server = await listen(require('../server'));
+  storage = require('../src/storage/storage');
+  jobService = require('../src/services/jobService');
+});
+
+after(async () => {
+  release();
+  await server.close();
+  await model.close();
+});
+
+function modelCalled() {
+  return new Promise(resolve => {
+    const check = () => (held.length > 0 ? resolve() : setTimeout(check, 5));
+    check();
+  });
+}
+
+function release() {
+  held.splice(0).forEach(res => res.writeHead(500).end());
+}
+
+test('a single lead is not re-scored while a scoring job runs for the offer', async () => {
+  const offer = await request(server.baseUrl, '/api/offers', {
+    method: 'POST',
+    json: { name: 'AI Outreach Automation', value_props: ['24/7 outreach'], ideal_use_cases: ['B2B SaaS mid-market'] }
+  });
+  assert.strictEqual(offer.status, 201, JSON.stringify(offer.body));
+  const [lead] = storage.setLeads([
+    { name: 'Ava Patel', role: 'Head of Growth', company: 'FlowMetrics', industry: 'SaaS', location: 'Berlin', linkedin_bio: '' }
+  ]);
+
+  const started = await request(server.baseUrl, '/api/score', { method: 'POST', json: {} });
+  assert.strictEqual(started.status, 202, JSON.stringify(started.body));
+  await modelCalled();
+
+  // Scoring the lead would wait for the model too
+  const timer = setTimeout(release, 2000);
+  const rescored = await request(server.baseUrl, `/api/leads/${lead.id}/score`, { method: 'POST', json: {} });
+  clearTimeout(timer);
+  release();
+  assert.strictEqual(rescored.status, 409);
+  assert.strictEqual(rescored.body.data.id, started.body.data.id);
+
+  await jobService.waitForJob(started.body.data.id);
+});
+
+test('an offer is not deleted while a scoring job runs for it', async () => {
+  const offer = await request(server.baseUrl, '/api/offers', {
+    method: 'POST',
+    json: { name: 'Data Platform', value_props: ['One warehouse'], ideal_use_cases: ['Fintech'] }
+  });
+  const started = await request(server.baseUrl, '/api/score', { method: 'POST', json: { offer_id: offer.body.data.id } });
+  assert.strictEqual(started.status, 202, JSON.stringify(started.body));
+  await modelCalled();
+
+  const refused = await request(server.baseUrl, `/api/offers/${offer.body.data.id}`, { method: 'DELETE' });
+  assert.strictEqual(refused.status, 409);
+  assert.strictEqual(refused.body.data.id, started.body.data.id);
+
+  release();
+  await jobService.waitForJob(started.body.data.id);
+
+  const deleted = await request(server.baseUrl, `/api/offers/${offer.body.data.id}`, { method: 'DELETE' });
+  assert.strictEqual(deleted.status, 200);
+  assert.deepStrictEqual(storage.getScoredLeads(offer.body.data.id), []);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CRM_SECRET_HUBSPOT_TOKEN = 'hub-token';
+process.env.ENRICHER_SECRET_FIRMO_KEY = 'firmo-key';
+process.env.ADMIN_API_KEY = 'admin-secret-0123456789';
+
+const { resolveEnvPlaceholders, resolveHeaders } = require('../src/utils/http');
+const { validateIntegration } = require('../src/validators/validators');
+const { validateEnrichmentConfig } = require('../src/services/enrichers');
+
+function integration(settings) {
+  return { name: 'CRM', adapter: 'hubspot', settings };
+}
+
+function enrichment(headers) {
+  return {
+    enabled: true,
+    enrichers: [{ type: 'http', name: 'firmographics', url: 'https://enrich.example.com/lead', headers }]
+  };
+}
+
+test('CRM settings accept CRM_SECRET_ placeholders that are set', () => {
+  assert.deepStrictEqual(validateIntegration(integration({ access_token: '${CRM_SECRET_HUBSPOT_TOKEN}' })).errors, []);
+  assert.deepStrictEqual(validateIntegration(integration({ access_token: 'literal-token' })).errors, []);
+});
+
+test('CRM settings reject other and unset placeholders', () => {
+  const other = validateIntegration(integration({ access_token: '${ADMIN_API_KEY}' }));
+  assert.strictEqual(other.valid, false);
+  assert.match(other.errors.join(' '), /starting with CRM_SECRET_/);
+
+  const unset = validateIntegration(integration({ access_token: '${CRM_SECRET_MISSING}' }));
+  assert.match(unset.errors.join(' '), /CRM_SECRET_MISSING.*not set/);
+
+  const rest = validateIntegration({
+    name: 'REST', adapter: 'rest',
+    settings: { base_url: 'https://crm.example.com', headers: { 'X-Key': '${OPENAI_API_KEY}' } }
+  });
+  assert.match(rest.errors.join(' '), /settings\.headers\.X-Key may only reference/);
+});
+
+test('enricher headers only accept ENRICHER_SECRET_ placeholders', () => {
+  assert.deepStrictEqual(validateEnrichmentConfig(enrichment({ Authorization: 'Bearer ${ENRICHER_SECRET_FIRMO_KEY}' })), []);
+
+  const errors = validateEnrichmentConfig(enrichment({ Authorization: 'Bearer ${CRM_SECRET_HUBSPOT_TOKEN}' }));
+  assert.match(errors.join(' '), /starting with ENRICHER_SECRET_/);
+});
+
+test('placeholders outside the prefix are never resolved', () => {
+  assert.strictEqual(resolveEnvPlaceholders('Bearer ${CRM_SECRET_HUBSPOT_TOKEN}', 'CRM_SECRET_'), 'Bearer hub-token');
+  assert.throws(() => resolveEnvPlaceholders('${ADMIN_API_KEY}', 'CRM_SECRET_'), /must start with CRM_SECRET_/);
+  assert.throws(() => resolveHeaders({ 'X-Key': '${CRM_SECRET_MISSING}' }, 'CRM_SECRET_'), /not set/);
+});
@@ -0,0 +1,101 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.STORAGE_ADAPTER = 'memory';
+// The receiver listens on loopback
+process.env.OUTBOUND_ALLOWED_HOSTS = '127.0.0.1';
+process.env.WEBHOOK_BATCH_SIZE = '2';
+process.env.WEBHOOK_QUEUE_SIZE = '3';
+process.env.WEBHOOK_CONCURRENCY = '1';
+process.env.WEBHOOK_MAX_RETRIES = '0';
+
+const storage = require('../src/storage/storage');
+const webhookService = require('../src/services/webhookService');
+const { DELIVERY_STATUS, generateSecret } = require('../src/services/webhookService');
+const { listen } = require('./helpers');
+
+let receiver;
+let received = [];
+let webhook;
+
+function waitForIdle() {
+  return new Promise(resolve => {
+    const check = () => (webhookService.running === 0 && webhookService.queue.length === 0
+      ? resolve()
+      : setTimeout(check, 5));
+    check();
+  });
+}
+
+before(async () => {
+  receiver = await listen((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.end();
+    });
+  });
+  webhook = storage.createWebhook({
+    url: `${receiver.baseUrl}/hooks`,
+    events: ['*'],
+    secret: generateSecret(),
+    active: true
+  });
+});
+
+after(() => receiver.close());
+
+afterEach(async () => {
+  await waitForIdle();
+  received = [];
+});
+
+test('scored leads are sent in batches, not one event per lead', async () => {
+  const results = [
+    { id: 1, intent: 'High', score: 90 },
+    { id: 2, intent: 'Low', score: 10 },
+    { id: 3, intent: 'High', score: 80 },
+    { id: 4, intent: 'Medium', score: 50 },
+    { id: 5, intent: 'Low', score: 20 }
+  ];
+  webhookService.emitResults(results, { offerId: 1, runId: 7 });
+  await waitForIdle();
+
+  const scored = received.filter(payload => payload.event === 'lead.scored');
+  assert.deepStrictEqual(scored.map(payload => payload.data.results.map(result => result.id)), [[1, 2], [3, 4], [5]]);
+  assert.deepStrictEqual(scored.map(payload => payload.data.batch), [
+    { index: 1, count: 3 },
+    { index: 2, count: 3 },
+    { index: 3, count: 3 }
+  ]);
+  assert.ok(scored.every(payload => payload.data.offer_id === 1 && payload.data.run_id === 7));
+
+  const highIntent = received.filter(payload => payload.event === 'lead.high_intent');
+  assert.strictEqual(highIntent.length, 1);
+  assert.deepStrictEqual(highIntent[0].data.results.map(result => result.id), [1, 3]);
+});
+
+test('no high intent event without High intent results', async () => {
+  webhookService.emitResults([{ id: 1, intent: 'Low', score: 10 }], { offerId: 1 });
+  await waitForIdle();
+
+  assert.deepStrictEqual(received.map(payload => payload.event), ['lead.scored']);
+  assert.strictEqual(received[0].data.run_id, null);
+});
+
+test('deliveries beyond the queue size fail instead of queueing', async () => {
+  // One delivery is sent at a time, so the first leaves the queue at once
+  const deliveries = Array.from({ length: 5 }, () => webhookService.ping(webhook));
+
+  assert.deepStrictEqual(deliveries.map(delivery => delivery.status), [
+    DELIVERY_STATUS.PENDING,
+    DELIVERY_STATUS.PENDING,
+    DELIVERY_STATUS.PENDING,
+    DELIVERY_STATUS.PENDING,
+    DELIVERY_STATUS.FAILED
+  ]);
+  assert.strictEqual(deliveries[4].error, 'Delivery queue is full');
+  await waitForIdle();
+  assert.strictEqual(received.length, 4);
+});
@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { listen, request } = require('./helpers');
+
+process.env.ADMIN_API_KEY = 'test-admin-key-0123456789';
+process.env.STORAGE_ADAPTER = 'memory';
+
+const app = require('../server');
+
+const CSV = [
+  'name,role,company,industry,location,linkedin_bio',
+  'Ava Patel,Head of Growth,FlowMetrics,SaaS,Berlin,Scales B2B teams',
+  'Sam Lee,CTO,DataCo,Fintech,NYC,Builds data platforms',
+  'Kim Ito,Intern,ShopCo,Retail,Tokyo,Student'
+].join('\n');
+
+let server;
+const keys = {};
+
+async function issueKey(workspaceId) {
+  const { body } = await request(server.baseUrl, `/api/admin/workspaces/${workspaceId}/keys`, {
+    method: 'POST',
+    key: process.env.ADMIN_API_KEY,
+    json: { name: `workspace ${workspaceId}` }
+  });
+  return body.data.key;
+}
+
+before(async () => {
+  server = await listen(app);
+  const { body } = await request(server.baseUrl, '/api/admin/workspaces', {
+    method: 'POST',
+    key: process.env.ADMIN_API_KEY,
+    json: { name: 'Second' }
+  });
+  keys.first = await issueKey(1);
+  keys.second = await issueKey(body.data.id);
+});
+
+after(() => server.close());
+
+function uploadForm() {
+  const form = new FormData();
+  form.append('file', new Blob([CSV], { type: 'text/csv' }), 'leads.csv');
+  return form;
+}
+
+test('an uploaded file is stored in the workspace of the API key', async () => {
+  const upload = await request(server.baseUrl, '/api/leads/upload', {
+    method: 'POST',
+    key: keys.second,
+    form: uploadForm()
+  });
+  assert.strictEqual(upload.status, 201, JSON.stringify(upload.body));
+
+  const second = await request(server.baseUrl, '/api/leads', { key: keys.second });
+  assert.strictEqual(second.status, 200);
+  assert.strictEqual(second.body.data.total, 3);
+
+  const first = await request(server.baseUrl, '/api/leads', { key: keys.first });
+  assert.strictEqual(first.status, 404);
+});
+
+test('an upload preview reads the import mappings of the API key\'s workspace', async () => {
+  const mapping = await request(server.baseUrl, '/api/import-mappings', {
+    method: 'POST',
+    key: keys.first,
+    json: { name: 'First only', columns: { 'Full Name': 'name' } }
+  });
+  assert.strictEqual(mapping.status, 201, JSON.stringify(mapping.body));
+
+  const preview = await request(server.baseUrl, `/api/leads/upload/preview?mapping=${mapping.body.data.id}`, {
+    method: 'POST',
+    key: keys.second,
+    form: uploadForm()
+  });
+  assert.strictEqual(preview.status, 400, JSON.stringify(preview.body));
+  assert.match(preview.body.error.details.join(' '), /Import mapping \d+ not found/);
+});
+
+test('requests without an API key are rejected unless auth is explicitly disabled', async () => {
+  const { status } = await request(server.baseUrl, '/api/leads');
+  assert.strictEqual(status, 401);
+});